@@ -0,0 +1,249 @@
+/**
+ * ACCESSIBILITY LAYER
+ * What the canvas and piece tray show, for assistive technology:
+ * - a screen-reader-only ARIA grid mirroring the board
+ * - piece slots labelled with the shape and size of their piece
+ * - live-region announcements (placements, line clears, combos, game over)
+ * - focus handling for modals (focus moves in, Tab stays inside, focus returns on close)
+ */
+class AccessibilityLayer {
+    constructor() {
+        this.gridEl = document.getElementById('board-grid');
+        this.statusEl = document.getElementById('game-status'); // polite
+        this.alertEl = document.getElementById('game-alert'); // assertive (game over)
+        this.cells = []; // gridcell elements by [r][c]
+        this.cellValues = []; // Board values the cells were last labelled with
+        this.pendingMessages = []; // [{message, key}] waiting for the announce timer
+        this.announceTimer = null;
+        this.openModals = []; // [{modal, returnFocus, onEscape}], topmost last
+
+        this._onKeyDown = (e) => this.onKeyDown(e);
+        document.addEventListener('keydown', this._onKeyDown);
+    }
+
+    /**
+     * Mirror the board in the ARIA grid (only cells that changed are relabelled)
+     * @param {Array} board - 2D array of cell color ids (0 = empty, see getColorId)
+     */
+    updateBoard(board) {
+        if (!this.gridEl || !board || board.length === 0) return;
+
+        if (this.cells.length !== board.length) {
+            this.buildGrid(board.length);
+        }
+        board.forEach((row, r) => row.forEach((value, c) => {
+            if (this.cellValues[r][c] === value) return;
+            this.cellValues[r][c] = value;
+            this.cells[r][c].setAttribute('aria-label', `${this.describePosition(r, c)}: ${this.describeCell(value)}`);
+        }));
+    }
+
+    /**
+     * Create the rows and cells of the ARIA grid
+     * @param {number} boardSize - Cells per row/column
+     */
+    buildGrid(boardSize) {
+        this.gridEl.innerHTML = '';
+        this.gridEl.setAttribute('aria-label', `Game board, ${boardSize} by ${boardSize}`);
+        this.gridEl.setAttribute('aria-rowcount', boardSize);
+        this.gridEl.setAttribute('aria-colcount', boardSize);
+        this.cells = [];
+        this.cellValues = [];
+
+        for (let r = 0; r < boardSize; r++) {
+            const rowEl = document.createElement('div');
+            rowEl.setAttribute('role', 'row');
+            const rowCells = [];
+            for (let c = 0; c < boardSize; c++) {
+                const cellEl = document.createElement('div');
+                cellEl.setAttribute('role', 'gridcell');
+                rowEl.appendChild(cellEl);
+                rowCells.push(cellEl);
+            }
+            this.gridEl.appendChild(rowEl);
+            this.cells.push(rowCells);
+            this.cellValues.push(Array(boardSize).fill(null));
+        }
+    }
+
+    /**
+     * @param {number} r - Row index
+     * @param {number} c - Column index
+     * @returns {string} - e.g. "Row 3, column 5"
+     */
+    describePosition(r, c) {
+        return `Row ${r + 1}, column ${c + 1}`;
+    }
+
+    /**
+     * @param {number} value - Board cell value
+     * @returns {string} - "empty", or "filled" with the color name (e.g. "filled, red")
+     */
+    describeCell(value) {
+        if (value === EMPTY_CELL) return 'empty';
+        const colorClass = getColorById(value);
+        return colorClass ? `filled, ${colorClass.split('-')[1]}` : 'filled';
+    }
+
+    /**
+     * Describe a piece by its shape and size
+     * @param {Array} matrix - Piece matrix
+     * @returns {string} - e.g. "3 by 3 square", "vertical line of 4", "4 blocks, 3 wide by 2 tall"
+     */
+    describePiece(matrix) {
+        const rows = matrix.length;
+        const cols = matrix[0].length;
+        const blocks = matrix.flat().filter(cell => cell === 1).length;
+
+        if (blocks === 1) return 'single block';
+        if (blocks === rows * cols) {
+            if (rows === 1) return `horizontal line of ${blocks}`;
+            if (cols === 1) return `vertical line of ${blocks}`;
+            if (rows === cols) return `${rows} by ${cols} square`;
+            return `${cols} by ${rows} rectangle`;
+        }
+        return `${blocks} blocks, ${cols} wide by ${rows} tall`;
+    }
+
+    /**
+     * Label the piece slots (called after the pieces are rendered)
+     * @param {Array} slots - Slot elements
+     * @param {Array} pieces - Pieces of the round (null for placed ones)
+     */
+    updatePieces(slots, pieces) {
+        slots.forEach((slot, index) => {
+            const piece = pieces[index];
+            const pieceEl = slot.querySelector('.piece');
+            if (piece && pieceEl) {
+                slot.removeAttribute('aria-label');
+                pieceEl.setAttribute('role', 'img');
+                pieceEl.setAttribute('aria-label', `Piece ${index + 1}: ${this.describePiece(piece.matrix)}`);
+                pieceEl.setAttribute('aria-keyshortcuts', String(index + 1));
+            } else {
+                slot.setAttribute('aria-label', `Piece ${index + 1}: placed`);
+            }
+        });
+    }
+
+    /**
+     * Describe the pieces of a round
+     * @param {Array} pieces - Pieces of the round (null for placed ones)
+     * @returns {string} - e.g. "1: single block, 2: 2 by 2 square"
+     */
+    describePieces(pieces) {
+        return pieces
+            .map((piece, index) => (piece ? `${index + 1}: ${this.describePiece(piece.matrix)}` : null))
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    /**
+     * Announce a message politely (messages of the same moment are read together)
+     * @param {string} message
+     * @param {string} key - Replaces a pending message with the same key (e.g. only the last cursor position is read)
+     */
+    announce(message, key = null) {
+        if (!this.statusEl) return;
+        const pending = key ? this.pendingMessages.find(entry => entry.key === key) : null;
+        if (pending) {
+            pending.message = message;
+        } else {
+            this.pendingMessages.push({ message: message, key: key });
+        }
+        if (this.announceTimer) return;
+
+        // Empty the region first, so a repeated message is read again
+        this.statusEl.textContent = '';
+        this.announceTimer = setTimeout(() => {
+            this.announceTimer = null;
+            this.statusEl.textContent = this.pendingMessages.splice(0).map(entry => entry.message).join(' ');
+        }, ANNOUNCE_DELAY);
+    }
+
+    /**
+     * Announce a message right away, interrupting (game over)
+     * @param {string} message
+     */
+    announceAlert(message) {
+        if (!this.alertEl) return;
+        this.alertEl.textContent = '';
+        setTimeout(() => {
+            this.alertEl.textContent = message;
+        }, ANNOUNCE_DELAY);
+    }
+
+    /**
+     * Show a modal and move focus into it
+     * @param {HTMLElement} modal - Modal overlay element
+     * @param {Object} options
+     * @param {HTMLElement} options.initialFocus - Element to focus (default: first focusable element)
+     * @param {Function} options.onEscape - Called on Escape (modals without it ignore Escape)
+     */
+    openModal(modal, { initialFocus = null, onEscape = null } = {}) {
+        if (!modal) return;
+        this.openModals = this.openModals.filter(entry => entry.modal !== modal);
+        this.openModals.push({ modal: modal, returnFocus: document.activeElement, onEscape: onEscape });
+        modal.classList.remove('hidden');
+
+        const target = initialFocus || this.getFocusable(modal)[0];
+        if (target) {
+            // Focus once the modal is laid out
+            setTimeout(() => target.focus(), 0);
+        }
+    }
+
+    /**
+     * Hide a modal and give focus back to where it was before
+     * @param {HTMLElement} modal - Modal overlay element
+     */
+    closeModal(modal) {
+        if (!modal) return;
+        modal.classList.add('hidden');
+
+        const index = this.openModals.findIndex(entry => entry.modal === modal);
+        if (index === -1) return;
+        const [entry] = this.openModals.splice(index, 1);
+        if (entry.returnFocus && entry.returnFocus.focus && document.body.contains(entry.returnFocus)) {
+            entry.returnFocus.focus();
+        }
+    }
+
+    /**
+     * Get the elements of a modal that take focus, in tab order
+     * @param {HTMLElement} modal
+     * @returns {Array}
+     */
+    getFocusable(modal) {
+        return Array.from(modal.querySelectorAll('button, input, select, [href], [tabindex]'))
+            .filter(el => !el.disabled && el.getAttribute('tabindex') !== '-1' && !el.closest('.hidden'));
+    }
+
+    /**
+     * Keep Tab inside the topmost modal and close it on Escape
+     */
+    onKeyDown(e) {
+        const top = this.openModals[this.openModals.length - 1];
+        if (!top) return;
+
+        if (e.key === 'Escape' && top.onEscape) {
+            e.preventDefault();
+            top.onEscape();
+        } else if (e.key === 'Tab') {
+            const focusable = this.getFocusable(top.modal);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const outside = !top.modal.contains(document.activeElement);
+            if (e.shiftKey && (document.activeElement === first || outside)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || outside)) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+}
@@ -28,12 +28,18 @@ class APIClient {
     }
 
     /**
-     * Initialize a new game
+     * Initialize a new game (always in a new server session)
      * @param {Object} options
-     * @param {boolean} options.newSession - Create a fresh server session (drops reuse of old sessionId)
-     * @returns {Promise<Object>} - {sessionId, board, score, pieces}
+     * @param {string} [options.seed] - Seed to reproduce a game (server generates one if omitted)
+     * @param {string} [options.mode] - 'classic' or 'daily' (daily uses the day's shared seed)
+     * @param {Object} [options.variant] - {boardSize, piecesPerRound} (ignored for daily games)
+     * @param {string} [options.shapePack] - Shape pack id (ignored for daily games)
+     * @param {string} [options.difficulty] - 'easy', 'normal' or 'hard' (ignored for daily games)
+     * @param {string} [options.playerId] - Player whose profile the finished game counts for
+     * @param {string} [options.playerName] - Display name of the player
+     * @returns {Promise<Object>} - {sessionId, gameId, spectatorId, mode, dailyDate, variant, shapePack, difficulty, seed, board, score, pieces}
      */
-    async initGame({ newSession = false } = {}) {
+    async initGame({ seed = null, mode = 'classic', variant = null, shapePack = DEFAULT_SHAPE_PACK, difficulty = DEFAULT_DIFFICULTY, playerId = null, playerName = null } = {}) {
         try {
             const response = await fetch(`${this.baseURL}/api/game/init`, {
                 method: 'POST',
@@ -41,7 +47,13 @@ class APIClient {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    sessionId: newSession ? null : (this.sessionId || null)
+                    seed: seed,
+                    mode: mode,
+                    variant: variant,
+                    shapePack: shapePack,
+                    difficulty: difficulty,
+                    playerId: playerId,
+                    playerName: playerName
                 }),
                 signal: this._requestSignal()
             });
@@ -150,17 +162,84 @@ class APIClient {
         }
     }
 
+    /**
+     * Undo the last placement of the current round
+     * @returns {Promise<Object>} - Restored game state with undosRemaining and canUndo
+     */
+    async undo() {
+        if (!this.sessionId) {
+            throw new Error('No active game session');
+        }
+
+        try {
+            const response = await fetch(`${this.baseURL}/api/game/undo`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    sessionId: this.sessionId
+                }),
+                signal: this._requestSignal()
+            });
+            
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                const errorMsg = data.error || `Server error: ${response.status} ${response.statusText}`;
+                throw new Error(errorMsg);
+            }
+            
+            return data;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.error('Error undoing placement:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask the server for the best next placement (counted as a hint used)
+     * @returns {Promise<Object>} - {hint: {pieceIndex, r, c}, hintsUsed}
+     */
+    async getHint() {
+        if (!this.sessionId) {
+            throw new Error('No active game session');
+        }
+
+        try {
+            const response = await fetch(`${this.baseURL}/api/game/hint/${encodeURIComponent(this.sessionId)}`, {
+                signal: this._requestSignal()
+            });
+            const data = await response.json();
+            if (data.success) {
+                return data;
+            } else {
+                throw new Error(data.error || 'Failed to get hint');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.error('Error getting hint:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get current game state
+     * @param {string} sessionId - Session to look up (defaults to the active session)
      * @returns {Promise<Object>} - Current game state
      */
-    async getGameState() {
-        if (!this.sessionId) {
+    async getGameState(sessionId = this.sessionId) {
+        if (!sessionId) {
             throw new Error('No active game session');
         }
 
         try {
-            const response = await fetch(`${this.baseURL}/api/game/state/${this.sessionId}`, {
+            const response = await fetch(`${this.baseURL}/api/game/state/${encodeURIComponent(sessionId)}`, {
                 signal: this._requestSignal()
             });
             const data = await response.json();
@@ -178,13 +257,65 @@ class APIClient {
         }
     }
 
+    /**
+     * Get the move log of a game
+     * @param {string} replayId - Public id of a ranked game (replayId of its leaderboard entry)
+     * @returns {Promise<Object>} - {gameId, seed, boardSize, score, moves}
+     */
+    async getReplay(replayId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/game/replay/${encodeURIComponent(replayId)}`);
+            const data = await response.json();
+            if (data.success) {
+                return data.replay;
+            } else {
+                throw new Error(data.error || 'Failed to get replay');
+            }
+        } catch (error) {
+            console.error('Error getting replay:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List the shape packs installed on the server
+     * @returns {Promise<Array>} - [{id, name, description, shapeCount, maxSize, shapes}]
+     */
+    async getShapePacks() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/shapes`);
+            const data = await response.json();
+            if (data.success) {
+                return data.packs;
+            } else {
+                throw new Error(data.error || 'Failed to get shape packs');
+            }
+        } catch (error) {
+            console.error('Error getting shape packs:', error);
+            return [];
+        }
+    }
+
     /**
      * Get top rank
+     * @param {string} [variantId] - Variant leaderboard (e.g. '10x10-4'; standard variant if omitted)
+     * @param {string} [shapePack] - Shape pack leaderboard (classic if omitted)
+     * @param {Object} [options]
+     * @param {string} [options.period] - 'all', 'month' or 'week' (all-time if omitted)
+     * @param {string} [options.mode] - 'classic', 'daily' or 'all' (classic if omitted)
+     * @param {number} [options.limit] - Number of entries (10 if omitted)
      * @returns {Promise<Object|null>} - Top rank data or null
      */
-    async getTopRank() {
+    async getTopRank(variantId = null, shapePack = null, { period = null, mode = null, limit = null } = {}) {
         try {
-            const response = await fetch(`${this.baseURL}/api/rank`);
+            const params = new URLSearchParams();
+            if (variantId) params.set('variant', variantId);
+            if (shapePack) params.set('shapePack', shapePack);
+            if (period) params.set('period', period);
+            if (mode) params.set('mode', mode);
+            if (limit) params.set('limit', limit);
+            const query = params.toString() ? `?${params}` : '';
+            const response = await fetch(`${this.baseURL}/api/rank${query}`);
             const data = await response.json();
             if (data.success) {
                 return data.rank;
@@ -198,12 +329,62 @@ class APIClient {
     }
 
     /**
-     * Save top rank
+     * Open the server's event stream (leaderboard changes, see LiveUpdates)
+     * @returns {EventSource}
+     */
+    openEvents() {
+        return new EventSource(`${this.baseURL}/api/events`);
+    }
+
+    /**
+     * Get today's daily challenge
+     * @returns {Promise<Object|null>} - {date, seed, rank} or null
+     */
+    async getDaily() {
+        try {
+            const response = await fetch(`${this.baseURL}/api/daily`);
+            const data = await response.json();
+            if (data.success) {
+                return data;
+            } else {
+                throw new Error(data.error || 'Failed to get daily challenge');
+            }
+        } catch (error) {
+            console.error('Error getting daily challenge:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a player's profile
+     * @param {string} playerId - Player id
+     * @returns {Promise<Object|null>} - {id, name, createdAt, stats, recentGames} or null (unknown player or error)
+     */
+    async getPlayer(playerId) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/player/${encodeURIComponent(playerId)}`);
+            if (response.status === 404) {
+                return null; // No finished game yet
+            }
+            const data = await response.json();
+            if (data.success) {
+                return data.player;
+            } else {
+                throw new Error(data.error || 'Failed to get player');
+            }
+        } catch (error) {
+            console.error('Error getting player:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save top rank (server uses the score of the finished session)
      * @param {string} name - Player name
-     * @param {number} score - Player score
+     * @param {string} sessionId - Session id of a finished game
      * @returns {Promise<Object>} - Saved rank data
      */
-    async saveTopRank(name, score) {
+    async saveTopRank(name, sessionId) {
         try {
             const response = await fetch(`${this.baseURL}/api/rank`, {
                 method: 'POST',
@@ -212,7 +393,7 @@ class APIClient {
                 },
                 body: JSON.stringify({
                     name: name,
-                    score: score
+                    sessionId: sessionId
                 })
             });
             
@@ -1,22 +1,14 @@
 /**
  * CANVAS RENDERER
  * Handles all rendering on canvas for board and pieces
+ * Colors come from the player's theme (see js/themes.js)
  */
 class CanvasRenderer {
-    constructor(canvasId, boardSize) {
+    constructor(canvasId, boardSize, themeManager) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
         this.boardSize = boardSize;
-        
-        // Colors
-        this.colors = {
-            empty: '#1e293b',      // slate-800 (dark blue-black)
-            filled: '#2563eb',     // blue-600
-            highlight: 'rgba(34, 197, 94, 0.5)', // green glow
-            clearing: '#fbbf24',   // yellow flash
-            background: '#475569', // slate-700
-            grid: '#64748b'       // slate-500
-        };
+        this.themeManager = themeManager;
         
         // Setup canvas
         this.setupCanvas();
@@ -27,6 +19,13 @@ class CanvasRenderer {
         this.animationFrame = null;
     }
 
+    /**
+     * Board colors of the current theme (read on every draw, so a theme switch shows on the next frame)
+     */
+    get colors() {
+        return this.themeManager.colors;
+    }
+
     /**
      * Setup canvas with proper sizing
      */
@@ -58,10 +57,23 @@ class CanvasRenderer {
             }
         };
         
+        // Exposed so a canvas that was hidden when created can be re-measured
+        this.resize = resize;
         resize();
         window.addEventListener('resize', resize);
     }
 
+    /**
+     * Switch to a board of another size (re-measures cells and drops running animations)
+     * @param {number} boardSize - Cells per row/column
+     */
+    setBoardSize(boardSize) {
+        this.boardSize = boardSize;
+        this.clearingCells.clear();
+        this.clearingAnimations.clear();
+        this.resize();
+    }
+
     /**
      * Clear the entire canvas
      */
@@ -71,8 +83,8 @@ class CanvasRenderer {
 
     /**
      * Draw the game board
-     * @param {Array} board - 2D array representing board state
-     * @param {Object} highlightData - {cells: [{r, c}, ...]} cells to highlight
+     * @param {Array} board - 2D array of cell color ids (0 = empty, see getColorId)
+     * @param {Object} highlightData - {cells: [{r, c}, ...], invalid} cells to highlight (in red if invalid)
      */
     drawBoard(board, highlightData = null) {
         this.clear();
@@ -100,6 +112,7 @@ class CanvasRenderer {
                 const isHighlighted = highlightedSet.has(cellKey);
                 const isClearing = this.clearingCells.has(cellKey);
                 const animData = this.clearingAnimations.get(cellKey);
+                const isFilled = board[r][c] !== EMPTY_CELL;
                 
                 // Draw cell
                 this.ctx.save();
@@ -118,10 +131,10 @@ class CanvasRenderer {
                     this.ctx.globalAlpha = animData.opacity;
                     this.ctx.fillStyle = this.colors.clearing;
                 } else if (isHighlighted) {
-                    this.ctx.fillStyle = this.colors.highlight;
-                } else if (board[r][c] === 1) {
-                    // Filled cell - add 3D effect
-                    this.ctx.fillStyle = this.colors.filled;
+                    this.ctx.fillStyle = highlightData.invalid ? this.colors.invalid : this.colors.highlight;
+                } else if (isFilled) {
+                    // Filled cell in the color of the piece it came from - add 3D effect
+                    this.ctx.fillStyle = this.getCellColor(board[r][c]);
                 } else {
                     this.ctx.fillStyle = this.colors.empty;
                 }
@@ -147,7 +160,7 @@ class CanvasRenderer {
                 this.ctx.fill();
                 
                 // Add 3D effect for filled cells
-                if (board[r][c] === 1 && !isClearing && !isHighlighted) {
+                if (isFilled && !isClearing && !isHighlighted) {
                     const gradient = this.ctx.createLinearGradient(x, y, x + this.cellSize, y + this.cellSize);
                     gradient.addColorStop(0, 'rgba(255, 255, 255, 0.2)');
                     gradient.addColorStop(0.5, 'transparent');
@@ -156,9 +169,14 @@ class CanvasRenderer {
                     this.ctx.fillStyle = gradient;
                     this.ctx.fill();
                     
-                    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+                    this.ctx.strokeStyle = this.colors.outline;
                     this.ctx.lineWidth = 1;
                     this.ctx.stroke();
+                    
+                    const glyph = this.themeManager.getGlyph(getColorById(board[r][c]));
+                    if (glyph) {
+                        this.drawGlyph(glyph, x, y, this.cellSize, this.getCellColor(board[r][c]));
+                    }
                 }
                 
                 this.ctx.restore();
@@ -174,8 +192,9 @@ class CanvasRenderer {
      * @param {string} color - Color of the piece
      * @param {number} scale - Scale factor (default 1)
      * @param {boolean} withShadow - Whether to draw shadow (default false)
+     * @param {string} glyph - Glyph drawn on each block (default none, see ThemeManager.getGlyph)
      */
-    drawPiece(pieceMatrix, x, y, color, scale = 1, withShadow = false) {
+    drawPiece(pieceMatrix, x, y, color, scale = 1, withShadow = false, glyph = null) {
         const rows = pieceMatrix.length;
         const cols = pieceMatrix[0].length;
         const pieceWidth = cols * this.cellSize * scale;
@@ -268,6 +287,10 @@ class CanvasRenderer {
                     this.ctx.shadowOffsetX = 0;
                     this.ctx.shadowOffsetY = 0;
                     
+                    if (glyph) {
+                        this.drawGlyph(glyph, blockX, blockY, blockSize, color);
+                    }
+                    
                     this.ctx.restore();
                 }
             }
@@ -284,6 +307,24 @@ class CanvasRenderer {
         this.ctx.restore();
     }
 
+    /**
+     * Draw a glyph centered on a block
+     * @param {string} glyph - Character to draw
+     * @param {number} x - Left edge of the block
+     * @param {number} y - Top edge of the block
+     * @param {number} size - Block size
+     * @param {string} background - Block color (the glyph is drawn dark or light to stand out)
+     */
+    drawGlyph(glyph, x, y, size, background) {
+        this.ctx.save();
+        this.ctx.fillStyle = this.themeManager.getGlyphColor(background);
+        this.ctx.font = `bold ${Math.round(size * 0.55)}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(glyph, x + size / 2, y + size / 2);
+        this.ctx.restore();
+    }
+
     /**
      * Convert screen coordinates to board grid coordinates
      * @param {number} screenX - Screen X coordinate
@@ -435,23 +476,22 @@ class CanvasRenderer {
         this.animationFrame = requestAnimationFrame(animate);
     }
 
+    /**
+     * Get the fill color of a board cell
+     * @param {number} colorId - Board cell value
+     * @returns {string} - Hex color code
+     */
+    getCellColor(colorId) {
+        return this.themeManager.getCellColor(colorId);
+    }
+
     /**
      * Get color from Tailwind class name
      * @param {string} colorClass - Tailwind color class
-     * @returns {string} - Hex color code
+     * @returns {string} - Hex color code in the current theme
      */
     getColorFromClass(colorClass) {
-        const colorMap = {
-            'bg-cyan-500': '#06b6d4',
-            'bg-blue-500': '#3b82f6',
-            'bg-orange-500': '#f97316',
-            'bg-yellow-500': '#eab308',
-            'bg-green-500': '#22c55e',
-            'bg-purple-500': '#a855f7',
-            'bg-red-500': '#ef4444',
-            'bg-pink-500': '#ec4899'
-        };
-        return colorMap[colorClass] || '#3b82f6';
+        return this.themeManager.getPieceColor(colorClass);
     }
 }
 
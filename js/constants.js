@@ -1,11 +1,9 @@
 /**
  * GAME CONSTANTS
+ * Client-only display and storage settings
  */
 
-// Board configuration
-const BOARD_SIZE = 8;
-const PIECES_PER_ROUND = 3;
-const MAX_GENERATION_ATTEMPTS = 50;
+// Board configuration, shapes, colors and scoring live in js/rules.js (shared with the server)
 
 // Piece generation cell size for display
 const PIECE_DISPLAY_CELL_SIZE = 20;
@@ -18,30 +16,22 @@ const PIECE_DISPLAY_CELL_SIZE_MOBILE = 24;
 
 // Animation timing
 const CLEAR_ANIMATION_DURATION = 300; // milliseconds
-
-// Score calculation
-const BASE_POINTS_PER_BLOCK = 1;
-const LINE_CLEAR_BASE_POINTS = 10;
-const LINE_CLEAR_MULTIPLIER = 2;
-
-// Define all puzzle pieces (1: block, 0: empty)
-const RAW_SHAPES = {
-    P1: [[1,1,1,1]], // I4
-    P2: [[1,1,1]],   // I3
-    P3: [[1,1]],     // I2
-    P4: [[1]],       // I1
-    P5: [[1,0,0], [1,0,0], [1,1,1]], // Large L
-    P6: [[1,0], [1,1]], // Small L
-    P7: [[1,0], [1,0], [1,1]], // Tall L
-    P8: [[0,1,0], [1,1,1]], // T
-    P9: [[1,1,0], [0,1,1]], // Z
-    P10: [[1,1,1], [1,1,1], [1,1,1]], // 3x3 Square
-    P11: [[1,1], [1,1]] // 2x2 Square
+const REPLAY_STEP_DURATION = 900; // milliseconds per placement at 1x replay speed
+const ANNOUNCE_DELAY = 100; // milliseconds to collect screen reader announcements before reading them
+
+// Browser storage
+const SESSION_STORAGE_KEY = 'brik-brik-session-id'; // Resumes an unfinished game after reload
+const THEME_STORAGE_KEY = 'brik-brik-theme'; // Theme and glyph choice (see ThemeManager)
+const PLAYER_STORAGE_KEY = 'brik-brik-player'; // Player id and display name (see PlayerManager)
+
+// Live leaderboard updates (see LiveUpdates)
+const LIVE_RECONNECT_MIN_DELAY = 1000; // milliseconds before the first reconnect, doubled after each failure...
+const LIVE_RECONNECT_MAX_DELAY = 60 * 1000; // ...up to this
+const LIVE_POLL_INTERVAL = 30 * 1000; // milliseconds between leaderboard reloads while the event stream is down
+
+// Leaderboard badge colors per difficulty
+const DIFFICULTY_BADGE_CLASSES = {
+    easy: 'bg-green-500/20 text-green-300',
+    normal: 'bg-slate-600 text-slate-300',
+    hard: 'bg-red-500/20 text-red-300'
 };
-
-// Colors for pieces
-const COLORS = [
-    'bg-cyan-500', 'bg-blue-500', 'bg-orange-500', 'bg-yellow-500', 
-    'bg-green-500', 'bg-purple-500', 'bg-red-500', 'bg-pink-500'
-];
-
@@ -8,21 +8,59 @@ class PuzzleGame {
         // Initialize API client
         this.apiClient = new APIClient();
         
+        // Shared rules, used for client-side placement previews
+        this.boardManager = new BoardManager(DEFAULT_VARIANT.boardSize);
+        
+        // Player's theme (palette and glyphs, used by the renderers and piece previews)
+        this.themeManager = new ThemeManager();
+        
         // Initialize canvas renderer (for display only)
-        this.renderer = new CanvasRenderer('board-canvas', BOARD_SIZE);
+        this.renderer = new CanvasRenderer('board-canvas', DEFAULT_VARIANT.boardSize, this.themeManager);
         this.renderer.onResize = () => this.renderBoard();
         
         // Initialize drag and drop handler
         this.dragHandler = new DragDropHandler(this);
         
+        // Initialize keyboard play (number keys, arrows, Enter, Escape)
+        this.keyboardHandler = new KeyboardHandler(this);
+        
         // Initialize rank manager (uses API)
         this.rankManager = new RankManager(this.apiClient);
         
+        // Initialize player identity (id and display name, stats kept by the server)
+        this.playerManager = new PlayerManager(this.apiClient);
+        
+        // Initialize screen reader support (board grid, announcements, modal focus)
+        this.accessibility = new AccessibilityLayer();
+        
+        // Initialize replay viewer (opened from ranking rows)
+        this.replayViewer = new ReplayViewer(this.apiClient, this.accessibility, this.themeManager);
+        
+        // Live leaderboard (pushed by the server, polled while the connection is down)
+        this.liveUpdates = new LiveUpdates(this.apiClient, {
+            onRank: change => this.onLeaderboardChange(change),
+            onNewTop: change => this.onNewTopRank(change),
+            onPoll: () => this.refreshLeaderboard()
+        });
+        
         // Game state (synced from server)
         this.board = []; // 2D array representing board
         this.score = 0;
-        this.currentPieces = [null, null, null]; // 3 current pieces
+        this.seed = null; // Seed of the current game (reproduces its pieces)
+        this.mode = 'classic'; // 'classic' or 'daily' (shared seed for the day)
+        this.variant = { ...DEFAULT_VARIANT }; // Board size and pieces per round of the current game
+        this.selectedVariant = { ...DEFAULT_VARIANT }; // Variant picked for classic games
+        this.shapePack = DEFAULT_SHAPE_PACK; // Shape pack of the current game
+        this.selectedShapePack = DEFAULT_SHAPE_PACK; // Shape pack picked for classic games
+        this.shapePacks = []; // Packs installed on the server (see loadShapePacks)
+        this.difficulty = DEFAULT_DIFFICULTY; // Difficulty of the current game
+        this.selectedDifficulty = DEFAULT_DIFFICULTY; // Difficulty picked for classic games
+        this.comboCount = 0; // Consecutive placements that cleared lines
+        this.currentPieces = Array(this.variant.piecesPerRound).fill(null); // Pieces of the current round
         this.highlightData = null; // For preview highlighting
+        this.canUndo = false; // Server allows undoing the last placement of this round
+        this.undosRemaining = 0;
+        this.hintsUsed = 0;
         this.isRenderingPieces = false; // Flag to prevent concurrent renders
         this._placeGeneration = 0;
         
@@ -36,40 +74,200 @@ class PuzzleGame {
         this.topRankLabelEl = document.getElementById('top-rank-label');
         this.rankingModal = document.getElementById('ranking-modal');
         this.rankingListEl = document.getElementById('ranking-list');
-        this.slots = [
-            document.getElementById('slot-0'),
-            document.getElementById('slot-1'),
-            document.getElementById('slot-2')
-        ];
+        this.rankingTitleEl = document.getElementById('ranking-title');
+        this.rankingTabsEl = document.getElementById('ranking-tabs');
+        this.rankingPeriod = null; // Leaderboard tab shown in the ranking modal
+        this.profileModal = document.getElementById('profile-modal');
+        this.profileNameInput = document.getElementById('profile-name-input');
+        this.profileStatsEl = document.getElementById('profile-stats');
+        this.profileGamesEl = document.getElementById('profile-games');
+        this.undoButton = document.getElementById('undo-button');
+        this.undoCountEl = document.getElementById('undo-count');
+        this.hintButton = document.getElementById('hint-button');
+        this.hintCountEl = document.getElementById('hint-count');
+        this.gameOverUndoButton = document.getElementById('game-over-undo');
+        this.resumeModal = document.getElementById('resume-modal');
+        this.resumeScoreEl = document.getElementById('resume-score');
+        this.modeButtons = Array.from(document.querySelectorAll('#mode-switch [data-mode]'));
+        this.variantSizeSelect = document.getElementById('variant-board-size');
+        this.variantPiecesSelect = document.getElementById('variant-pieces');
+        this.shapePackSelect = document.getElementById('shape-pack');
+        this.difficultySelect = document.getElementById('difficulty');
+        this.piecesArea = document.getElementById('pieces-area');
+        this.themeSelect = document.getElementById('theme');
+        this.glyphsCheckbox = document.getElementById('glyphs');
+        this.slots = []; // One slot per piece of the round (see createSlots)
+        
+        this.setupVariantOptions();
+        this.setupThemeOptions();
+        this.loadShapePacks();
+        this.createSlots(this.variant.piecesPerRound);
 
         this.dragHandler.setupDragEvents();
+        this.keyboardHandler.setupKeyboardEvents();
+        this.start();
+        this.liveUpdates.start();
+    }
+
+    /**
+     * Offer to resume the game saved before a reload, or start a new one
+     */
+    async start() {
+        const savedSessionId = this.loadSavedSessionId();
+        if (savedSessionId) {
+            try {
+                const state = await this.apiClient.getGameState(savedSessionId);
+                if (!state.isGameOver) {
+                    this.pendingResume = { sessionId: savedSessionId, state: state };
+                    if (this.resumeScoreEl) {
+                        this.resumeScoreEl.innerText = state.score;
+                    }
+                    this.accessibility.openModal(this.resumeModal);
+                    return;
+                }
+            } catch (error) {
+                // Session expired or server restarted without it - start over
+            }
+            this.clearSavedSessionId();
+        }
+        this.init();
+    }
+
+    /**
+     * Continue the saved game (from the resume modal)
+     */
+    async continueGame() {
+        this.accessibility.closeModal(this.resumeModal);
+        const resume = this.pendingResume;
+        this.pendingResume = null;
+        if (!resume) return;
+
+        const { sessionId, state } = resume;
+        this._placeGeneration++;
+        this.apiClient.abortPendingRequests();
+        this.apiClient.sessionId = sessionId;
+
+        this.mode = state.mode || 'classic';
+        this.rankManager.setMode(this.mode);
+        this.updateModeUI();
+
+        this.board = state.board;
+        this.applyVariant(state.variant || DEFAULT_VARIANT, state.shapePack);
+        this.difficulty = state.difficulty || DEFAULT_DIFFICULTY;
+        if (this.mode === 'classic') {
+            this.selectedVariant = { ...this.variant };
+            this.selectedShapePack = this.shapePack;
+            this.selectedDifficulty = this.difficulty;
+            this.updateVariantUI();
+        }
+        this.score = state.score;
+        this.seed = state.seed;
+        this.comboCount = state.comboCount || 0;
+        this.currentPieces = state.pieces;
+        this.updateUndoState(state);
+        this.updateHintCount(state.hintsUsed || 0);
+
+        // Reloaded between placing the last piece and receiving the next set
+        if (this.currentPieces.every(p => p === null)) {
+            try {
+                const newPiecesResult = await this.apiClient.requestNewPieces();
+                this.currentPieces = newPiecesResult.pieces;
+                this.updateUndoState(newPiecesResult);
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.error('Error requesting new pieces:', error);
+            }
+        }
+
+        this.updateScoreUI();
+        this.renderBoard();
+        this.renderPieces();
+        this.accessibility.announce(`Game resumed. Score ${this.score}. Pieces ${this.accessibility.describePieces(this.currentPieces)}.`);
+        await this.updateTopRankDisplay();
+    }
+
+    /**
+     * Drop the saved game and start a new one (from the resume modal)
+     */
+    declineResume() {
+        this.accessibility.closeModal(this.resumeModal);
+        this.pendingResume = null;
+        this.clearSavedSessionId();
         this.init();
     }
 
+    loadSavedSessionId() {
+        try {
+            return localStorage.getItem(SESSION_STORAGE_KEY);
+        } catch (e) {
+            return null; // Storage disabled (e.g. private mode)
+        }
+    }
+
+    saveSessionId(sessionId) {
+        try {
+            localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+        } catch (e) {
+            // Storage disabled - game just won't survive a reload
+        }
+    }
+
+    clearSavedSessionId() {
+        try {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+        } catch (e) {
+            // Storage disabled - nothing saved
+        }
+    }
+
     /**
      * Initialize game
+     * @param {Object} options
+     * @param {string} options.mode - 'classic' or 'daily' (defaults to the current mode)
      */
-    async init() {
+    async init({ mode = this.mode } = {}) {
         try {
             this._placeGeneration++;
             this.apiClient.abortPendingRequests();
 
+            // Switch mode (and the leaderboard shown with it)
+            this.mode = mode;
+            this.rankManager.setMode(mode);
+            this.updateModeUI();
+
             // Hide modals
-            this.gameOverModal.classList.add('hidden');
-            this.recordModal?.classList.add('hidden');
+            this.accessibility.closeModal(this.gameOverModal);
+            this.accessibility.closeModal(this.recordModal);
+            this.accessibility.closeModal(this.resumeModal);
+            this.pendingResume = null;
             
-            // Initialize game on server
-            const gameData = await this.apiClient.initGame({ newSession: true });
+            // Initialize game on server (daily games always use the standard variant, classic pieces and default difficulty)
+            const gameData = await this.apiClient.initGame({
+                mode: this.mode,
+                variant: this.selectedVariant,
+                shapePack: this.selectedShapePack,
+                difficulty: this.selectedDifficulty,
+                playerId: this.playerManager.playerId,
+                playerName: this.playerManager.name || null
+            });
             
             // Update local state
             this.board = gameData.board;
+            this.applyVariant(gameData.variant || DEFAULT_VARIANT, gameData.shapePack);
+            this.difficulty = gameData.difficulty || DEFAULT_DIFFICULTY;
             this.score = gameData.score;
+            this.seed = gameData.seed;
+            this.comboCount = 0;
             this.currentPieces = gameData.pieces;
+            this.updateUndoState(gameData);
+            this.updateHintCount(0);
+            this.saveSessionId(gameData.sessionId);
             
             // Update UI
             this.updateScoreUI();
             this.renderBoard();
             this.renderPieces();
+            this.accessibility.announce(`New game. Pieces ${this.accessibility.describePieces(this.currentPieces)}.`);
             
             // Load and display top rank
             await this.updateTopRankDisplay();
@@ -87,23 +285,172 @@ class PuzzleGame {
         this.init();
     }
 
+    /**
+     * Switch game mode and start a new game in it
+     * @param {string} mode - 'classic' or 'daily'
+     */
+    setMode(mode) {
+        this.init({ mode });
+    }
+
+    /**
+     * Start a new classic game with the variant, shape pack and difficulty picked in the variant selects
+     */
+    selectVariant() {
+        const boardSize = parseInt(this.variantSizeSelect?.value, 10);
+        const piecesPerRound = parseInt(this.variantPiecesSelect?.value, 10);
+        const variant = { boardSize, piecesPerRound };
+        if (!isValidVariant(variant)) return;
+        
+        this.selectedVariant = variant;
+        const shapePack = this.shapePackSelect?.value || DEFAULT_SHAPE_PACK;
+        // Packs with pieces larger than the new board fall back to classic
+        const pack = this.shapePacks.find(p => p.id === shapePack);
+        this.selectedShapePack = pack && pack.maxSize <= boardSize ? shapePack : DEFAULT_SHAPE_PACK;
+        const difficulty = this.difficultySelect?.value;
+        this.selectedDifficulty = isValidDifficulty(difficulty) ? difficulty : DEFAULT_DIFFICULTY;
+        this.init({ mode: 'classic' });
+    }
+
+    /**
+     * Lay out the board, piece slots and leaderboard for a game's variant
+     * @param {Object} variant - {boardSize, piecesPerRound}
+     * @param {string} [shapePack] - Shape pack the game deals from
+     */
+    applyVariant(variant, shapePack = DEFAULT_SHAPE_PACK) {
+        this.variant = { boardSize: variant.boardSize, piecesPerRound: variant.piecesPerRound };
+        this.shapePack = shapePack;
+        this.keyboardHandler.reset();
+        
+        if (this.boardManager.boardSize !== this.variant.boardSize) {
+            this.boardManager = new BoardManager(this.variant.boardSize);
+            this.highlightData = null;
+            this.renderer.setBoardSize(this.variant.boardSize);
+        }
+        if (this.slots.length !== this.variant.piecesPerRound) {
+            this.createSlots(this.variant.piecesPerRound);
+        }
+        this.rankManager.setVariant(getVariantId(this.variant), this.shapePack);
+    }
+
+    /**
+     * Fetch the server's shape packs and list them in the shape pack select
+     */
+    async loadShapePacks() {
+        const packs = await this.apiClient.getShapePacks();
+        if (packs.length > 0) {
+            this.shapePacks = packs;
+        }
+        this.updateVariantUI();
+    }
+
+    /**
+     * Fill the variant selects from the supported board sizes, piece counts and difficulties
+     */
+    setupVariantOptions() {
+        if (!this.variantSizeSelect || !this.variantPiecesSelect) return;
+        
+        this.variantSizeSelect.innerHTML = BOARD_SIZES
+            .map(size => `<option value="${size}">${size}×${size}</option>`)
+            .join('');
+        
+        const counts = [];
+        for (let count = MIN_PIECES_PER_ROUND; count <= MAX_PIECES_PER_ROUND; count++) {
+            counts.push(`<option value="${count}">${count} pcs</option>`);
+        }
+        this.variantPiecesSelect.innerHTML = counts.join('');
+        
+        if (this.difficultySelect) {
+            this.difficultySelect.innerHTML = DIFFICULTIES
+                .map(difficulty => `<option value="${difficulty}">${difficulty[0].toUpperCase()}${difficulty.slice(1)}</option>`)
+                .join('');
+        }
+        this.updateVariantUI();
+    }
+
+    /**
+     * Fill the theme select and show the saved theme and glyph choice
+     */
+    setupThemeOptions() {
+        if (this.themeSelect) {
+            this.themeSelect.innerHTML = Object.entries(THEMES)
+                .map(([id, theme]) => `<option value="${id}">${theme.name}</option>`)
+                .join('');
+            this.themeSelect.value = this.themeManager.themeId;
+        }
+        if (this.glyphsCheckbox) {
+            this.glyphsCheckbox.checked = this.themeManager.showGlyphs;
+        }
+    }
+
+    /**
+     * Apply the theme and glyph choice from the theme controls (remembered for next visits)
+     */
+    selectTheme() {
+        if (this.themeSelect) this.themeManager.setTheme(this.themeSelect.value);
+        if (this.glyphsCheckbox) this.themeManager.setGlyphs(this.glyphsCheckbox.checked);
+        this.renderBoard();
+        this.renderPieces();
+    }
+
+    /**
+     * Show the picked variant in the variant selects (disabled for daily games)
+     */
+    updateVariantUI() {
+        [this.variantSizeSelect, this.variantPiecesSelect, this.shapePackSelect, this.difficultySelect].forEach(select => {
+            if (select) select.disabled = this.mode === 'daily';
+        });
+        if (this.variantSizeSelect) this.variantSizeSelect.value = this.selectedVariant.boardSize;
+        if (this.variantPiecesSelect) this.variantPiecesSelect.value = this.selectedVariant.piecesPerRound;
+        if (this.difficultySelect) this.difficultySelect.value = this.selectedDifficulty;
+        if (this.shapePackSelect) {
+            // Packs whose pieces don't fit the picked board size can't be chosen
+            const packs = this.shapePacks.length > 0 ? this.shapePacks : [{ id: DEFAULT_SHAPE_PACK, name: 'Classic', maxSize: 0 }];
+            this.shapePackSelect.innerHTML = packs
+                .map(pack => `<option value="${pack.id}"${pack.maxSize > this.selectedVariant.boardSize ? ' disabled' : ''}>${pack.name}</option>`)
+                .join('');
+            this.shapePackSelect.value = this.selectedShapePack;
+        }
+    }
+
+    /**
+     * Rebuild the piece slots in the pieces area
+     * @param {number} count - Number of slots (pieces per round)
+     */
+    createSlots(count) {
+        if (!this.piecesArea) return;
+        
+        this.piecesArea.innerHTML = '';
+        this.slots = [];
+        for (let i = 0; i < count; i++) {
+            const slot = document.createElement('div');
+            slot.id = `slot-${i}`;
+            slot.className = 'piece-slot flex-1 min-w-0 h-full flex items-center justify-center touch-manipulation';
+            this.piecesArea.appendChild(slot);
+            this.slots.push(slot);
+        }
+        this.piecesArea.setAttribute('aria-label', `Pieces, press 1 to ${count} to pick one`);
+    }
+
     /**
      * Try to place a piece using anchor point
      * @param {number} anchorX - Anchor point X coordinate
      * @param {number} anchorY - Anchor point Y coordinate
      * @param {Object} piece - Piece object to place
+     * @param {Object} boardCoords - {r, c} top-left cell to place at instead of the anchor point (keyboard play)
      * @returns {Promise<boolean>} - True if placement was successful
      */
-    async tryPlacePiece(anchorX, anchorY, piece) {
+    async tryPlacePiece(anchorX, anchorY, piece, boardCoords = null) {
         const placeGeneration = this._placeGeneration;
         try {
-            const coords = this.getBoardCoordsFromAnchor(anchorX, anchorY, piece.matrix);
+            const coords = boardCoords || this.getBoardCoordsFromAnchor(anchorX, anchorY, piece.matrix);
             
             // Validate coordinates before sending to server
             const pRows = piece.matrix.length;
             const pCols = piece.matrix[0].length;
+            const { boardSize, piecesPerRound } = this.variant;
             if (coords.r < 0 || coords.c < 0 || 
-                coords.r + pRows > BOARD_SIZE || coords.c + pCols > BOARD_SIZE) {
+                coords.r + pRows > boardSize || coords.c + pCols > boardSize) {
                 return false;
             }
             
@@ -113,23 +460,27 @@ class PuzzleGame {
             
             if (result.success) {
                 // Update local state from server response
+                const points = result.score - this.score;
                 this.board = result.board;
                 this.score = result.score;
+                this.comboCount = result.comboCount;
+                this.updateUndoState(result);
                 
-                // Server always sends array of exactly 3 elements (may contain nulls)
+                // Server always sends one element per piece of the round (may contain nulls)
                 if (result.pieces && Array.isArray(result.pieces)) {
-                    // Ensure we have exactly 3 slots
-                    this.currentPieces = result.pieces.length === PIECES_PER_ROUND 
+                    // Ensure we have exactly one entry per slot
+                    this.currentPieces = result.pieces.length === piecesPerRound 
                         ? result.pieces 
-                        : [...result.pieces, ...Array(Math.max(0, PIECES_PER_ROUND - result.pieces.length)).fill(null)].slice(0, PIECES_PER_ROUND);
+                        : [...result.pieces, ...Array(Math.max(0, piecesPerRound - result.pieces.length)).fill(null)].slice(0, piecesPerRound);
                 } else {
-                    this.currentPieces = [null, null, null];
+                    this.currentPieces = Array(piecesPerRound).fill(null);
                 }
                 
                 // Update UI
                 this.updateScoreUI();
                 this.clearHighlight();
                 this.renderBoard();
+                this.announcePlacement(piece, coords, points, result.lineCleared);
                 
                 // Handle line clearing animation if lines were cleared
                 if (result.lineCleared && (result.lineCleared.rows.length > 0 || result.lineCleared.cols.length > 0)) {
@@ -142,15 +493,20 @@ class PuzzleGame {
                 }
                 
                 // Check if all pieces are used - if so, request new pieces
+                let isGameOver = result.isGameOver;
                 const allPiecesUsed = this.currentPieces.every(p => p === null);
                 if (allPiecesUsed) {
                     try {
                         const newPiecesResult = await this.apiClient.requestNewPieces();
                         if (newPiecesResult.success && newPiecesResult.pieces) {
-                            // Ensure we have exactly 3 pieces
-                            if (Array.isArray(newPiecesResult.pieces) && newPiecesResult.pieces.length === PIECES_PER_ROUND) {
+                            // Ensure we have a full round of pieces
+                            if (Array.isArray(newPiecesResult.pieces) && newPiecesResult.pieces.length === piecesPerRound) {
                                 this.currentPieces = newPiecesResult.pieces;
+                                this.accessibility.announce(`New pieces ${this.accessibility.describePieces(this.currentPieces)}.`);
                             }
+                            // A fresh set that cannot be placed anywhere also ends the game
+                            isGameOver = newPiecesResult.isGameOver;
+                            this.updateUndoState(newPiecesResult);
                         }
                     } catch (error) {
                         if (error.name !== 'AbortError') {
@@ -163,14 +519,15 @@ class PuzzleGame {
                 this.renderPieces();
                 
                 // Check game over
-                if (result.isGameOver) {
+                if (isGameOver) {
                     this.finalScoreEl.innerText = this.score;
                     // Check if this is a new record
                     const isNewRecord = await this.rankManager.isNewRecord(this.score);
+                    this.accessibility.announceAlert(`Game over. Final score ${this.score}${isNewRecord ? ', a new record' : ''}.`);
                     if (isNewRecord) {
                         this.showRecordModal();
                     } else {
-                        this.gameOverModal.classList.remove('hidden');
+                        this.showGameOverModal();
                     }
                 } else {
                     // Check game over with current pieces
@@ -189,6 +546,120 @@ class PuzzleGame {
         }
     }
 
+    /**
+     * Tell screen reader users where a piece went and what it scored
+     * @param {Object} piece - Placed piece
+     * @param {Object} coords - {r, c} top-left cell it was placed at
+     * @param {number} points - Points scored by the placement
+     * @param {Object} lineCleared - {rows, cols} cleared by the placement
+     */
+    announcePlacement(piece, coords, points, lineCleared) {
+        const lines = lineCleared ? lineCleared.rows.length + lineCleared.cols.length : 0;
+        const parts = [`Placed ${this.accessibility.describePiece(piece.matrix)} at ${this.accessibility.describePosition(coords.r, coords.c).toLowerCase()}.`];
+        if (lines > 0) {
+            parts.push(`Cleared ${lines} ${lines === 1 ? 'line' : 'lines'}.`);
+        }
+        parts.push(`Plus ${points}, score ${this.score}.`);
+        this.accessibility.announce(parts.join(' '));
+    }
+
+    /**
+     * Undo the last placement of the current round (server restores board, score, combo and piece)
+     */
+    async undo() {
+        if (!this.canUndo || this.dragHandler.isDragging) return;
+        
+        // Drop results of any placement still in flight - the undo response is authoritative
+        this._placeGeneration++;
+        try {
+            const result = await this.apiClient.undo();
+            
+            this.board = result.board;
+            this.score = result.score;
+            this.comboCount = result.comboCount;
+            this.currentPieces = result.pieces;
+            this.updateUndoState(result);
+            
+            // Undoing the move that ended the game resumes it
+            this.accessibility.closeModal(this.gameOverModal);
+            this.accessibility.closeModal(this.recordModal);
+            
+            this.updateScoreUI();
+            this.clearHighlight();
+            this.renderPieces();
+            this.accessibility.announce(`Placement undone. Score ${this.score}.`);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error undoing placement:', error);
+        }
+    }
+
+    /**
+     * Show the server's suggested next placement on the board
+     * Uses the placement preview highlight, so the next drag replaces it
+     */
+    async showHint() {
+        if (this.dragHandler.isDragging) return;
+        
+        const placeGeneration = this._placeGeneration;
+        const board = this.board;
+        try {
+            const result = await this.apiClient.getHint();
+            this.updateHintCount(result.hintsUsed);
+            // A placement, undo or new game since the request makes the hint stale
+            if (placeGeneration !== this._placeGeneration || board !== this.board) return;
+            
+            const { pieceIndex, r, c } = result.hint;
+            const piece = this.currentPieces[pieceIndex];
+            if (!piece) return;
+            
+            const cells = [];
+            piece.matrix.forEach((row, i) => row.forEach((cell, j) => {
+                if (cell === 1) cells.push({ r: r + i, c: c + j });
+            }));
+            this.highlightData = { cells: cells };
+            this.renderBoard();
+            
+            // Point at the piece to drag there
+            const pieceEl = this.slots[pieceIndex]?.querySelector('.piece');
+            pieceEl?.classList.add('hint-piece');
+            this.accessibility.announce(`Hint: piece ${pieceIndex + 1}, ${this.accessibility.describePiece(piece.matrix)}, at ${this.accessibility.describePosition(r, c).toLowerCase()}.`);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error getting hint:', error);
+        }
+    }
+
+    /**
+     * Show how many hints were used this game
+     * @param {number} hintsUsed
+     */
+    updateHintCount(hintsUsed) {
+        this.hintsUsed = hintsUsed;
+        if (this.hintCountEl) {
+            this.hintCountEl.innerText = hintsUsed;
+        }
+    }
+
+    /**
+     * Store undo availability from a server response and update undo buttons
+     * @param {Object} result - Server response with canUndo and undosRemaining
+     */
+    updateUndoState(result) {
+        this.canUndo = Boolean(result.canUndo);
+        this.undosRemaining = result.undosRemaining || 0;
+        
+        if (this.undoButton) {
+            this.undoButton.disabled = !this.canUndo;
+        }
+        if (this.undoCountEl) {
+            this.undoCountEl.innerText = this.undosRemaining;
+        }
+        if (this.gameOverUndoButton) {
+            this.gameOverUndoButton.classList.toggle('hidden', !this.canUndo);
+        }
+    }
+
     /**
      * Check if game is over (client-side check as fallback)
      * Note: Server also checks and returns isGameOver flag
@@ -246,8 +717,9 @@ class PuzzleGame {
         // Validate coordinates are within bounds first
         const pRows = piece.matrix.length;
         const pCols = piece.matrix[0].length;
+        const { boardSize } = this.variant;
         if (coords.r < 0 || coords.c < 0 || 
-            coords.r + pRows > BOARD_SIZE || coords.c + pCols > BOARD_SIZE) {
+            coords.r + pRows > boardSize || coords.c + pCols > boardSize) {
             this.highlightData = null;
             this.renderBoard();
             return;
@@ -279,31 +751,12 @@ class PuzzleGame {
      * @returns {boolean}
      */
     canPlaceOnBoard(board, piece, row, col) {
-        if (!board || !piece || !piece.length || !piece[0]) {
+        if (!board || board.length !== this.boardManager.boardSize || !piece || !piece.length || !piece[0]) {
             return false;
         }
         
-        const pRows = piece.length;
-        const pCols = piece[0].length;
-
-        // Check bounds
-        if (row < 0 || col < 0 || row + pRows > BOARD_SIZE || col + pCols > BOARD_SIZE) {
-            return false;
-        }
-
-        // Check overlap with existing blocks
-        for (let i = 0; i < pRows; i++) {
-            const boardRow = board[row + i];
-            if (!boardRow) {
-                return false; // Board row doesn't exist (shouldn't happen but safe check)
-            }
-            for (let j = 0; j < pCols; j++) {
-                if (piece[i][j] === 1 && boardRow[col + j] === 1) {
-                    return false; // Overlap detected
-                }
-            }
-        }
-        return true;
+        // Same check the server uses (shared rules)
+        return this.boardManager.canPlaceOnBoard(board, piece, row, col);
     }
 
     /**
@@ -363,6 +816,7 @@ class PuzzleGame {
 
         // Trigger animation
         text.classList.add('show-combo');
+        this.accessibility.announce(`Combo times ${level}, ${bonus} bonus points.`);
 
         // Clean up class after animation ends (1s)
         setTimeout(() => {
@@ -370,6 +824,20 @@ class PuzzleGame {
         }, 1000);
     }
 
+    /**
+     * Highlight the active mode in the mode switch
+     */
+    updateModeUI() {
+        this.modeButtons.forEach(button => {
+            const isActive = button.dataset.mode === this.mode;
+            button.classList.toggle('bg-yellow-400', isActive);
+            button.classList.toggle('text-slate-900', isActive);
+            button.classList.toggle('bg-slate-700', !isActive);
+            button.classList.toggle('text-slate-300', !isActive);
+        });
+        this.updateVariantUI();
+    }
+
     /**
      * Update top rank display in UI
      */
@@ -379,10 +847,12 @@ class PuzzleGame {
         // Update top record display
         if (this.topRankLabelEl) {
             if (topRank) {
+                // Names are typed by players: set as text, never as HTML
                 this.topRankLabelEl.innerHTML = `
                     <span class="text-lg">🥇</span>
-                    <span>${topRank.name}: ${topRank.score}</span>
+                    <span class="top-rank-text"></span>
                 `;
+                this.topRankLabelEl.querySelector('.top-rank-text').textContent = `${topRank.name}: ${topRank.score}`;
             } else {
                 this.topRankLabelEl.innerHTML = `
                     <span class="text-slate-500 font-normal italic">No record</span>
@@ -391,14 +861,65 @@ class PuzzleGame {
         }
     }
 
+    /**
+     * Reload the leaderboards on screen (top rank and the open ranking tab)
+     */
+    async refreshLeaderboard() {
+        this.rankManager.invalidate();
+        await this.updateTopRankDisplay();
+        if (this.rankingModal && !this.rankingModal.classList.contains('hidden') && this.rankingPeriod) {
+            await this.showRankingModal(this.rankingPeriod);
+        }
+    }
+
+    /**
+     * A score was submitted (live update) - refresh if it can change the boards shown
+     * @param {Object} change - {mode, dailyDate, variant, shapePack, entry, ranks}
+     */
+    onLeaderboardChange(change) {
+        if (!this.rankManager.isAffectedBy(change)) return;
+        this.refreshLeaderboard();
+    }
+
+    /**
+     * A score took #1 of its board (live update) - highlight it if it is the board shown
+     * @param {Object} change - {mode, dailyDate, variant, shapePack, entry}
+     */
+    onNewTopRank(change) {
+        if (!this.rankManager.isAffectedBy(change)) return;
+        this.accessibility.announce(`New number one: ${change.entry.name} with ${change.entry.score} points.`);
+        if (!this.topRankLabelEl) return;
+        
+        // Restart the animation if it is still running
+        this.topRankLabelEl.classList.remove('top-rank-new');
+        void this.topRankLabelEl.offsetWidth; // force reflow
+        this.topRankLabelEl.classList.add('top-rank-new');
+    }
+
     /**
      * Show ranking modal with top 10 players
+     * @param {string} period - Leaderboard tab to show (default: the main board of the mode, see RANK_TABS)
      */
-    async showRankingModal() {
+    async showRankingModal(period = this.rankManager.getTabs()[0].period) {
         if (!this.rankingModal || !this.rankingListEl) return;
         
-        const ranks = await this.rankManager.getTopRanks();
+        this.rankingPeriod = period;
+        const ranks = await this.rankManager.getTopRanks(period);
+        // Another tab was picked while this one loaded
+        if (this.rankingPeriod !== period) return;
+        
+        if (this.rankingTitleEl) {
+            const variantId = getVariantId(this.variant);
+            const suffix = [
+                variantId === getVariantId(DEFAULT_VARIANT) ? null : variantId,
+                this.shapePack === DEFAULT_SHAPE_PACK ? null : this.shapePack
+            ].filter(Boolean).join(' ');
+            this.rankingTitleEl.innerText = this.mode === 'daily'
+                ? `📅 Daily ${this.rankManager.dailyDate || ''}`.trim()
+                : `🏆 Hall of Fame ${suffix}`.trim();
+        }
         
+        this.renderRankingTabs();
         this.rankingListEl.innerHTML = '';
         
         if (ranks.length === 0) {
@@ -420,15 +941,147 @@ class PuzzleGame {
                 rankEl.innerHTML = `
                     <div class="flex items-center gap-3">
                         <span class="text-xl">${icon}</span>
-                        <span class="font-bold ${index === 0 ? 'text-yellow-400' : 'text-slate-200'}">${rank.name}</span>
+                        <span class="rank-name font-bold ${index === 0 ? 'text-yellow-400' : 'text-slate-200'}"></span>
+                        ${rank.usedUndo ? '<span class="text-xs text-slate-400" title="Used undo">↶</span>' : ''}
+                        ${rank.usedHint ? '<span class="text-xs text-slate-400" title="Used hints">💡</span>' : ''}
+                        ${rank.seeded ? '<span class="text-xs text-slate-400" title="Chosen seed">🌱</span>' : ''}
+                        ${rank.difficulty ? `<span class="text-xs px-1 rounded ${DIFFICULTY_BADGE_CLASSES[rank.difficulty] || ''}" title="Difficulty">${rank.difficulty}</span>` : ''}
+                    </div>
+                    <div class="flex items-center gap-2">
+                        <div class="font-mono font-bold text-green-400">${rank.score}</div>
+                        ${rank.replayId ? `<button class="replay-btn px-2 py-0.5 rounded bg-slate-600 hover:bg-slate-500 text-xs" title="Watch replay">▶</button>` : ''}
                     </div>
-                    <div class="font-mono font-bold text-green-400">${rank.score}</div>
                 `;
+                // Names are typed by players: set as text, never as HTML
+                rankEl.querySelector('.rank-name').textContent = rank.name;
+                const replayButton = rankEl.querySelector('.replay-btn');
+                if (replayButton) {
+                    replayButton.addEventListener('click', () => {
+                        this.replayViewer.open(rank.replayId, `${rank.name} · ${rank.score}`);
+                    });
+                }
                 this.rankingListEl.appendChild(rankEl);
             });
         }
         
-        this.rankingModal.classList.remove('hidden');
+        if (this.rankingModal.classList.contains('hidden')) {
+            this.accessibility.openModal(this.rankingModal, { onEscape: () => this.closeRankingModal() });
+        }
+    }
+
+    /**
+     * Show the leaderboard tabs of the current mode, marking the one being shown
+     */
+    renderRankingTabs() {
+        if (!this.rankingTabsEl) return;
+        
+        const hadFocus = this.rankingTabsEl.contains(document.activeElement);
+        this.rankingTabsEl.innerHTML = '';
+        this.rankManager.getTabs().forEach(tab => {
+            const isActive = tab.period === this.rankingPeriod;
+            const button = document.createElement('button');
+            button.className = `flex-1 px-2 py-1 rounded text-xs font-bold transition-colors ${isActive ? 'bg-yellow-400 text-slate-900' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`;
+            button.setAttribute('role', 'tab');
+            button.setAttribute('aria-selected', String(isActive));
+            button.innerText = tab.label;
+            button.addEventListener('click', () => this.showRankingModal(tab.period));
+            this.rankingTabsEl.appendChild(button);
+            if (isActive && hadFocus) button.focus();
+        });
+    }
+
+    /**
+     * Close ranking modal
+     */
+    closeRankingModal() {
+        this.accessibility.closeModal(this.rankingModal);
+    }
+
+    /**
+     * Show the player's profile: display name, stats and recent games
+     */
+    async showProfileModal() {
+        if (!this.profileModal) return;
+        
+        const profile = await this.playerManager.getProfile();
+        if (this.profileNameInput) {
+            this.profileNameInput.value = this.playerManager.name;
+        }
+        
+        const stats = profile ? profile.stats : { gamesPlayed: 0, personalBest: 0, averageScore: 0, totalLinesCleared: 0, bestCombo: 0 };
+        if (this.profileStatsEl) {
+            this.profileStatsEl.innerHTML = '';
+            [
+                ['Games played', stats.gamesPlayed],
+                ['Personal best', stats.personalBest],
+                ['Average score', stats.averageScore],
+                ['Lines cleared', stats.totalLinesCleared],
+                ['Best combo', stats.bestCombo > 1 ? `x${stats.bestCombo}` : '-']
+            ].forEach(([label, value]) => {
+                const statEl = document.createElement('div');
+                statEl.className = 'bg-slate-700/50 rounded-lg p-2';
+                statEl.innerHTML = `
+                    <dt class="text-xs text-slate-400">${label}</dt>
+                    <dd class="font-mono font-bold text-green-400">${value}</dd>
+                `;
+                this.profileStatsEl.appendChild(statEl);
+            });
+        }
+        
+        if (this.profileGamesEl) {
+            this.profileGamesEl.innerHTML = '';
+            const games = profile ? profile.recentGames : [];
+            if (games.length === 0) {
+                this.profileGamesEl.innerHTML = `
+                    <div class="text-center py-4 text-slate-500">
+                        Finish a game to start your stats.
+                    </div>
+                `;
+            }
+            games.forEach(game => {
+                const board = game.mode === 'daily'
+                    ? `📅 Daily ${game.dailyDate || ''}`.trim()
+                    : [game.variant, game.shapePack === DEFAULT_SHAPE_PACK ? null : game.shapePack, game.difficulty].filter(Boolean).join(' ');
+                const gameEl = document.createElement('div');
+                gameEl.className = 'flex justify-between items-center px-3 py-2 rounded-lg bg-slate-700/50 text-sm';
+                gameEl.innerHTML = `
+                    <div class="text-slate-300">${board}</div>
+                    <div class="flex items-center gap-3">
+                        <span class="text-xs text-slate-500">${new Date(game.date).toLocaleDateString()}</span>
+                        <span class="font-mono font-bold text-green-400">${game.score}</span>
+                    </div>
+                `;
+                this.profileGamesEl.appendChild(gameEl);
+            });
+        }
+        
+        if (this.profileModal.classList.contains('hidden')) {
+            this.accessibility.openModal(this.profileModal, { onEscape: () => this.closeProfileModal() });
+        }
+    }
+
+    /**
+     * Save the display name typed in the profile modal
+     */
+    saveProfileName() {
+        if (!this.profileNameInput) return;
+        this.playerManager.setName(this.profileNameInput.value);
+        this.profileNameInput.value = this.playerManager.name;
+        this.accessibility.announce(this.playerManager.name ? `Name saved: ${this.playerManager.name}.` : 'Name cleared.');
+    }
+
+    /**
+     * Close profile modal
+     */
+    closeProfileModal() {
+        this.accessibility.closeModal(this.profileModal);
+    }
+
+    /**
+     * Show game over modal (focus goes to its buttons)
+     */
+    showGameOverModal() {
+        this.accessibility.openModal(this.gameOverModal);
     }
 
     /**
@@ -440,32 +1093,36 @@ class PuzzleGame {
             if (recordScoreEl) {
                 recordScoreEl.innerText = this.score;
             }
-            this.recordModal.classList.remove('hidden');
-            // Focus on input field
             if (this.recordNameInput) {
-                setTimeout(() => {
-                    this.recordNameInput.focus();
-                }, 100);
+                this.recordNameInput.value = this.playerManager.name;
             }
+            // Focus on input field
+            this.accessibility.openModal(this.recordModal, { initialFocus: this.recordNameInput });
         }
     }
 
+    /**
+     * Leave the record modal without saving (game over modal follows)
+     */
+    skipRecord() {
+        this.accessibility.closeModal(this.recordModal);
+        this.showGameOverModal();
+    }
+
     /**
      * Save new record with player name
      */
     async saveRecord() {
         const name = this.recordNameInput?.value || 'Anonymous';
         try {
-            if (await this.rankManager.saveTopRank(name, this.score)) {
+            if (await this.rankManager.saveTopRank(name, this.apiClient.sessionId)) {
                 await this.updateTopRankDisplay();
                 // Hide record modal and show game over modal
-                if (this.recordModal) {
-                    this.recordModal.classList.add('hidden');
-                }
-                this.gameOverModal.classList.remove('hidden');
-                // Clear input for next time
-                if (this.recordNameInput) {
-                    this.recordNameInput.value = '';
+                this.accessibility.closeModal(this.recordModal);
+                this.showGameOverModal();
+                // Remember the name for the next record and the player's profile
+                if (this.recordNameInput && this.recordNameInput.value.trim()) {
+                    this.playerManager.setName(this.recordNameInput.value);
                 }
             }
         } catch (error) {
@@ -479,6 +1136,7 @@ class PuzzleGame {
      */
     renderBoard() {
         this.renderer.drawBoard(this.board, this.highlightData);
+        this.accessibility.updateBoard(this.board);
         
         // Draw ghost piece if dragging
         if (this.dragHandler && this.dragHandler.isDragging && this.dragHandler.draggedPiece) {
@@ -486,6 +1144,7 @@ class PuzzleGame {
             const anchorScreenX = this.dragHandler.anchorPointX;
             const anchorScreenY = this.dragHandler.anchorPointY;
             const color = this.renderer.getColorFromClass(piece.color);
+            const glyph = this.themeManager.getGlyph(piece.color);
             
             // Convert screen coordinates to canvas coordinates
             const rect = this.renderer.canvas.getBoundingClientRect();
@@ -495,7 +1154,7 @@ class PuzzleGame {
             // Draw ghost piece with slight transparency and shadow
             this.renderer.ctx.save();
             this.renderer.ctx.globalAlpha = 0.8;
-            this.renderer.drawPiece(piece.matrix, anchorCanvasX, anchorCanvasY, color, 1, true);
+            this.renderer.drawPiece(piece.matrix, anchorCanvasX, anchorCanvasY, color, 1, true, glyph);
             this.renderer.ctx.restore();
         }
     }
@@ -552,6 +1211,10 @@ class PuzzleGame {
             }
         });
         
+        // Re-mark the piece picked with the keyboard, describe the pieces for screen readers
+        this.keyboardHandler.updateSelection();
+        this.accessibility.updatePieces(this.slots, this.currentPieces);
+        
         requestAnimationFrame(() => {
             // Release render lock
             this.isRenderingPieces = false;
@@ -665,12 +1328,19 @@ class PuzzleGame {
 
         container.dataset.index = index;
 
-        // Render child blocks
+        // Render child blocks in the theme's color (and glyph, if switched on)
+        const color = this.themeManager.getPieceColor(pieceData.color);
+        const glyph = this.themeManager.getGlyph(pieceData.color);
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
                 const block = document.createElement('div');
                 if (matrix[r][c] === 1) {
-                    block.className = `w-full h-full rounded-sm ${pieceData.color}`;
+                    block.className = 'piece-block w-full h-full rounded-sm';
+                    block.style.backgroundColor = color;
+                    if (glyph) {
+                        block.textContent = glyph;
+                        block.style.color = this.themeManager.getGlyphColor(color);
+                    }
                 } else {
                     block.className = 'w-full h-full opacity-0';
                 }
@@ -0,0 +1,199 @@
+/**
+ * KEYBOARD HANDLER
+ * Keyboard-only play: number keys pick a piece, arrow keys move it over the board as a ghost
+ * (green where it fits, red where it doesn't), Enter places it and Escape cancels
+ */
+class KeyboardHandler {
+    constructor(game) {
+        this.game = game;
+        this.selectedIndex = -1; // Slot of the picked piece, -1 if none
+        this.selectedId = null; // Id of the picked piece (the slot gets a new piece next round)
+        this.cursor = null; // {r, c} top-left cell of the ghost piece
+        this.isPlacing = false; // A placement request is in flight
+
+        // Bound handler (for removeEventListener if ever needed)
+        this._onKeyDown = (e) => this.onKeyDown(e);
+    }
+
+    /**
+     * Setup keyboard event listener (once per page load)
+     */
+    setupKeyboardEvents() {
+        if (this._eventsBound) return;
+        this._eventsBound = true;
+
+        document.addEventListener('keydown', this._onKeyDown);
+    }
+
+    /**
+     * Get the picked piece
+     * @returns {Object|null} - Piece of the selected slot, null if none is picked (or it was placed meanwhile)
+     */
+    getSelectedPiece() {
+        const piece = this.selectedIndex >= 0 ? this.game.currentPieces[this.selectedIndex] : null;
+        return piece && piece.id === this.selectedId ? piece : null;
+    }
+
+    /**
+     * Handle a key press
+     */
+    onKeyDown(e) {
+        // Leave typing in form fields, open dialogs and mouse/touch drags alone
+        const tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (this.isModalOpen() || this.game.dragHandler.isDragging) return;
+
+        const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+        const slotIndex = /^[1-9]$/.test(e.key) ? Number(e.key) - 1 : -1;
+
+        if (slotIndex >= 0 && slotIndex < this.game.slots.length) {
+            e.preventDefault();
+            this.select(slotIndex);
+        } else if (e.key in moves) {
+            if (!this.getSelectedPiece()) return;
+            e.preventDefault();
+            this.move(moves[e.key][0], moves[e.key][1]);
+        } else if (e.key === 'Enter') {
+            if (!this.getSelectedPiece()) return;
+            e.preventDefault();
+            this.place();
+        } else if (e.key === 'Escape') {
+            if (this.selectedIndex < 0) return;
+            e.preventDefault();
+            this.cancel();
+        }
+    }
+
+    /**
+     * Check whether a dialog is covering the board
+     * @returns {boolean}
+     */
+    isModalOpen() {
+        const modals = [this.game.gameOverModal, this.game.recordModal, this.game.rankingModal, this.game.profileModal, this.game.resumeModal, this.game.replayViewer.modal];
+        return modals.some(modal => modal && !modal.classList.contains('hidden'));
+    }
+
+    /**
+     * Pick the piece in a slot (the ghost keeps its last position, or starts centered)
+     * @param {number} index - Slot index
+     */
+    select(index) {
+        const piece = this.game.currentPieces[index];
+        if (!piece) return;
+
+        const { boardSize } = this.game.variant;
+        this.selectedIndex = index;
+        this.selectedId = piece.id;
+        if (!this.cursor) {
+            this.cursor = {
+                r: Math.floor((boardSize - piece.matrix.length) / 2),
+                c: Math.floor((boardSize - piece.matrix[0].length) / 2)
+            };
+        }
+        this.updateSelection();
+        this.game.accessibility.announce(`Piece ${index + 1}, ${this.game.accessibility.describePiece(piece.matrix)}.`);
+        this.showGhost();
+    }
+
+    /**
+     * Move the ghost piece by one cell (it stays on the board)
+     * @param {number} dr - Row change
+     * @param {number} dc - Column change
+     */
+    move(dr, dc) {
+        this.cursor = { r: this.cursor.r + dr, c: this.cursor.c + dc };
+        this.showGhost();
+    }
+
+    /**
+     * Place the picked piece at the ghost position
+     * @returns {Promise<boolean>} - True if placement was successful
+     */
+    async place() {
+        const piece = this.getSelectedPiece();
+        if (!piece || this.isPlacing) return false;
+        // The ghost already shows red - don't bother the server
+        if (!this.game.canPlaceOnBoard(this.game.board, piece.matrix, this.cursor.r, this.cursor.c)) return false;
+
+        this.isPlacing = true;
+        try {
+            const placed = await this.game.tryPlacePiece(null, null, piece, this.cursor);
+            if (placed) {
+                // tryPlacePiece re-rendered the board and pieces without the placed one
+                this.selectedIndex = -1;
+                this.selectedId = null;
+            } else if (this.getSelectedPiece() === piece) {
+                this.showGhost();
+            }
+            return placed;
+        } finally {
+            this.isPlacing = false;
+        }
+    }
+
+    /**
+     * Drop the picked piece back into its slot
+     */
+    cancel() {
+        this.selectedIndex = -1;
+        this.selectedId = null;
+        this.updateSelection();
+        this.game.clearHighlight();
+    }
+
+    /**
+     * Forget the picked piece and cursor (new game or board size)
+     */
+    reset() {
+        if (this.selectedIndex >= 0) {
+            this.game.highlightData = null;
+        }
+        this.selectedIndex = -1;
+        this.selectedId = null;
+        this.cursor = null;
+    }
+
+    /**
+     * Draw the picked piece at the cursor: highlight cells, marked invalid where it doesn't fit
+     */
+    showGhost() {
+        const piece = this.getSelectedPiece();
+        if (!piece) {
+            this.cancel();
+            return;
+        }
+
+        // Keep the whole piece on the board (also after switching to a larger piece)
+        const { boardSize } = this.game.variant;
+        const rows = piece.matrix.length;
+        const cols = piece.matrix[0].length;
+        this.cursor = {
+            r: Math.max(0, Math.min(boardSize - rows, this.cursor.r)),
+            c: Math.max(0, Math.min(boardSize - cols, this.cursor.c))
+        };
+
+        const cells = [];
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                if (piece.matrix[i][j] === 1) {
+                    cells.push({ r: this.cursor.r + i, c: this.cursor.c + j });
+                }
+            }
+        }
+        const fits = this.game.canPlaceOnBoard(this.game.board, piece.matrix, this.cursor.r, this.cursor.c);
+        this.game.highlightData = { cells: cells, invalid: !fits };
+        this.game.renderBoard();
+        this.game.accessibility.announce(`${this.game.accessibility.describePosition(this.cursor.r, this.cursor.c)}, ${fits ? 'fits' : 'does not fit'}.`, 'cursor');
+    }
+
+    /**
+     * Mark the picked piece in its slot (called again after the slots are re-rendered)
+     */
+    updateSelection() {
+        const selectedIndex = this.getSelectedPiece() ? this.selectedIndex : -1;
+        this.game.slots.forEach((slot, index) => {
+            slot.querySelector('.piece')?.classList.toggle('keyboard-selected', index === selectedIndex);
+        });
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * LIVE UPDATES
+ * Keeps the leaderboard current without reloading the page: listens to the server's event stream
+ * (GET /api/events, Server-Sent Events). A lost stream is reopened with exponential backoff, and the
+ * leaderboard is polled while it is down (or all the time in browsers without EventSource).
+ */
+class LiveUpdates {
+    /**
+     * @param {APIClient} apiClient
+     * @param {Object} handlers
+     * @param {Function} handlers.onRank - A score was submitted: ({mode, dailyDate, variant, shapePack, entry, ranks})
+     * @param {Function} handlers.onNewTop - The score took #1 of its board: ({mode, dailyDate, variant, shapePack, entry})
+     * @param {Function} handlers.onPoll - Reload the leaderboard (polling, and after reconnecting)
+     */
+    constructor(apiClient, handlers) {
+        this.apiClient = apiClient;
+        this.handlers = handlers;
+        this.source = null; // Open EventSource
+        this.failures = 0; // Failed connections in a row
+        this.reconnectTimer = null;
+        this.pollTimer = null;
+    }
+
+    /**
+     * Start listening (polls instead if the browser has no EventSource)
+     */
+    start() {
+        if (typeof EventSource === 'undefined') {
+            this.startPolling();
+            return;
+        }
+        this.connect();
+    }
+
+    connect() {
+        this.reconnectTimer = null;
+        const source = this.apiClient.openEvents();
+        this.source = source;
+
+        source.addEventListener('open', () => {
+            // Scores may have come in while disconnected
+            if (this.failures > 0) {
+                this.handlers.onPoll();
+            }
+            this.failures = 0;
+            this.stopPolling();
+        });
+        source.addEventListener('rank', event => this.dispatch(this.handlers.onRank, event));
+        source.addEventListener('new-top', event => this.dispatch(this.handlers.onNewTop, event));
+        source.addEventListener('error', () => {
+            // EventSource would retry at a fixed pace (or give up on HTTP errors) - back off instead
+            source.close();
+            if (this.source !== source) return;
+            this.source = null;
+            this.failures++;
+            this.startPolling();
+            this.scheduleReconnect();
+        });
+    }
+
+    scheduleReconnect() {
+        const delay = Math.min(LIVE_RECONNECT_MAX_DELAY, LIVE_RECONNECT_MIN_DELAY * 2 ** (this.failures - 1));
+        // Jitter, so clients dropped together don't all come back at once
+        this.reconnectTimer = setTimeout(() => this.connect(), delay * (0.5 + Math.random() / 2));
+    }
+
+    startPolling() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => this.handlers.onPoll(), LIVE_POLL_INTERVAL);
+    }
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    /**
+     * Pass the payload of an event to its handler
+     * @param {Function} handler - Event handler
+     * @param {MessageEvent} event - Event from the stream
+     */
+    dispatch(handler, event) {
+        try {
+            handler(JSON.parse(event.data));
+        } catch (e) {
+            console.error(`Error handling ${event.type} event:`, e);
+        }
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * PLAYER MANAGER
+ * The player's identity: a generated player id and a chosen display name, kept in localStorage.
+ * The id is sent with every new game so the server can keep the player's stats (see GET /api/player/:id).
+ */
+class PlayerManager {
+    constructor(apiClient) {
+        this.apiClient = apiClient;
+        const saved = this.load();
+        this.playerId = isValidPlayerId(saved.id) ? saved.id : this.generatePlayerId();
+        this.name = typeof saved.name === 'string' ? saved.name : '';
+        this.save();
+    }
+
+    /**
+     * @returns {string} - Random player id
+     */
+    generatePlayerId() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `player-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Change the display name (used for the next games and prefilled on the leaderboard)
+     * @param {string} name
+     */
+    setName(name) {
+        this.name = String(name || '').trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+        this.save();
+    }
+
+    /**
+     * Load the player's profile from server
+     * @returns {Promise<Object|null>} - {id, name, createdAt, stats, recentGames}, null before the first finished game
+     */
+    async getProfile() {
+        return this.apiClient.getPlayer(this.playerId);
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(PLAYER_STORAGE_KEY)) || {};
+        } catch (e) {
+            return {}; // Storage disabled or unreadable - new identity
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(PLAYER_STORAGE_KEY, JSON.stringify({ id: this.playerId, name: this.name }));
+        } catch (e) {
+            // Storage disabled - identity lasts until reload
+        }
+    }
+}
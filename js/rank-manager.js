@@ -3,22 +3,82 @@
  * Handles top rank storage and management
  * Now uses server API instead of localStorage
  */
+
+// Leaderboards shown as tabs in the ranking modal, per mode ('today' is the daily challenge of the day)
+const RANK_TABS = {
+    classic: [
+        { period: 'all', label: 'All-time' },
+        { period: 'month', label: 'This month' },
+        { period: 'week', label: 'This week' }
+    ],
+    daily: [
+        { period: 'today', label: 'Today' },
+        { period: 'week', label: 'This week' },
+        { period: 'month', label: 'This month' },
+        { period: 'all', label: 'All-time' }
+    ]
+};
+
 class RankManager {
     constructor(apiClient) {
         this.apiClient = apiClient;
-        this.topRank = null;
+        this.boards = new Map(); // period -> rank entries of the current mode/variant (loaded on demand)
+        this.mode = 'classic';
+        this.dailyDate = null;
+        this.variantId = getVariantId(DEFAULT_VARIANT); // Classic leaderboards are per variant...
+        this.shapePack = DEFAULT_SHAPE_PACK; // ...and per shape pack
     }
 
     /**
-     * Load top rank from server
-     * @returns {Promise<Object|null>} - {name: string, score: number, date: string} or null
+     * Switch the leaderboard being tracked (drops cached ranks)
+     * @param {string} mode - 'classic' or 'daily'
      */
-    async loadTopRank() {
+    setMode(mode) {
+        if (mode === this.mode) return;
+        this.mode = mode;
+        this.boards.clear();
+    }
+
+    /**
+     * Switch the classic leaderboard to another variant (drops cached ranks)
+     * @param {string} variantId - Variant id (e.g. '10x10-4')
+     * @param {string} [shapePack] - Shape pack id
+     */
+    setVariant(variantId, shapePack = DEFAULT_SHAPE_PACK) {
+        if (variantId === this.variantId && shapePack === this.shapePack) return;
+        this.variantId = variantId;
+        this.shapePack = shapePack;
+        if (this.mode !== 'daily') {
+            this.boards.clear();
+        }
+    }
+
+    /**
+     * Get the leaderboard tabs of the current mode
+     * @returns {Array} - [{period, label}], the main board first
+     */
+    getTabs() {
+        return RANK_TABS[this.mode] || RANK_TABS.classic;
+    }
+
+    /**
+     * Load a leaderboard from server
+     * @param {string} period - 'all', 'month', 'week' or (daily mode) 'today'
+     * @returns {Promise<Array>} - Rank entries ({name, score, date, ...}), best first
+     */
+    async loadTopRank(period = this.getTabs()[0].period) {
         try {
-            const ranks = await this.apiClient.getTopRank();
-            this.topRanks = Array.isArray(ranks) ? ranks : (ranks ? [ranks] : []);
-            this.topRank = this.topRanks.length > 0 ? this.topRanks[0] : null;
-            return this.topRanks;
+            let ranks;
+            if (period === 'today') {
+                const daily = await this.apiClient.getDaily();
+                this.dailyDate = daily ? daily.date : null;
+                ranks = daily ? daily.rank : [];
+            } else {
+                ranks = await this.apiClient.getTopRank(this.variantId, this.shapePack, { period: period, mode: this.mode });
+            }
+            const board = Array.isArray(ranks) ? ranks : (ranks ? [ranks] : []);
+            this.boards.set(period, board);
+            return board;
         } catch (e) {
             console.error('Error loading top rank:', e);
             return [];
@@ -28,15 +88,14 @@ class RankManager {
     /**
      * Save top rank to server
      * @param {string} name - Player name
-     * @param {number} score - Player score
+     * @param {string} sessionId - Session id of the finished game
      * @returns {Promise<boolean>} - True if saved successfully
      */
-    async saveTopRank(name, score) {
+    async saveTopRank(name, sessionId) {
         try {
-            const result = await this.apiClient.saveTopRank(name, score);
-            // API now returns {rank, ranks}
-            this.topRank = result.rank;
-            this.topRanks = result.ranks;
+            await this.apiClient.saveTopRank(name, sessionId);
+            // The score may enter any of the boards - reload them on next read
+            this.invalidate();
             return true;
         } catch (e) {
             console.error('Error saving top rank:', e);
@@ -45,37 +104,53 @@ class RankManager {
     }
 
     /**
-     * Check if score is a new record (qualifies for top 10)
+     * Drop cached leaderboards (reloaded on next read)
+     */
+    invalidate() {
+        this.boards.clear();
+    }
+
+    /**
+     * Check whether a submitted score can change the boards being tracked
+     * @param {Object} change - {mode, variant, shapePack} of the score (see the 'rank' event of LiveUpdates)
+     * @returns {boolean}
+     */
+    isAffectedBy(change) {
+        if (change.mode !== this.mode) return false;
+        // Daily games are all played on the standard game
+        return this.mode === 'daily' || (change.variant === this.variantId && change.shapePack === this.shapePack);
+    }
+
+    /**
+     * Check if score is a new record (makes the top 10 of at least the shortest board:
+     * this week for classic games, today for daily ones)
      * @param {number} score - Score to check
-     * @returns {Promise<boolean>} - True if score qualifies for top 10
+     * @returns {Promise<boolean>} - True if score qualifies
      */
     async isNewRecord(score) {
-        if (!this.topRanks) {
-            await this.loadTopRank();
-        }
-        if (this.topRanks.length < 10) return true;
-        return score > this.topRanks[this.topRanks.length - 1].score;
+        const ranks = await this.getTopRanks(this.mode === 'daily' ? 'today' : 'week');
+        if (ranks.length < 10) return true;
+        return score > ranks[ranks.length - 1].score;
     }
 
     /**
-     * Get current top ranks
+     * Get a leaderboard
+     * @param {string} period - Board to get (default: the main board of the mode)
      * @returns {Promise<Array>} - Top ranks array
      */
-    async getTopRanks() {
-        if (!this.topRanks) {
-            await this.loadTopRank();
+    async getTopRanks(period = this.getTabs()[0].period) {
+        if (!this.boards.has(period)) {
+            await this.loadTopRank(period);
         }
-        return this.topRanks;
+        return this.boards.get(period) || [];
     }
 
     /**
-     * Get the absolute #1 rank
+     * Get the absolute #1 rank of the main board
      * @returns {Promise<Object|null>} - Top rank data or null
      */
     async getTopRank() {
-        if (!this.topRanks) {
-            await this.loadTopRank();
-        }
-        return this.topRank;
+        const ranks = await this.getTopRanks();
+        return ranks.length > 0 ? ranks[0] : null;
     }
 }
@@ -0,0 +1,355 @@
+/**
+ * REPLAY VIEWER
+ * Plays back a game's move log (from /api/game/replay) on its own canvas
+ */
+class ReplayViewer {
+    constructor(apiClient, accessibility, themeManager) {
+        this.apiClient = apiClient;
+        this.accessibility = accessibility; // Moves focus into the viewer and back (see AccessibilityLayer)
+        this.themeManager = themeManager; // Replays are drawn in the player's theme
+        this.renderer = null; // Created on first open (canvas must be visible to be measured)
+        
+        // Playback state
+        this.replay = null;
+        this.frames = []; // frames[0] = start of game, frames[i] = after placement (or undo) i
+        this.currentStep = 0;
+        this.isPlaying = false;
+        this.speed = 1;
+        this.playTimer = null;
+        this._stepGeneration = 0;
+        
+        // DOM elements
+        this.modal = document.getElementById('replay-modal');
+        this.titleEl = document.getElementById('replay-title');
+        this.infoEl = document.getElementById('replay-info');
+        this.scrubEl = document.getElementById('replay-scrub');
+        this.playButton = document.getElementById('replay-play');
+        this.speedEl = document.getElementById('replay-speed');
+        
+        this.scrubEl?.addEventListener('input', () => {
+            this.pause();
+            this.showStep(parseInt(this.scrubEl.value, 10));
+        });
+        this.speedEl?.addEventListener('change', () => {
+            this.speed = parseFloat(this.speedEl.value) || 1;
+        });
+    }
+
+    /**
+     * Load a replay from the server and show the viewer
+     * @param {string} replayId - Public id of the recorded game (from its leaderboard entry)
+     * @param {string} title - Title shown above the board (e.g. player name)
+     */
+    async open(replayId, title = 'Replay') {
+        if (!this.modal) return;
+        
+        try {
+            const replay = await this.apiClient.getReplay(replayId);
+            this.load(replay);
+        } catch (error) {
+            console.error('Error loading replay:', error);
+            alert('Replay is not available.');
+            return;
+        }
+        
+        if (this.titleEl) {
+            this.titleEl.innerText = `▶ ${title}`;
+        }
+        this.accessibility.openModal(this.modal, { onEscape: () => this.close() });
+        
+        // Canvas is only measurable once the modal is visible
+        if (!this.renderer) {
+            this.renderer = new CanvasRenderer('replay-canvas', this.replay.boardSize, this.themeManager);
+            this.renderer.onResize = () => this.drawStep();
+        } else if (this.renderer.boardSize !== this.replay.boardSize) {
+            // Replays of other variants are drawn on the same canvas
+            this.renderer.setBoardSize(this.replay.boardSize);
+        } else {
+            this.renderer.resize();
+        }
+        
+        this.showStep(0);
+    }
+
+    /**
+     * Close the viewer and stop playback
+     */
+    close() {
+        this.pause();
+        this._stepGeneration++;
+        this.accessibility.closeModal(this.modal);
+    }
+
+    /**
+     * Rebuild every board state from the move log
+     * @param {Object} replay - {seed, boardSize, score, moves}
+     */
+    load(replay) {
+        this.pause();
+        this.replay = replay;
+        
+        const boardManager = new BoardManager(replay.boardSize);
+        boardManager.createEmptyBoard();
+        
+        let score = 0;
+        let pieces = [];
+        let undoStack = []; // States before each placement of the current round
+        this.frames = [{ board: boardManager.board.map(row => [...row]), score: 0, pieces: pieces, move: null }];
+        
+        replay.moves.forEach(move => {
+            if (move.type === 'deal') {
+                pieces = move.pieces;
+                undoStack = [];
+                // A deal only changes the tray of the latest frame
+                this.frames[this.frames.length - 1].pieces = pieces;
+            } else if (move.type === 'undo') {
+                const previous = undoStack.pop();
+                if (!previous) return;
+                boardManager.board = previous.board.map(row => [...row]);
+                score = move.score;
+                pieces = previous.pieces;
+                this.frames.push({
+                    board: boardManager.board.map(row => [...row]),
+                    score: score,
+                    pieces: pieces,
+                    move: move
+                });
+            } else if (move.type === 'place') {
+                const boardBefore = boardManager.board.map(row => [...row]);
+                undoStack.push({ board: boardBefore, pieces: pieces });
+                boardManager.placePiece(move.piece.matrix, move.x, move.y, getColorId(move.piece.color));
+                const placedBoard = boardManager.board.map(row => [...row]);
+                boardManager.clearLines(move.lineCleared);
+                score = move.score;
+                pieces = pieces.map((p, i) => i === move.pieceIndex ? null : p);
+                
+                this.frames.push({
+                    boardBefore: boardBefore,
+                    placedBoard: placedBoard,
+                    board: boardManager.board.map(row => [...row]),
+                    score: score,
+                    pieces: pieces,
+                    move: move
+                });
+            }
+        });
+        
+        this.currentStep = 0;
+        if (this.scrubEl) {
+            this.scrubEl.max = this.frames.length - 1;
+            this.scrubEl.value = 0;
+        }
+    }
+
+    /**
+     * Jump to a step without animation
+     * @param {number} step - Frame index
+     */
+    showStep(step) {
+        this._stepGeneration++;
+        this.currentStep = Math.max(0, Math.min(this.frames.length - 1, step));
+        this.drawStep();
+        this.updateInfo();
+    }
+
+    /**
+     * Draw the current frame (board after the placement, placed cells highlighted)
+     */
+    drawStep() {
+        if (!this.renderer || this.frames.length === 0) return;
+        
+        const frame = this.frames[this.currentStep];
+        const highlightData = frame.move && frame.move.type === 'place' ? { cells: this.getPieceCells(frame.move, frame.board) } : null;
+        this.renderer.drawBoard(frame.board, highlightData);
+    }
+
+    /**
+     * Advance one step, showing the piece landing and any line clears
+     * @returns {Promise<boolean>} - False if already at the last step
+     */
+    async stepForward() {
+        if (this.currentStep >= this.frames.length - 1) return false;
+        
+        const stepGeneration = ++this._stepGeneration;
+        const frame = this.frames[this.currentStep + 1];
+        const { move } = frame;
+        
+        // Undo just jumps back to the earlier board
+        if (move.type === 'undo') {
+            this.currentStep++;
+            this.drawStep();
+            this.updateInfo();
+            return true;
+        }
+        
+        // 1. Show the piece over its target cells
+        this.renderer.drawBoard(frame.boardBefore);
+        const color = this.renderer.getColorFromClass(move.piece.color);
+        const center = this.getPieceCenter(move);
+        this.renderer.drawPiece(move.piece.matrix, center.x, center.y, color, 1, true, this.themeManager.getGlyph(move.piece.color));
+        await this.wait(this.getStepDelay() / 3);
+        if (stepGeneration !== this._stepGeneration) return false;
+        
+        // 2. Animate line clears on the board with the piece placed
+        const { rows, cols } = move.lineCleared;
+        if (rows.length > 0 || cols.length > 0) {
+            await new Promise(resolve => {
+                this.renderer.animateClearing(rows, cols, resolve);
+                const animate = () => {
+                    this.renderer.drawBoard(frame.placedBoard);
+                    if (this.renderer.clearingCells.size > 0) {
+                        requestAnimationFrame(animate);
+                    }
+                };
+                animate();
+            });
+            if (stepGeneration !== this._stepGeneration) {
+                // Scrubbed or closed mid-animation - redraw whatever step is current now
+                this.drawStep();
+                return false;
+            }
+        }
+        
+        // 3. Settle on the resulting board
+        this.currentStep++;
+        this.drawStep();
+        this.updateInfo();
+        return true;
+    }
+
+    /**
+     * Go back one placement
+     */
+    stepBack() {
+        this.pause();
+        this.showStep(this.currentStep - 1);
+    }
+
+    /**
+     * Advance one placement (from the controls)
+     */
+    next() {
+        this.pause();
+        this.stepForward();
+    }
+
+    /**
+     * Toggle playback
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Start playing from the current step (restarts at the beginning if finished)
+     */
+    play() {
+        if (this.frames.length <= 1) return;
+        if (this.currentStep >= this.frames.length - 1) {
+            this.showStep(0);
+        }
+        
+        this.isPlaying = true;
+        this.updateInfo();
+        
+        const tick = async () => {
+            if (!this.isPlaying) return;
+            const advanced = await this.stepForward();
+            if (!this.isPlaying) return;
+            if (!advanced || this.currentStep >= this.frames.length - 1) {
+                this.pause();
+                return;
+            }
+            this.playTimer = setTimeout(tick, this.getStepDelay());
+        };
+        tick();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.playTimer) {
+            clearTimeout(this.playTimer);
+            this.playTimer = null;
+        }
+        this.updateInfo();
+    }
+
+    /**
+     * Update move counter, score, scrub position and play button
+     */
+    updateInfo() {
+        if (this.playButton) {
+            this.playButton.innerText = this.isPlaying ? '⏸' : '▶';
+        }
+        if (this.frames.length === 0) return;
+        
+        if (this.scrubEl) {
+            this.scrubEl.value = this.currentStep;
+        }
+        
+        if (this.infoEl) {
+            const frame = this.frames[this.currentStep];
+            const total = this.frames.length - 1;
+            let detail = '';
+            if (frame.move && frame.move.type === 'undo') {
+                detail = ' · ↶ Undo';
+            } else if (frame.move) {
+                const { rows, cols } = frame.move.lineCleared;
+                const lines = rows.length + cols.length;
+                detail = ` · +${frame.move.scoreDelta}`;
+                if (lines > 0) detail += ` · ${lines} line${lines > 1 ? 's' : ''}`;
+                if (frame.move.comboInfo) detail += ` · Combo x${frame.move.comboInfo.level}`;
+            }
+            this.infoEl.innerText = `Move ${this.currentStep}/${total} · Score ${frame.score}${detail}`;
+        }
+    }
+
+    /**
+     * Cells of a placed piece that are still on the board after line clears
+     * @param {Object} move - Place move
+     * @param {Array} board - Board after the move
+     * @returns {Array} - [{r, c}, ...]
+     */
+    getPieceCells(move, board) {
+        const cells = [];
+        const matrix = move.piece.matrix;
+        for (let i = 0; i < matrix.length; i++) {
+            for (let j = 0; j < matrix[0].length; j++) {
+                if (matrix[i][j] === 1 && board[move.x + i][move.y + j] !== 0) {
+                    cells.push({ r: move.x + i, c: move.y + j });
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Canvas position of the center of a placed piece (for drawPiece)
+     * @param {Object} move - Place move (x = row, y = col)
+     * @returns {Object} - {x, y} canvas coordinates
+     */
+    getPieceCenter(move) {
+        const { cellSize, gap } = this.renderer;
+        const rows = move.piece.matrix.length;
+        const cols = move.piece.matrix[0].length;
+        return {
+            x: move.y * (cellSize + gap) + gap + (cols * cellSize) / 2,
+            y: move.x * (cellSize + gap) + gap + (rows * cellSize) / 2
+        };
+    }
+
+    getStepDelay() {
+        return REPLAY_STEP_DURATION / this.speed;
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
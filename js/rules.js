@@ -0,0 +1,1021 @@
+/**
+ * GAME RULES
+ * Board logic, piece generation and scoring shared by server and browser
+ * - Node: const rules = require('./js/rules')
+ * - Browser script: <script src="js/rules.js"> defines the exports as globals (and BrikRules)
+ * - Module (browser or Node): import { BoardManager } from './js/rules.mjs'
+ */
+(function (root, factory) {
+    const rules = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = rules;
+        // Node loads this file as CommonJS for `import './rules.js'` in rules.mjs, which reads BrikRules
+        root.BrikRules = rules;
+    } else {
+        root.BrikRules = rules;
+        Object.assign(root, rules);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // Board configuration
+    const BOARD_SIZE = 8;
+    const PIECES_PER_ROUND = 3;
+    const MAX_GENERATION_ATTEMPTS = 50;
+    const LINE_CLEAR_ATTEMPTS = 3; // Shapes tried per piece for one that clears a line (easy)
+    const PLACE_ALL_SEARCH_LIMIT = 10000; // Placements canPlaceAll tries before giving up (deals are checked during requests)
+
+    // Difficulty presets: how much PieceGenerator looks ahead when dealing a set
+    // - easy: the whole set can be placed one after another, preferring pieces that clear lines
+    // - normal: each piece fits the board on its own
+    // - hard: no lookahead, and bigger pieces are dealt more often
+    const DIFFICULTIES = ['easy', 'normal', 'hard'];
+    const DEFAULT_DIFFICULTY = 'easy';
+
+    // Game variants: board size and pieces dealt per round (the standard game is 8x8 with 3)
+    const BOARD_SIZES = [6, 8, 10, 12];
+    const MIN_PIECES_PER_ROUND = 2;
+    const MAX_PIECES_PER_ROUND = 5;
+    const DEFAULT_VARIANT = Object.freeze({ boardSize: BOARD_SIZE, piecesPerRound: PIECES_PER_ROUND });
+
+    // Score calculation
+    const BASE_POINTS_PER_BLOCK = 1;
+    const LINE_CLEAR_BASE_POINTS = 10;
+    const LINE_CLEAR_MULTIPLIER = 2;
+    const COMBO_BONUS_PER_LEVEL = 5;
+
+    // Hint search (see findBestPlacement): how outcomes are ranked and how many are kept per step
+    const HINT_LINE_WEIGHT = 5; // Per line cleared, on top of the points it scores
+    const HINT_OPENNESS_WEIGHT = 0.5; // Per point of board openness left after the last piece
+    const HINT_BEAM_WIDTH = 30; // Best partial outcomes expanded at each search depth
+    const HINT_SEARCH_LIMIT = 4000; // Placements tried per hint, about a full search of an 8x8 round (hints are searched during requests)
+
+    // Players: ids are generated and kept by the client, display names picked by the player
+    const PLAYER_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+    const MAX_PLAYER_NAME_LENGTH = 20;
+
+    // Define all puzzle pieces (1: block, 0: empty)
+    const RAW_SHAPES = {
+        P1: [[1,1,1,1]], // I4
+        P2: [[1,1,1]],   // I3
+        P3: [[1,1]],     // I2
+        P4: [[1]],       // I1
+        P5: [[1,0,0], [1,0,0], [1,1,1]], // Large L
+        P6: [[1,0], [1,1]], // Small L
+        P7: [[1,0], [1,0], [1,1]], // Tall L
+        P8: [[0,1,0], [1,1,1]], // T
+        P9: [[1,1,0], [0,1,1]], // Z
+        P10: [[1,1,1], [1,1,1], [1,1,1]], // 3x3 Square
+        P11: [[1,1], [1,1]] // 2x2 Square
+    };
+
+    // Colors for pieces
+    const COLORS = [
+        'bg-cyan-500', 'bg-blue-500', 'bg-orange-500', 'bg-yellow-500',
+        'bg-green-500', 'bg-purple-500', 'bg-red-500', 'bg-pink-500'
+    ];
+
+    const SHAPE_LIBRARY = Object.values(RAW_SHAPES);
+
+    // Shape pack dealing SHAPE_LIBRARY (other packs are loaded by the server from shapes/*.json)
+    const DEFAULT_SHAPE_PACK = 'classic';
+
+    // Board cells hold a color id: 0 is empty, otherwise the index in COLORS + 1
+    const EMPTY_CELL = 0;
+
+    /**
+     * Get the board color id of a piece color
+     * @param {string} color - Piece color (one of COLORS)
+     * @returns {number} - Color id (1 for unknown colors, so the cell still counts as filled)
+     */
+    function getColorId(color) {
+        const index = COLORS.indexOf(color);
+        return index === -1 ? 1 : index + 1;
+    }
+
+    /**
+     * Get the piece color stored in a board cell
+     * @param {number} colorId - Board cell value
+     * @returns {string|null} - Piece color, or null for empty cells and unknown ids
+     */
+    function getColorById(colorId) {
+        return COLORS[colorId - 1] || null;
+    }
+
+    /**
+     * Check that a difficulty is one of DIFFICULTIES
+     * @param {*} difficulty - Value to check
+     * @returns {boolean}
+     */
+    function isValidDifficulty(difficulty) {
+        return DIFFICULTIES.includes(difficulty);
+    }
+
+    /**
+     * Check that a variant uses a supported board size and pieces per round
+     * @param {Object} variant - {boardSize, piecesPerRound}
+     * @returns {boolean}
+     */
+    function isValidVariant(variant) {
+        return Boolean(variant) &&
+            BOARD_SIZES.includes(variant.boardSize) &&
+            Number.isInteger(variant.piecesPerRound) &&
+            variant.piecesPerRound >= MIN_PIECES_PER_ROUND &&
+            variant.piecesPerRound <= MAX_PIECES_PER_ROUND;
+    }
+
+    /**
+     * @param {*} playerId
+     * @returns {boolean} - True if playerId can be used as a player id (8-64 letters, digits, _ or -)
+     */
+    function isValidPlayerId(playerId) {
+        return typeof playerId === 'string' && PLAYER_ID_PATTERN.test(playerId);
+    }
+
+    /**
+     * Get the id of a variant (also the key of its leaderboard)
+     * @param {Object} variant - {boardSize, piecesPerRound}
+     * @returns {string} - e.g. '10x10-4'
+     */
+    function getVariantId(variant) {
+        return `${variant.boardSize}x${variant.boardSize}-${variant.piecesPerRound}`;
+    }
+
+    /**
+     * Parse a variant id
+     * @param {string} variantId - e.g. '10x10-4'
+     * @returns {Object|null} - {boardSize, piecesPerRound}, null if not a supported variant
+     */
+    function parseVariantId(variantId) {
+        const match = /^(\d+)x\1-(\d+)$/.exec(String(variantId));
+        if (!match) return null;
+        const variant = { boardSize: Number(match[1]), piecesPerRound: Number(match[2]) };
+        return isValidVariant(variant) ? variant : null;
+    }
+
+    /**
+     * Compare two matrices for equality
+     * @param {Array} a - 2D array
+     * @param {Array} b - 2D array
+     * @returns {boolean}
+     */
+    function matricesEqual(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i].length !== b[i].length) return false;
+            for (let j = 0; j < a[i].length; j++) {
+                if (a[i][j] !== b[i][j]) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Fisher-Yates shuffle (in place) driven by the given random function
+     * @param {Array} array - Array to shuffle
+     * @param {Function} random - Returns a float in [0, 1)
+     * @returns {Array} - The same array
+     */
+    function shuffle(array, random) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * SEEDED RANDOM
+     * Pseudo-random number generator (mulberry32)
+     * All randomness of a game session comes from one instance, so the same seed
+     * and the same moves always produce the same pieces
+     */
+    class SeededRandom {
+        constructor(seed) {
+            this.seed = String(seed);
+            this.state = SeededRandom.hashSeed(this.seed);
+        }
+
+        /**
+         * Hash a seed string into a 32-bit integer state (FNV-1a)
+         * @param {string} str - Seed string
+         * @returns {number}
+         */
+        static hashSeed(str) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < str.length; i++) {
+                hash ^= str.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        /**
+         * Get next random number
+         * @returns {number} - Float in [0, 1)
+         */
+        next() {
+            this.state = (this.state + 0x6d2b79f5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    }
+
+    /**
+     * BOARD MANAGER
+     * Handles board state and line checking/clearing logic
+     */
+    class BoardManager {
+        constructor(boardSize) {
+            this.boardSize = boardSize;
+            this.board = [];
+        }
+
+        /**
+         * Create an empty board
+         */
+        createEmptyBoard() {
+            this.board = Array(this.boardSize).fill().map(() => Array(this.boardSize).fill(EMPTY_CELL));
+        }
+
+        /**
+         * Check if a piece can be placed at the given position
+         * @param {Array} piece - 2D array representing the piece
+         * @param {number} row - Starting row position
+         * @param {number} col - Starting column position
+         * @returns {boolean} - True if placement is valid
+         */
+        canPlace(piece, row, col) {
+            return this.canPlaceOnBoard(this.board, piece, row, col);
+        }
+
+        /**
+         * Place a piece on the board
+         * @param {Array} pieceMatrix - 2D array representing the piece
+         * @param {number} row - Starting row position
+         * @param {number} col - Starting column position
+         * @param {number} colorId - Color id written to the cells (see getColorId)
+         * @returns {boolean} - True if placement was successful
+         */
+        placePiece(pieceMatrix, row, col, colorId = 1) {
+            if (!this.canPlace(pieceMatrix, row, col)) {
+                return false;
+            }
+
+            for (let r = 0; r < pieceMatrix.length; r++) {
+                for (let c = 0; c < pieceMatrix[0].length; c++) {
+                    if (pieceMatrix[r][c] === 1) {
+                        this.board[row + r][col + c] = colorId;
+                    }
+                }
+            }
+            return true;
+        }
+
+        /**
+         * Check for completed rows and columns
+         * @returns {Object} - {rows: [indices], cols: [indices]}
+         */
+        checkLines() {
+            return this.findFullLines(this.board);
+        }
+
+        /**
+         * Find completed rows and columns on a board state
+         * @param {Array} board - Board state to check
+         * @returns {Object} - {rows: [indices], cols: [indices]}
+         */
+        findFullLines(board) {
+            let rows = [];
+            let cols = [];
+
+            // Check rows
+            for (let r = 0; r < this.boardSize; r++) {
+                if (board[r].every(val => val !== EMPTY_CELL)) {
+                    rows.push(r);
+                }
+            }
+
+            // Check cols
+            for (let c = 0; c < this.boardSize; c++) {
+                let isFull = true;
+                for (let r = 0; r < this.boardSize; r++) {
+                    if (board[r][c] === EMPTY_CELL) {
+                        isFull = false;
+                        break;
+                    }
+                }
+                if (isFull) {
+                    cols.push(c);
+                }
+            }
+
+            return { rows, cols };
+        }
+
+        /**
+         * Clear specified rows and columns
+         * @param {Object} lineData - {rows: [indices], cols: [indices]}
+         */
+        clearLines(lineData) {
+            this.clearLinesOnBoard(this.board, lineData);
+        }
+
+        /**
+         * Clear specified rows and columns on a board state
+         * @param {Array} board - Board state to modify
+         * @param {Object} lineData - {rows: [indices], cols: [indices]}
+         */
+        clearLinesOnBoard(board, lineData) {
+            const { rows, cols } = lineData;
+
+            rows.forEach(r => {
+                for (let c = 0; c < this.boardSize; c++) {
+                    board[r][c] = EMPTY_CELL;
+                }
+            });
+
+            cols.forEach(c => {
+                for (let r = 0; r < this.boardSize; r++) {
+                    board[r][c] = EMPTY_CELL;
+                }
+            });
+        }
+
+        /**
+         * Simulate placing a piece and clearing lines (for piece generation algorithm)
+         * @param {Array} board - Board state to modify
+         * @param {Array} piece - Piece to place
+         * @param {number} r - Row position
+         * @param {number} c - Column position
+         * @returns {Object} - {rows: [indices], cols: [indices]} lines that were cleared
+         */
+        simulatePlaceAndClear(board, piece, r, c) {
+            // 1. Place piece
+            for (let i = 0; i < piece.length; i++) {
+                for (let j = 0; j < piece[0].length; j++) {
+                    if (piece[i][j] === 1) {
+                        board[r + i][c + j] = 1;
+                    }
+                }
+            }
+
+            // 2. Check & Clear lines
+            const lineData = this.findFullLines(board);
+            this.clearLinesOnBoard(board, lineData);
+            return lineData;
+        }
+
+        /**
+         * Count the lines a placement would complete (without changing the board)
+         * @param {Array} board - Board state to check
+         * @param {Array} piece - Piece to place
+         * @param {number} row - Row position
+         * @param {number} col - Column position
+         * @returns {number} - Full rows + full columns after the placement
+         */
+        countCompletedLines(board, piece, row, col) {
+            const isFilled = (r, c) => board[r][c] !== EMPTY_CELL ||
+                (r >= row && r < row + piece.length && c >= col && c < col + piece[0].length && piece[r - row][c - col] === 1);
+            let count = 0;
+            for (let r = row; r < row + piece.length; r++) {
+                let full = true;
+                for (let c = 0; c < this.boardSize && full; c++) full = isFilled(r, c);
+                if (full) count++;
+            }
+            for (let c = col; c < col + piece[0].length; c++) {
+                let full = true;
+                for (let r = 0; r < this.boardSize && full; r++) full = isFilled(r, c);
+                if (full) count++;
+            }
+            return count;
+        }
+
+        /**
+         * Find a position where a piece completes at least one line
+         * @param {Array} board - Board state to check
+         * @param {Array} piece - Piece to find position for
+         * @returns {Object|null} - {r, c} if found, null otherwise
+         */
+        findClearingPosition(board, piece) {
+            for (let r = 0; r <= this.boardSize - piece.length; r++) {
+                for (let c = 0; c <= this.boardSize - piece[0].length; c++) {
+                    if (this.canPlaceOnBoard(board, piece, r, c) && this.countCompletedLines(board, piece, r, c) > 0) {
+                        return { r, c };
+                    }
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Find a valid position for a piece on the board
+         * @param {Array} board - Board state to check
+         * @param {Array} piece - Piece to find position for
+         * @returns {Object|null} - {r, c} if found, null otherwise
+         */
+        findValidPosition(board, piece) {
+            for (let r = 0; r <= this.boardSize - piece.length; r++) {
+                for (let c = 0; c <= this.boardSize - piece[0].length; c++) {
+                    if (this.canPlaceOnBoard(board, piece, r, c)) {
+                        return { r, c };
+                    }
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Check if piece can be placed on a specific board state
+         * @param {Array} board - Board state to check
+         * @param {Array} piece - Piece to check
+         * @param {number} row - Row position
+         * @param {number} col - Column position
+         * @returns {boolean}
+         */
+        canPlaceOnBoard(board, piece, row, col) {
+            const pRows = piece.length;
+            const pCols = piece[0].length;
+
+            // Check bounds
+            if (row < 0 || col < 0 || row + pRows > this.boardSize || col + pCols > this.boardSize) {
+                return false;
+            }
+
+            // Check overlap
+            for (let i = 0; i < pRows; i++) {
+                for (let j = 0; j < pCols; j++) {
+                    if (piece[i][j] === 1 && board[row + i][col + j] !== EMPTY_CELL) {
+                        return false;
+                    }
+                }
+            }
+            return true;
+        }
+    }
+
+    /**
+     * PIECE GENERATOR
+     * Handles piece generation, rotation, and validation
+     */
+    /**
+     * Empty generation statistics for a shape library (see PieceGenerator.stats)
+     * @param {Array} shapeLibrary - Shape matrices dealt from
+     * @param {Function} countRotations - Returns the number of distinct rotations of a shape
+     * @returns {Object} - {deals, pieces, attempts, lineClearPieces, fallbacks, ultimateFallbacks, unplaceableSets, unknownSets, draws, shapes, rotations}
+     */
+    function createGenerationStats(shapeLibrary, countRotations) {
+        return {
+            deals: 0,               // generatePieces calls
+            pieces: 0,              // pieces dealt
+            attempts: 0,            // weighted shape draws (several per piece when shapes don't fit)
+            lineClearPieces: 0,     // pieces picked because they clear a line (easy)
+            fallbacks: 0,           // random pieces dealt after MAX_GENERATION_ATTEMPTS shapes didn't fit
+            ultimateFallbacks: 0,   // single blocks dealt because no valid piece came out
+            unplaceableSets: 0,     // deals whose pieces can't all be placed on the board they were dealt for
+            unknownSets: 0,         // deals not settled either way within PLACE_ALL_SEARCH_LIMIT placements
+            draws: shapeLibrary.map(() => 0),   // weighted draws per shape index
+            shapes: shapeLibrary.map(() => 0),  // pieces dealt per shape index
+            rotations: shapeLibrary.map(shape => Array(countRotations(shape)).fill(0)) // per shape index and rotation (see getAllRotations)
+        };
+    }
+
+    class PieceGenerator {
+        /**
+         * @param {Array} shapeLibrary - Shape matrices to deal from
+         * @param {BoardManager} boardManager - Board used to simulate placements
+         * @param {Function} random - Returns a float in [0, 1) (a SeededRandom for reproducible games)
+         * @param {Object} options - Per-shape overrides (e.g. from a shape pack), indexed like shapeLibrary
+         * @param {Array} options.weights - Generation weights (null entries use the cell count)
+         * @param {Array} options.colors - Piece colors from COLORS (null entries pick a random color)
+         * @param {string} options.difficulty - One of DIFFICULTIES (default DEFAULT_DIFFICULTY)
+         */
+        constructor(shapeLibrary, boardManager, random = Math.random, options = {}) {
+            this.shapeLibrary = shapeLibrary;
+            this.boardManager = boardManager;
+            this.random = random;
+            this.pieceCount = 0;
+            this.shapeColors = options.colors || [];
+            this.difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+
+            // Pre-calculate weights for pieces based on size (number of 1s in matrix)
+            // Larger pieces = higher weight = higher probability (scaled by size again on hard)
+            this.weights = this.shapeLibrary.map((shape, i) => {
+                const cellCount = shape.flat().reduce((sum, cell) => sum + cell, 0);
+                const override = options.weights ? options.weights[i] : null;
+                const weight = override !== null && override !== undefined ? override : cellCount;
+                return this.difficulty === 'hard' ? weight * cellCount : weight;
+            });
+            this.totalWeight = this.weights.reduce((sum, weight) => sum + weight, 0);
+
+            // Counters for fairness reports (plain JSON, never affects the pieces dealt)
+            this.stats = createGenerationStats(this.shapeLibrary, shape => this.getAllRotations(shape).length);
+        }
+
+        /**
+         * Get a random shape from the library using weighted probability
+         * @returns {Array} - 2D matrix representing a shape
+         */
+        getWeightedRandomShape() {
+            return this.shapeLibrary[this.getWeightedRandomShapeIndex()];
+        }
+
+        /**
+         * Get the index of a random shape in the library using weighted probability
+         * @returns {number}
+         */
+        getWeightedRandomShapeIndex() {
+            let r = this.random() * this.totalWeight;
+            // Fallback to last shape
+            let index = this.shapeLibrary.length - 1;
+            for (let i = 0; i < this.shapeLibrary.length; i++) {
+                r -= this.weights[i];
+                if (r <= 0) {
+                    index = i;
+                    break;
+                }
+            }
+            this.stats.attempts++;
+            this.stats.draws[index]++;
+            return index;
+        }
+
+        /**
+         * Generate n pieces using the piece generation algorithm
+         * How far it looks ahead depends on the difficulty (see DIFFICULTIES)
+         * @param {number} nPieces - Number of pieces to generate
+         * @param {Array} currentBoardState - Current board state
+         * @returns {Array} - Array of piece objects
+         */
+        generatePieces(nPieces, currentBoardState) {
+            let result = [];
+            // Clone board for simulation (tempBoard)
+            let tempBoard = currentBoardState.map(row => [...row]);
+
+            // Loop nPieces times
+            for (let i = 0; i < nPieces; i++) {
+                let foundPiece = null;
+                let shapeIndex = null;
+
+                if (this.difficulty === 'hard') {
+                    // No lookahead: any shape in any rotation
+                    shapeIndex = this.getWeightedRandomShapeIndex();
+                    const rotations = this.getAllRotations(this.shapeLibrary[shapeIndex]);
+                    foundPiece = this.createPiece(rotations[Math.floor(this.random() * rotations.length)], this.shapeColors[shapeIndex]);
+                } else {
+                    let found = this.difficulty === 'easy' ? this.findLineClearingPiece(tempBoard) : null;
+                    if (found) {
+                        this.stats.lineClearPieces++;
+                    } else {
+                        found = this.findFittingPiece(tempBoard);
+                    }
+                    if (found) {
+                        foundPiece = found.piece;
+                        shapeIndex = found.shapeIndex;
+                        // Easy: later pieces must fit the board left by this one (place piece and clear lines)
+                        if (this.difficulty === 'easy') {
+                            this.boardManager.simulatePlaceAndClear(tempBoard, foundPiece.matrix, found.placement.r, found.placement.c);
+                        }
+                    }
+                }
+
+                // Fallback: If unlucky and couldn't find any valid piece (board too full),
+                // just pick a random one (so game can end if truly no moves left)
+                if (!foundPiece) {
+                    shapeIndex = this.getWeightedRandomShapeIndex();
+                    foundPiece = this.createPiece(this.shapeLibrary[shapeIndex], this.shapeColors[shapeIndex]);
+                    this.stats.fallbacks++;
+                }
+
+                // Ensure piece is valid before pushing
+                if (!foundPiece || !foundPiece.matrix || !foundPiece.color) {
+                    foundPiece = {
+                        matrix: [[1]], // Single block as ultimate fallback
+                        color: COLORS[0],
+                        id: ++this.pieceCount
+                    };
+                    this.stats.ultimateFallbacks++;
+                } else {
+                    this.recordPiece(shapeIndex, foundPiece.matrix);
+                }
+
+                this.stats.pieces++;
+                result.push(foundPiece);
+            }
+
+            this.stats.deals++;
+            const placeable = canPlaceAll(this.boardManager, result, currentBoardState);
+            if (placeable === false) {
+                this.stats.unplaceableSets++;
+            } else if (placeable === null) {
+                this.stats.unknownSets++;
+            }
+            return result;
+        }
+
+        /**
+         * Count a dealt piece by shape and rotation in stats
+         * @param {number} shapeIndex - Index of the shape in the library
+         * @param {Array} matrix - Rotation that was dealt
+         */
+        recordPiece(shapeIndex, matrix) {
+            const rotationIndex = this.getAllRotations(this.shapeLibrary[shapeIndex]).findIndex(rotation => matricesEqual(rotation, matrix));
+            this.stats.shapes[shapeIndex]++;
+            if (rotationIndex !== -1) {
+                this.stats.rotations[shapeIndex][rotationIndex]++;
+            }
+        }
+
+        /**
+         * Pick a random shape in a rotation that fits the board
+         * @param {Array} board - Board state to fit
+         * @returns {Object|null} - {piece, placement, shapeIndex}, or null after MAX_GENERATION_ATTEMPTS shapes
+         */
+        findFittingPiece(board) {
+            for (let attempts = 0; attempts < MAX_GENERATION_ATTEMPTS; attempts++) {
+                // Step 1: Get random shape from library
+                let shapeIndex = this.getWeightedRandomShapeIndex();
+
+                // Try all 4 rotations: 0, 90, 180, 270 (in random order)
+                let rotations = shuffle(this.getAllRotations(this.shapeLibrary[shapeIndex]), this.random);
+
+                for (let shapeVariant of rotations) {
+                    // Step 2: Found valid placement -> Select this piece
+                    let placement = this.boardManager.findValidPosition(board, shapeVariant);
+                    if (placement) {
+                        return { piece: this.createPiece(shapeVariant, this.shapeColors[shapeIndex]), placement: placement, shapeIndex: shapeIndex };
+                    }
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Pick a random shape in a rotation that completes a line on the board
+         * @param {Array} board - Board state to fit
+         * @returns {Object|null} - {piece, placement, shapeIndex}, or null if none of LINE_CLEAR_ATTEMPTS shapes clears a line
+         */
+        findLineClearingPiece(board) {
+            for (let attempts = 0; attempts < LINE_CLEAR_ATTEMPTS; attempts++) {
+                let shapeIndex = this.getWeightedRandomShapeIndex();
+                let rotations = shuffle(this.getAllRotations(this.shapeLibrary[shapeIndex]), this.random);
+
+                for (let shapeVariant of rotations) {
+                    let placement = this.boardManager.findClearingPosition(board, shapeVariant);
+                    if (placement) {
+                        return { piece: this.createPiece(shapeVariant, this.shapeColors[shapeIndex]), placement: placement, shapeIndex: shapeIndex };
+                    }
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Create a piece object with a sequential id
+         * @param {Array} matrix - Piece matrix
+         * @param {string} color - Fixed piece color (a random one if omitted)
+         * @returns {Object} - {matrix, color, id}
+         */
+        createPiece(matrix, color = null) {
+            return {
+                matrix: matrix,
+                color: color || COLORS[Math.floor(this.random() * COLORS.length)],
+                id: ++this.pieceCount
+            };
+        }
+
+        /**
+         * Rotate matrix 90 degrees clockwise
+         * @param {Array} matrix - 2D array to rotate
+         * @returns {Array} - Rotated matrix
+         */
+        rotateMatrix(matrix) {
+            const rows = matrix.length;
+            const cols = matrix[0].length;
+            let newMatrix = Array(cols).fill().map(() => Array(rows).fill(0));
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < cols; c++) {
+                    newMatrix[c][rows - 1 - r] = matrix[r][c];
+                }
+            }
+            return newMatrix;
+        }
+
+        /**
+         * Get all 4 rotations of a piece (0, 90, 180, 270 degrees)
+         * Removes duplicates for symmetric shapes
+         * @param {Array} matrix - Original piece matrix
+         * @returns {Array} - Array of unique rotated matrices
+         */
+        getAllRotations(matrix) {
+            let rotations = [];
+            let curr = matrix;
+            // 4 directions: 0, 90, 180, 270
+            for (let i = 0; i < 4; i++) {
+                // Check if rotation already exists (for symmetric shapes like square)
+                let str = JSON.stringify(curr);
+                if (!rotations.some(m => JSON.stringify(m) === str)) {
+                    rotations.push(curr);
+                }
+                curr = this.rotateMatrix(curr);
+            }
+            return rotations;
+        }
+    }
+
+    /**
+     * Check whether at least one of the given pieces fits somewhere on the board
+     * @param {BoardManager} boardManager - Board to check against
+     * @param {Array} pieces - Pieces array (may contain nulls for placed pieces)
+     * @returns {boolean}
+     */
+    function hasValidMove(boardManager, pieces) {
+        return pieces.some(piece => piece !== null && boardManager.findValidPosition(boardManager.board, piece.matrix) !== null);
+    }
+
+    /**
+     * Check whether all given pieces can be placed one after another, in some order
+     * Searches every ordering and position (clearing lines after each placement) until one works.
+     * The search grows quickly with the pieces and free cells (a piece that fits nowhere among many
+     * small holes makes it try them all), so it gives up after searchLimit placements.
+     * @param {BoardManager} boardManager - Board geometry
+     * @param {Array} pieces - Pieces to place (nulls are skipped)
+     * @param {Array} board - Board state to start from (default: the board manager's board, not modified)
+     * @param {number} searchLimit - Placements to try before giving up
+     * @returns {boolean|null} - null if the search gave up before finding out
+     */
+    function canPlaceAll(boardManager, pieces, board = boardManager.board, searchLimit = PLACE_ALL_SEARCH_LIMIT) {
+        const matrices = pieces.filter(piece => piece !== null).map(piece => piece.matrix);
+        // Dead ends already searched, by pieces left and board
+        const visited = new Set();
+        let placements = 0;
+        let gaveUp = false;
+
+        const search = (state, remaining) => {
+            if (remaining.length === 0) return true;
+            let hash = 0;
+            for (const row of state) {
+                for (const cell of row) hash = (Math.imul(hash, 31) + (cell === EMPTY_CELL ? 0 : 1)) | 0;
+            }
+            const key = `${remaining.join(',')}:${hash}`;
+            if (visited.has(key)) return false;
+            visited.add(key);
+
+            for (const index of remaining) {
+                const matrix = matrices[index];
+                for (let r = 0; r <= boardManager.boardSize - matrix.length; r++) {
+                    for (let c = 0; c <= boardManager.boardSize - matrix[0].length; c++) {
+                        if (!boardManager.canPlaceOnBoard(state, matrix, r, c)) continue;
+                        if (++placements > searchLimit) {
+                            gaveUp = true;
+                            return false;
+                        }
+                        const next = state.map(row => [...row]);
+                        boardManager.simulatePlaceAndClear(next, matrix, r, c);
+                        if (search(next, remaining.filter(i => i !== index))) return true;
+                        if (gaveUp) return false;
+                    }
+                }
+            }
+            return false;
+        };
+
+        const placeable = search(board, matrices.map((matrix, i) => i));
+        return placeable || !gaveUp ? placeable : null;
+    }
+
+    /**
+     * Points for clearing lines in one placement
+     * Formula: (lines x 10) + 2 x lines x (lines - 1)
+     * @param {number} lineCount - Rows + columns cleared
+     * @returns {number}
+     */
+    function calculateLineClearScore(lineCount) {
+        if (lineCount <= 0) return 0;
+        return (lineCount * LINE_CLEAR_BASE_POINTS) + LINE_CLEAR_MULTIPLIER * lineCount * (lineCount - 1);
+    }
+
+    /**
+     * Place a piece, clear completed lines and score the placement
+     * The combo counts consecutive placements that clear lines; from the second one on,
+     * each earns a bonus of 5 x combo level
+     * @param {BoardManager} boardManager - Board to place on (modified)
+     * @param {Array} pieceMatrix - Piece to place
+     * @param {number} row - Row position
+     * @param {number} col - Column position
+     * @param {number} comboCount - Combo count before this placement
+     * @param {number} colorId - Color id of the piece (see getColorId)
+     * @returns {Object|null} - {lineData, blockScore, lineClearScore, comboCount, comboInfo, scoreDelta}, null if it doesn't fit
+     */
+    function applyPlacement(boardManager, pieceMatrix, row, col, comboCount, colorId = 1) {
+        if (!boardManager.placePiece(pieceMatrix, row, col, colorId)) {
+            return null;
+        }
+
+        // Base score
+        const blockCount = pieceMatrix.flat().filter(cell => cell === 1).length;
+        const blockScore = blockCount * BASE_POINTS_PER_BLOCK;
+
+        // Completed lines
+        const lineData = boardManager.checkLines();
+        const lineCount = lineData.rows.length + lineData.cols.length;
+        const lineClearScore = calculateLineClearScore(lineCount);
+        let comboInfo = null;
+
+        if (lineCount > 0) {
+            boardManager.clearLines(lineData);
+
+            comboCount++;
+            if (comboCount > 1) {
+                const comboLevel = comboCount - 1;
+                comboInfo = { level: comboLevel, bonus: COMBO_BONUS_PER_LEVEL * comboLevel };
+            }
+        } else {
+            // Reset combo if no lines cleared
+            comboCount = 0;
+        }
+
+        return {
+            lineData: lineData,
+            blockScore: blockScore,
+            lineClearScore: lineClearScore,
+            comboCount: comboCount,
+            comboInfo: comboInfo,
+            scoreDelta: blockScore + lineClearScore + (comboInfo ? comboInfo.bonus : 0)
+        };
+    }
+
+    /**
+     * How much room a board leaves: +1 per empty cell next to another empty cell,
+     * -1 per isolated empty cell (only a single block can fill it)
+     * @param {Array} board - Board state
+     * @returns {number}
+     */
+    function getBoardOpenness(board) {
+        const size = board.length;
+        const isEmpty = (r, c) => r >= 0 && c >= 0 && r < size && c < size && board[r][c] === EMPTY_CELL;
+        let openness = 0;
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (!isEmpty(r, c)) continue;
+                const hasRoom = isEmpty(r - 1, c) || isEmpty(r + 1, c) || isEmpty(r, c - 1) || isEmpty(r, c + 1);
+                openness += hasRoom ? 1 : -1;
+            }
+        }
+        return openness;
+    }
+
+    /**
+     * Find a good next placement for the pieces left in a round
+     * A beam search, not an exhaustive one: it tries every position of every remaining piece,
+     * but only the best outcomes of each step are searched further - HINT_BEAM_WIDTH, or fewer
+     * when that many would take more than searchLimit placements to search to the last piece
+     * (big boards with many pieces). Outcomes rank by pieces placed, then points + lines cleared
+     * + openness of the final board. So the hint is the best plan found, not always the best one.
+     * @param {BoardManager} boardManager - Board to search from (not modified)
+     * @param {Array} pieces - Pieces of the round (null for placed ones)
+     * @param {number} comboCount - Current combo count
+     * @param {number} searchLimit - Placements to try before settling for the best outcome so far
+     * @returns {Object|null} - {pieceIndex, r, c} of the first placement, or null if nothing fits
+     */
+    function findBestPlacement(boardManager, pieces, comboCount = 0, searchLimit = HINT_SEARCH_LIMIT) {
+        const evaluate = state => state.points + HINT_LINE_WEIGHT * state.lines + HINT_OPENNESS_WEIGHT * getBoardOpenness(state.board);
+        let best = null;
+        let bestValue = -Infinity;
+        let placements = 0;
+        const consider = state => {
+            const value = evaluate(state);
+            if (!best || state.placed > best.placed || (state.placed === best.placed && value > bestValue)) {
+                best = state;
+                bestValue = value;
+            }
+        };
+        let states = [{
+            board: boardManager.board.map(row => [...row]),
+            remaining: pieces.map((piece, i) => i).filter(i => pieces[i] !== null),
+            comboCount: comboCount,
+            points: 0,
+            lines: 0,
+            placed: 0,
+            first: null
+        }];
+
+        while (states.length > 0) {
+            const next = new Map();
+            const placementsBefore = placements;
+            for (const state of states) {
+                if (placements >= searchLimit) break;
+                let expanded = false;
+                for (const pieceIndex of state.remaining) {
+                    const matrix = pieces[pieceIndex].matrix;
+                    const blocks = matrix.flat().filter(cell => cell === 1).length;
+                    for (let r = 0; r <= boardManager.boardSize - matrix.length && placements < searchLimit; r++) {
+                        for (let c = 0; c <= boardManager.boardSize - matrix[0].length && placements < searchLimit; c++) {
+                            if (!boardManager.canPlaceOnBoard(state.board, matrix, r, c)) continue;
+                            expanded = true;
+                            placements++;
+
+                            const board = state.board.map(row => [...row]);
+                            const lineData = boardManager.simulatePlaceAndClear(board, matrix, r, c);
+                            const lineCount = lineData.rows.length + lineData.cols.length;
+                            const combo = lineCount > 0 ? state.comboCount + 1 : 0;
+                            const comboBonus = combo > 1 ? COMBO_BONUS_PER_LEVEL * (combo - 1) : 0;
+                            const remaining = state.remaining.filter(i => i !== pieceIndex);
+
+                            // The same board with the same pieces left is only searched once
+                            let hash = 0;
+                            for (const row of board) {
+                                for (const cell of row) hash = (Math.imul(hash, 31) + (cell === EMPTY_CELL ? 0 : 1)) | 0;
+                            }
+                            const key = `${remaining.join(',')}:${hash}`;
+                            if (next.has(key)) continue;
+                            next.set(key, {
+                                board: board,
+                                remaining: remaining,
+                                comboCount: combo,
+                                points: state.points + blocks * BASE_POINTS_PER_BLOCK + calculateLineClearScore(lineCount) + comboBonus,
+                                lines: state.lines + lineCount,
+                                placed: state.placed + 1,
+                                first: state.first || { pieceIndex: pieceIndex, r: r, c: c }
+                            });
+                        }
+                    }
+                }
+
+                // Nothing more fits (or every piece is placed): this outcome is final
+                if (!expanded && state.first) {
+                    consider(state);
+                }
+            }
+
+            if (placements >= searchLimit) {
+                // Out of budget: the outcomes reached so far are ranked as they are
+                next.forEach(consider);
+                break;
+            }
+
+            // Keep as many outcomes as the rest of the budget can search down to the last piece: each
+            // piece left costs about what one piece did per outcome in this step, so an outcome with
+            // k pieces left costs that times k + (k - 1) + ... + 1
+            const stepsLeft = Math.max(0, ...[...next.values()].map(state => state.remaining.length));
+            const perPiece = (placements - placementsBefore) / states.length / (stepsLeft + 1);
+            const width = stepsLeft === 0 ? HINT_BEAM_WIDTH : Math.floor((searchLimit - placements) / (perPiece * stepsLeft * (stepsLeft + 1) / 2));
+            states = [...next.values()]
+                .map(state => ({ state, value: evaluate(state) }))
+                .sort((a, b) => b.value - a.value)
+                .slice(0, Math.max(1, Math.min(HINT_BEAM_WIDTH, width)))
+                .map(entry => entry.state);
+        }
+
+        return best ? best.first : null;
+    }
+
+    return {
+        BOARD_SIZE,
+        PIECES_PER_ROUND,
+        MAX_GENERATION_ATTEMPTS,
+        LINE_CLEAR_ATTEMPTS,
+        PLACE_ALL_SEARCH_LIMIT,
+        DIFFICULTIES,
+        DEFAULT_DIFFICULTY,
+        BOARD_SIZES,
+        MIN_PIECES_PER_ROUND,
+        MAX_PIECES_PER_ROUND,
+        DEFAULT_VARIANT,
+        BASE_POINTS_PER_BLOCK,
+        LINE_CLEAR_BASE_POINTS,
+        LINE_CLEAR_MULTIPLIER,
+        COMBO_BONUS_PER_LEVEL,
+        HINT_LINE_WEIGHT,
+        HINT_OPENNESS_WEIGHT,
+        HINT_BEAM_WIDTH,
+        HINT_SEARCH_LIMIT,
+        MAX_PLAYER_NAME_LENGTH,
+        RAW_SHAPES,
+        COLORS,
+        SHAPE_LIBRARY,
+        DEFAULT_SHAPE_PACK,
+        EMPTY_CELL,
+        getColorId,
+        getColorById,
+        isValidDifficulty,
+        isValidVariant,
+        getVariantId,
+        parseVariantId,
+        isValidPlayerId,
+        matricesEqual,
+        shuffle,
+        SeededRandom,
+        BoardManager,
+        PieceGenerator,
+        createGenerationStats,
+        hasValidMove,
+        canPlaceAll,
+        calculateLineClearScore,
+        applyPlacement,
+        getBoardOpenness,
+        findBestPlacement
+    };
+});
@@ -0,0 +1,56 @@
+/**
+ * GAME RULES (ES module entry)
+ * Re-exports js/rules.js for `import` in the browser or Node
+ */
+import './rules.js';
+
+const rules = globalThis.BrikRules;
+
+export const {
+    BOARD_SIZE,
+    PIECES_PER_ROUND,
+    MAX_GENERATION_ATTEMPTS,
+    LINE_CLEAR_ATTEMPTS,
+    PLACE_ALL_SEARCH_LIMIT,
+    DIFFICULTIES,
+    DEFAULT_DIFFICULTY,
+    BOARD_SIZES,
+    MIN_PIECES_PER_ROUND,
+    MAX_PIECES_PER_ROUND,
+    DEFAULT_VARIANT,
+    BASE_POINTS_PER_BLOCK,
+    LINE_CLEAR_BASE_POINTS,
+    LINE_CLEAR_MULTIPLIER,
+    COMBO_BONUS_PER_LEVEL,
+    HINT_LINE_WEIGHT,
+    HINT_OPENNESS_WEIGHT,
+    HINT_BEAM_WIDTH,
+    HINT_SEARCH_LIMIT,
+    MAX_PLAYER_NAME_LENGTH,
+    RAW_SHAPES,
+    COLORS,
+    SHAPE_LIBRARY,
+    DEFAULT_SHAPE_PACK,
+    EMPTY_CELL,
+    getColorId,
+    getColorById,
+    isValidDifficulty,
+    isValidVariant,
+    getVariantId,
+    parseVariantId,
+    isValidPlayerId,
+    matricesEqual,
+    shuffle,
+    SeededRandom,
+    BoardManager,
+    PieceGenerator,
+    createGenerationStats,
+    hasValidMove,
+    canPlaceAll,
+    calculateLineClearScore,
+    applyPlacement,
+    getBoardOpenness,
+    findBestPlacement
+} = rules;
+
+export default rules;
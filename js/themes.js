@@ -0,0 +1,252 @@
+/**
+ * THEMES
+ * Board and piece palettes (default, high contrast and color-blind safe ones) and optional
+ * glyphs on blocks, so pieces can be told apart without relying on color.
+ * Pieces keep their Tailwind class as color id (see COLORS in js/rules.js); themes map it to what is drawn.
+ */
+
+const THEMES = {
+    default: {
+        name: 'Default',
+        colors: {
+            empty: '#1e293b',      // slate-800 (dark blue-black)
+            filled: '#2563eb',     // blue-600 (cells without a known piece color)
+            highlight: 'rgba(34, 197, 94, 0.5)', // green glow
+            invalid: 'rgba(239, 68, 68, 0.6)', // red glow (piece doesn't fit there)
+            clearing: '#fbbf24',   // yellow flash
+            background: '#475569', // slate-700
+            grid: '#64748b',       // slate-500
+            outline: 'rgba(255, 255, 255, 0.25)' // edge of filled cells
+        },
+        pieces: {
+            'bg-cyan-500': '#06b6d4',
+            'bg-blue-500': '#3b82f6',
+            'bg-orange-500': '#f97316',
+            'bg-yellow-500': '#eab308',
+            'bg-green-500': '#22c55e',
+            'bg-purple-500': '#a855f7',
+            'bg-red-500': '#ef4444',
+            'bg-pink-500': '#ec4899'
+        }
+    },
+    'high-contrast': {
+        name: 'High contrast',
+        colors: {
+            empty: '#000000',
+            filled: '#ffffff',
+            highlight: 'rgba(255, 255, 255, 0.75)',
+            invalid: 'rgba(255, 0, 0, 0.85)',
+            clearing: '#ffffff',
+            background: '#ffffff',
+            grid: '#ffffff',
+            outline: '#ffffff'
+        },
+        pieces: {
+            'bg-cyan-500': '#00ffff',
+            'bg-blue-500': '#4d8dff',
+            'bg-orange-500': '#ff8c00',
+            'bg-yellow-500': '#ffff00',
+            'bg-green-500': '#00ff00',
+            'bg-purple-500': '#d36bff',
+            'bg-red-500': '#ff3030',
+            'bg-pink-500': '#ff66cc'
+        }
+    },
+    // Okabe & Ito (2008), distinguishable with protanopia, deuteranopia and tritanopia
+    'okabe-ito': {
+        name: 'Color-blind safe (Okabe-Ito)',
+        colors: {
+            empty: '#1e293b',
+            filled: '#0072b2',
+            highlight: 'rgba(255, 255, 255, 0.45)',
+            invalid: 'rgba(213, 94, 0, 0.75)',
+            clearing: '#f0e442',
+            background: '#475569',
+            grid: '#64748b',
+            outline: 'rgba(255, 255, 255, 0.25)'
+        },
+        pieces: {
+            'bg-cyan-500': '#56b4e9',
+            'bg-blue-500': '#0072b2',
+            'bg-orange-500': '#e69f00',
+            'bg-yellow-500': '#f0e442',
+            'bg-green-500': '#009e73',
+            'bg-purple-500': '#cc79a7',
+            'bg-red-500': '#d55e00',
+            'bg-pink-500': '#bbbbbb'
+        }
+    },
+    // Paul Tol's "bright" scheme
+    'tol-bright': {
+        name: 'Color-blind safe (Tol bright)',
+        colors: {
+            empty: '#1e293b',
+            filled: '#4477aa',
+            highlight: 'rgba(255, 255, 255, 0.45)',
+            invalid: 'rgba(238, 102, 119, 0.75)',
+            clearing: '#ccbb44',
+            background: '#475569',
+            grid: '#64748b',
+            outline: 'rgba(255, 255, 255, 0.25)'
+        },
+        pieces: {
+            'bg-cyan-500': '#66ccee',
+            'bg-blue-500': '#4477aa',
+            'bg-orange-500': '#bbbbbb',
+            'bg-yellow-500': '#ccbb44',
+            'bg-green-500': '#228833',
+            'bg-purple-500': '#aa3377',
+            'bg-red-500': '#ee6677',
+            'bg-pink-500': '#f5f5f5'
+        }
+    },
+    // Paul Tol's "vibrant" scheme
+    'tol-vibrant': {
+        name: 'Color-blind safe (Tol vibrant)',
+        colors: {
+            empty: '#1e293b',
+            filled: '#0077bb',
+            highlight: 'rgba(255, 255, 255, 0.45)',
+            invalid: 'rgba(204, 51, 17, 0.75)',
+            clearing: '#ee7733',
+            background: '#475569',
+            grid: '#64748b',
+            outline: 'rgba(255, 255, 255, 0.25)'
+        },
+        pieces: {
+            'bg-cyan-500': '#33bbee',
+            'bg-blue-500': '#0077bb',
+            'bg-orange-500': '#ee7733',
+            'bg-yellow-500': '#bbbbbb',
+            'bg-green-500': '#009988',
+            'bg-purple-500': '#f5f5f5',
+            'bg-red-500': '#cc3311',
+            'bg-pink-500': '#ee3377'
+        }
+    }
+};
+
+const DEFAULT_THEME = 'default';
+
+// One glyph per piece color (shown on blocks when glyphs are switched on)
+const PIECE_GLYPHS = {
+    'bg-cyan-500': '●',
+    'bg-blue-500': '■',
+    'bg-orange-500': '▲',
+    'bg-yellow-500': '◆',
+    'bg-green-500': '★',
+    'bg-purple-500': '✚',
+    'bg-red-500': '×',
+    'bg-pink-500': '▼'
+};
+
+/**
+ * THEME MANAGER
+ * Holds the player's theme and glyph choice (remembered in localStorage)
+ * and answers the colors the canvas renderers and piece previews draw with
+ */
+class ThemeManager {
+    constructor() {
+        const saved = this.load();
+        this.themeId = THEMES[saved.theme] ? saved.theme : DEFAULT_THEME;
+        this.showGlyphs = saved.glyphs === true;
+        this.apply();
+    }
+
+    /**
+     * @returns {Object} - Current theme (one of THEMES)
+     */
+    get theme() {
+        return THEMES[this.themeId];
+    }
+
+    /**
+     * @returns {Object} - Board colors of the current theme
+     */
+    get colors() {
+        return this.theme.colors;
+    }
+
+    /**
+     * Switch theme
+     * @param {string} themeId - Key of THEMES (unknown ids are ignored)
+     */
+    setTheme(themeId) {
+        if (!THEMES[themeId]) return;
+        this.themeId = themeId;
+        this.save();
+        this.apply();
+    }
+
+    /**
+     * Switch glyphs on blocks on or off
+     * @param {boolean} showGlyphs
+     */
+    setGlyphs(showGlyphs) {
+        this.showGlyphs = showGlyphs;
+        this.save();
+    }
+
+    /**
+     * Get the fill color of a piece
+     * @param {string} colorClass - Piece color (one of COLORS)
+     * @returns {string} - Hex color code
+     */
+    getPieceColor(colorClass) {
+        return this.theme.pieces[colorClass] || this.colors.filled;
+    }
+
+    /**
+     * Get the fill color of a board cell
+     * @param {number} colorId - Board cell value (see getColorId)
+     * @returns {string} - Hex color code
+     */
+    getCellColor(colorId) {
+        const colorClass = getColorById(colorId);
+        return colorClass ? this.getPieceColor(colorClass) : this.colors.filled;
+    }
+
+    /**
+     * Get the glyph drawn on blocks of a piece color
+     * @param {string} colorClass - Piece color (one of COLORS)
+     * @returns {string|null} - Glyph, or null if glyphs are off
+     */
+    getGlyph(colorClass) {
+        return this.showGlyphs ? PIECE_GLYPHS[colorClass] || null : null;
+    }
+
+    /**
+     * Get a glyph color that stands out on a block
+     * @param {string} background - Hex color of the block
+     * @returns {string} - Dark glyph on light blocks, light glyph on dark ones
+     */
+    getGlyphColor(background) {
+        const value = parseInt(background.slice(1), 16);
+        const [r, g, b] = [value >> 16, (value >> 8) & 0xff, value & 0xff];
+        const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+        return luminance > 0.55 ? 'rgba(0, 0, 0, 0.75)' : 'rgba(255, 255, 255, 0.9)';
+    }
+
+    /**
+     * Expose the theme to CSS (see [data-theme] rules in css/style.css)
+     */
+    apply() {
+        document.documentElement.dataset.theme = this.themeId;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(THEME_STORAGE_KEY)) || {};
+        } catch (e) {
+            return {}; // Storage disabled or unreadable - use defaults
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify({ theme: this.themeId, glyphs: this.showGlyphs }));
+        } catch (e) {
+            // Storage disabled - choice lasts until reload
+        }
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * EVENT HUB
+ * Pushes events to clients connected to GET /api/events (Server-Sent Events)
+ * - Broadcast events (leaderboard changes) go to every client
+ * - Channel events (a live game, keyed by its spectator id) only go to clients subscribed to that channel
+ * A comment line is sent every HEARTBEAT_INTERVAL_MS so proxies don't close idle streams.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+class EventHub {
+    /**
+     * @param {Object} options
+     * @param {number} options.heartbeatInterval - Milliseconds between heartbeats
+     */
+    constructor({ heartbeatInterval = HEARTBEAT_INTERVAL_MS } = {}) {
+        this.heartbeatInterval = heartbeatInterval;
+        this.clients = new Set(); // {res, channel}
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Turn a response into an event stream (kept open until the client disconnects)
+     * @param {Object} res - Express response
+     * @param {string|null} channel - Channel to receive besides the broadcasts
+     * @returns {Object} - Client handle (see send)
+     */
+    subscribe(res, channel = null) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // nginx: don't hold events back in its buffer
+        });
+        // Sends the headers right away, so the client sees the stream open
+        res.write(': connected\n\n');
+
+        const client = { res: res, channel: channel };
+        this.clients.add(client);
+        res.on('close', () => this.unsubscribe(client));
+        this.startHeartbeat();
+        return client;
+    }
+
+    unsubscribe(client) {
+        this.clients.delete(client);
+        if (this.clients.size === 0) {
+            this.stopHeartbeat();
+        }
+    }
+
+    /**
+     * Send an event to one client
+     * @param {Object} client - Client handle from subscribe
+     * @param {string} type - Event type (the EventSource event name)
+     * @param {Object} data - Payload (sent as JSON)
+     */
+    send(client, type, data) {
+        client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Send an event to every client, or to the clients of a channel
+     * @param {string} type - Event type
+     * @param {Object} data - Payload
+     * @param {string|null} channel - Only send to this channel (null: broadcast)
+     */
+    publish(type, data, channel = null) {
+        for (const client of this.clients) {
+            if (channel === null || client.channel === channel) {
+                this.send(client, type, data);
+            }
+        }
+    }
+
+    /**
+     * @param {string} channel - Channel
+     * @returns {boolean} - True if a client is subscribed to the channel
+     */
+    hasSubscribers(channel) {
+        for (const client of this.clients) {
+            if (client.channel === channel) return true;
+        }
+        return false;
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    startHeartbeat() {
+        if (this.heartbeatTimer) return;
+        this.heartbeatTimer = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': heartbeat\n\n');
+            }
+        }, this.heartbeatInterval);
+        // (unref so open streams alone don't keep the process alive, e.g. when required by tests)
+        this.heartbeatTimer.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+}
+
+module.exports = {
+    HEARTBEAT_INTERVAL_MS,
+    EventHub
+};
@@ -0,0 +1,113 @@
+/**
+ * GENERATION STATS
+ * Fairness reports from PieceGenerator.stats: how often dealing needed many attempts or
+ * fell back to pieces that don't fit, and whether shapes come up in proportion to their weights.
+ * Used by GET /api/stats/generation (live sessions) and tools/fairness.js (simulated games, saved replays).
+ */
+
+const { BOARD_SIZE, createGenerationStats, BoardManager } = require('../js/rules');
+const { createPieceGenerator } = require('./shape-packs');
+
+const COUNTERS = ['deals', 'pieces', 'attempts', 'lineClearPieces', 'fallbacks', 'ultimateFallbacks', 'unplaceableSets', 'unknownSets'];
+
+/**
+ * Generator a pack deals with at a difficulty (for its weights and empty stats)
+ * @param {Object} pack - Shape pack (see lib/shape-packs.js)
+ * @param {string} difficulty - One of DIFFICULTIES
+ * @returns {PieceGenerator}
+ */
+function createReferenceGenerator(pack, difficulty) {
+    return createPieceGenerator(pack, new BoardManager(BOARD_SIZE), Math.random, difficulty);
+}
+
+/**
+ * Add the stats of one game to a running total
+ * Per-shape counts are skipped if the game was dealt from a different version of the pack.
+ * @param {Object} total - Stats to add to (modified)
+ * @param {Object} stats - PieceGenerator.stats of one game
+ * @returns {Object} - total
+ */
+function mergeGenerationStats(total, stats) {
+    COUNTERS.forEach(counter => {
+        total[counter] += stats[counter] || 0;
+    });
+    if (Array.isArray(stats.shapes) && stats.shapes.length === total.shapes.length) {
+        stats.shapes.forEach((count, i) => {
+            total.shapes[i] += count;
+            total.draws[i] += stats.draws[i];
+            stats.rotations[i].forEach((rotationCount, r) => {
+                if (r < total.rotations[i].length) total.rotations[i][r] += rotationCount;
+            });
+        });
+    }
+    return total;
+}
+
+/**
+ * Aggregate the stats of many games dealt from one pack at one difficulty
+ * @param {Object} pack - Shape pack the games were dealt from
+ * @param {string} difficulty - One of DIFFICULTIES
+ * @param {Array} statsList - PieceGenerator.stats of each game
+ * @returns {Object} - {shapePack, difficulty, games, counts, rates, maxDrawDeviation, shapes}
+ *   rates are per piece dealt (unplaceableSets and unknownSets: per deal); each of shapes is
+ *   {index, matrix, weight, expectedShare, drawShare, dealShare, rotations}
+ */
+function buildGenerationReport(pack, difficulty, statsList) {
+    const generator = createReferenceGenerator(pack, difficulty);
+    const total = statsList.reduce(mergeGenerationStats, createGenerationStats(generator.shapeLibrary, shape => generator.getAllRotations(shape).length));
+    const share = (count, of) => (of > 0 ? count / of : 0);
+
+    const shapes = generator.shapeLibrary.map((matrix, i) => ({
+        index: i,
+        matrix: matrix,
+        weight: generator.weights[i],
+        expectedShare: generator.weights[i] / generator.totalWeight,
+        drawShare: share(total.draws[i], total.attempts),
+        dealShare: share(total.shapes[i], total.pieces),
+        rotations: total.rotations[i]
+    }));
+
+    return {
+        shapePack: pack.id,
+        difficulty: difficulty,
+        games: statsList.length,
+        counts: Object.fromEntries(COUNTERS.map(counter => [counter, total[counter]])),
+        rates: {
+            attemptsPerPiece: share(total.attempts, total.pieces),
+            lineClearPieces: share(total.lineClearPieces, total.pieces),
+            fallbacks: share(total.fallbacks, total.pieces),
+            ultimateFallbacks: share(total.ultimateFallbacks, total.pieces),
+            unplaceableSets: share(total.unplaceableSets, total.deals),
+            unknownSets: share(total.unknownSets, total.deals)
+        },
+        // Largest gap between how often a shape is drawn and its weight share - shrinks with more games
+        maxDrawDeviation: total.attempts > 0 ? Math.max(...shapes.map(shape => Math.abs(shape.drawShare - shape.expectedShare))) : 0,
+        shapes: shapes
+    };
+}
+
+/**
+ * Group games by pack and difficulty and build a report for each group
+ * @param {Array} games - [{shapePack, difficulty, stats}], shapePack being a loaded pack
+ * @returns {Array} - buildGenerationReport results, ordered by pack id then difficulty
+ */
+function buildGenerationReports(games) {
+    const groups = new Map();
+    games.forEach(({ shapePack, difficulty, stats }) => {
+        const key = `${shapePack.id}:${difficulty}`;
+        if (!groups.has(key)) {
+            groups.set(key, { pack: shapePack, difficulty: difficulty, statsList: [] });
+        }
+        groups.get(key).statsList.push(stats);
+    });
+    return [...groups.keys()].sort().map(key => {
+        const group = groups.get(key);
+        return buildGenerationReport(group.pack, group.difficulty, group.statsList);
+    });
+}
+
+module.exports = {
+    mergeGenerationStats,
+    buildGenerationReport,
+    buildGenerationReports
+};
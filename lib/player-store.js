@@ -0,0 +1,152 @@
+/**
+ * PLAYER STORE
+ * Player profiles (players.json): a display name and the history of finished games of each
+ * player id. Ids are generated and kept by the client; stats are computed from the history.
+ * Games are kept by session id (so a game recorded again replaces itself), but profiles only
+ * show their public gameId: the session id lets its holder play, and submit the score.
+ * The file is rewritten atomically on every change, keeping the previous version as players.json.bak.
+ */
+
+const fs = require('fs');
+const { WriteQueue, writeFileAtomic, removeStaleTempFile, corruptFileError } = require('./safe-file');
+const { MAX_PLAYER_NAME_LENGTH } = require('../js/rules');
+
+const PROFILE_HISTORY_LENGTH = 20;
+
+/**
+ * Compute the stats of a player
+ * @param {Array} games - Finished games ({score, linesCleared, bestCombo, ...})
+ * @returns {Object} - {gamesPlayed, personalBest, averageScore, totalLinesCleared, bestCombo}
+ */
+function computePlayerStats(games) {
+    const totalScore = games.reduce((sum, game) => sum + game.score, 0);
+    return {
+        gamesPlayed: games.length,
+        personalBest: games.reduce((best, game) => Math.max(best, game.score), 0),
+        averageScore: games.length > 0 ? Math.round(totalScore / games.length) : 0,
+        totalLinesCleared: games.reduce((sum, game) => sum + (game.linesCleared || 0), 0),
+        bestCombo: games.reduce((best, game) => Math.max(best, game.bestCombo || 0), 0)
+    };
+}
+
+class PlayerStore {
+    /**
+     * @param {string} file - Path of the players file
+     */
+    constructor(file) {
+        this.file = file;
+        this.players = new Map(); // playerId -> {name, createdAt, games: [...] oldest first}
+        this.queue = new WriteQueue();
+        this.loadError = null; // Set if the file couldn't be read - reads and writes then fail with it
+    }
+
+    get size() {
+        return this.players.size;
+    }
+
+    /**
+     * Read the players file (synchronous, call once on startup)
+     * @returns {number} - Number of players loaded
+     * @throws {Error} - code 'ECORRUPT' if the file can't be parsed (the file is left untouched)
+     */
+    load() {
+        removeStaleTempFile(this.file);
+        let data;
+        try {
+            data = fs.readFileSync(this.file, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                this.loadError = e;
+                throw e;
+            }
+            return 0;
+        }
+
+        let players;
+        try {
+            players = JSON.parse(data);
+        } catch (e) {
+            this.loadError = corruptFileError(this.file, e.message);
+            throw this.loadError;
+        }
+        if (!players || typeof players !== 'object' || Array.isArray(players) ||
+            !Object.values(players).every(player => player && Array.isArray(player.games))) {
+            this.loadError = corruptFileError(this.file, 'not a map of player ids to profiles');
+            throw this.loadError;
+        }
+        this.players = new Map(Object.entries(players));
+        return this.players.size;
+    }
+
+    /**
+     * @throws {Error} - The load error, if the file couldn't be read
+     */
+    assertLoaded() {
+        if (this.loadError) throw this.loadError;
+    }
+
+    /**
+     * Record a finished game (a game recorded again, e.g. after an undo, replaces its earlier result)
+     * @param {string} playerId - Player id
+     * @param {string|null} name - Display name (keeps the previous one if empty)
+     * @param {Object} game - {sessionId, gameId, date, mode, variant, shapePack, difficulty, score, linesCleared, bestCombo}
+     * @returns {Promise<Object>} - Profile of the player (see getProfile), once saved
+     */
+    async recordGame(playerId, name, game) {
+        this.assertLoaded();
+        const player = this.players.get(playerId) || { name: null, createdAt: game.date, games: [] };
+        const cleanName = String(name || '').trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+        if (cleanName) {
+            player.name = cleanName;
+        }
+        player.games = player.games.filter(previous => previous.sessionId !== game.sessionId);
+        player.games.push(game);
+        this.players.set(playerId, player);
+        await this.save();
+        return this.getProfile(playerId);
+    }
+
+    /**
+     * Get a player's profile
+     * @param {string} playerId - Player id
+     * @returns {Object|null} - {id, name, createdAt, stats, recentGames (newest first, without session ids)}, null for unknown players
+     */
+    getProfile(playerId) {
+        this.assertLoaded();
+        const player = this.players.get(playerId);
+        if (!player) return null;
+        return {
+            id: playerId,
+            name: player.name,
+            createdAt: player.createdAt,
+            stats: computePlayerStats(player.games),
+            recentGames: player.games.slice(-PROFILE_HISTORY_LENGTH).reverse().map(({ sessionId, ...game }) => game)
+        };
+    }
+
+    /**
+     * Write every player to the file (saves run one at a time and always write the latest state)
+     * @returns {Promise<void>}
+     */
+    save() {
+        return this.queue.run(() => writeFileAtomic(
+            this.file,
+            JSON.stringify(Object.fromEntries(this.players), null, 2),
+            { backup: true }
+        ));
+    }
+
+    /**
+     * Wait for pending saves
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.queue.flush();
+    }
+}
+
+module.exports = {
+    PROFILE_HISTORY_LENGTH,
+    computePlayerStats,
+    PlayerStore
+};
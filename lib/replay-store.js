@@ -0,0 +1,69 @@
+/**
+ * REPLAY STORE
+ * Replays of ranked games, one JSON file per game in a directory (replays/), keyed by the
+ * game's public id (the replayId of its score entry; the session id for games ranked before
+ * games had one), so leaderboard entries can still link to them after the session has expired.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./safe-file');
+
+class FileReplayStore {
+    /**
+     * @param {string} dir - Directory holding the replays
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    getFile(replayId) {
+        // Replay ids come from clients - encode so they can't escape the replay directory
+        return path.join(this.dir, `${encodeURIComponent(replayId)}.json`);
+    }
+
+    /**
+     * Keep a replay
+     * @param {string} replayId - Public id of the game
+     * @param {Object} replay - Replay of the game (see buildReplay in server.js)
+     * @returns {Promise<void>}
+     */
+    async save(replayId, replay) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await writeFileAtomic(this.getFile(replayId), JSON.stringify(replay));
+    }
+
+    /**
+     * Load a saved replay
+     * @param {string} replayId - Public id of the game
+     * @returns {Promise<Object|null>} - Replay or null if not saved
+     */
+    async load(replayId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.getFile(replayId), 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error('Error loading replay:', e);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Read every saved replay (synchronous)
+     * @returns {Array} - [{replayId, replay}]
+     */
+    readAll() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => ({
+                replayId: decodeURIComponent(file.slice(0, -'.json'.length)),
+                replay: JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'))
+            }));
+    }
+}
+
+module.exports = {
+    FileReplayStore
+};
@@ -0,0 +1,113 @@
+/**
+ * SAFE FILE WRITES
+ * Helpers for the data files the server keeps (scores.jsonl, players.json):
+ * - WriteQueue runs writes one at a time, in the order they were queued
+ * - writeFileAtomic writes a temp file and renames it over the target, so a crash leaves
+ *   either the old or the new file, never part of one; the old file can be kept as <file>.bak
+ * - corruptFileError is thrown by loaders for files they can't read back, instead of
+ *   starting over with no data (and overwriting the file on the next save)
+ */
+
+const fs = require('fs');
+
+class WriteQueue {
+    constructor() {
+        this.last = Promise.resolve(); // Last queued write
+    }
+
+    /**
+     * Run a write after the ones queued before it
+     * @param {Function} write - Async function
+     * @returns {Promise} - Result of the write (a failed write doesn't block the ones after it)
+     */
+    run(write) {
+        const result = this.last.then(write);
+        this.last = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Wait for queued writes
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.last;
+    }
+}
+
+/**
+ * Replace a file's content in one step
+ * @param {string} file - Target path
+ * @param {string} data - New content
+ * @param {Object} options
+ * @param {boolean} options.backup - Keep the current file as <file>.bak
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(file, data, { backup = false } = {}) {
+    const tempFile = `${file}.tmp`;
+    const handle = await fs.promises.open(tempFile, 'w');
+    try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    if (backup) {
+        try {
+            await fs.promises.copyFile(file, `${file}.bak`);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+    await fs.promises.rename(tempFile, file);
+}
+
+/**
+ * Synchronous writeFileAtomic (for loaders that run on startup)
+ */
+function writeFileAtomicSync(file, data, { backup = false } = {}) {
+    const tempFile = `${file}.tmp`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeFileSync(fd, data, 'utf8');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (backup) {
+        try {
+            fs.copyFileSync(file, `${file}.bak`);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+    fs.renameSync(tempFile, file);
+}
+
+/**
+ * Remove the temp file of a write interrupted by a crash (the file itself is still intact)
+ * @param {string} file - Target path
+ */
+function removeStaleTempFile(file) {
+    fs.rmSync(`${file}.tmp`, { force: true });
+}
+
+/**
+ * @param {string} file - Path of the unreadable file
+ * @param {string} reason - What is wrong with it
+ * @returns {Error} - Error with code 'ECORRUPT' and the file
+ */
+function corruptFileError(file, reason) {
+    const error = new Error(`${file} is corrupt (${reason}) - repair it (or restore ${file}.bak if there is one) and restart the server`);
+    error.code = 'ECORRUPT';
+    error.file = file;
+    return error;
+}
+
+module.exports = {
+    WriteQueue,
+    writeFileAtomic,
+    writeFileAtomicSync,
+    removeStaleTempFile,
+    corruptFileError
+};
@@ -0,0 +1,249 @@
+/**
+ * SCORE STORE
+ * Append-only log of every submitted score, one JSON entry per line (scores.jsonl).
+ * Leaderboards are computed from it on demand: per game mode, variant and shape pack,
+ * for all time, this month or this week (UTC), or for one day of the daily challenge.
+ * Appends run one at a time; a line cut off by a crash is dropped on the next start (the file
+ * as found is kept as scores.jsonl.bak), any other unreadable line stops the store (see load).
+ * A failed append (disk full, I/O error) may still have written part of its line: the log is
+ * truncated back to its size before the append, so the next entry doesn't land after the cut.
+ * Scores are appended rather than written atomically (like players.json) because that would
+ * rewrite the whole, ever-growing log on every score; the price is that if the truncate fails
+ * too, the store refuses further scores until a restart drops the cut off line.
+ */
+
+const fs = require('fs');
+const { WriteQueue, writeFileAtomicSync, removeStaleTempFile, corruptFileError } = require('./safe-file');
+const { DEFAULT_VARIANT, DEFAULT_SHAPE_PACK, getVariantId } = require('../js/rules');
+
+const RANK_PERIODS = ['all', 'month', 'week'];
+
+/**
+ * Get the start of a leaderboard period
+ * @param {string} period - One of RANK_PERIODS
+ * @param {Date} now - Current time
+ * @returns {Date|null} - First moment of the period (weeks start on Monday, UTC), null for all time
+ */
+function getPeriodStart(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    switch (period) {
+        case 'all':
+            return null;
+        case 'month':
+            return new Date(Date.UTC(year, month, 1));
+        case 'week': {
+            const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+            return new Date(Date.UTC(year, month, now.getUTCDate() - daysSinceMonday));
+        }
+        default:
+            throw new Error(`Unknown period: ${period}`);
+    }
+}
+
+/**
+ * Convert the top 10 lists of the old rank files into score entries
+ * @param {Object} legacy
+ * @param {Array} legacy.topRank - top-rank.json (standard variant, classic pieces)
+ * @param {Object} legacy.variantRanks - variant-rank.json ('<variant id>' or '<variant id>:<pack id>' -> entries)
+ * @param {Object} legacy.dailyRanks - daily-rank.json (date -> entries)
+ * @returns {Array} - Score entries, oldest first
+ */
+function importLegacyRanks({ topRank = [], variantRanks = {}, dailyRanks = {} }) {
+    const standardVariant = getVariantId(DEFAULT_VARIANT);
+    const entries = [];
+    const add = (ranks, fields) => {
+        // top-rank.json once held a single entry instead of a list
+        const list = Array.isArray(ranks) ? ranks : [ranks];
+        list
+            .filter(rank => rank && typeof rank.score === 'number')
+            .forEach(rank => entries.push({ ...rank, ...fields }));
+    };
+
+    add(topRank, { mode: 'classic', variant: standardVariant, shapePack: DEFAULT_SHAPE_PACK });
+    Object.entries(variantRanks).forEach(([key, ranks]) => {
+        const [variant, shapePack = DEFAULT_SHAPE_PACK] = key.split(':');
+        add(ranks, { mode: 'classic', variant: variant, shapePack: shapePack });
+    });
+    Object.entries(dailyRanks).forEach(([date, ranks]) => {
+        add(ranks, { mode: 'daily', dailyDate: date, variant: standardVariant, shapePack: DEFAULT_SHAPE_PACK });
+    });
+    return entries.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+class ScoreStore {
+    /**
+     * @param {string} file - Path of the score log
+     */
+    constructor(file) {
+        this.file = file;
+        this.scores = []; // Every entry of the log, in the order submitted
+        this.queue = new WriteQueue();
+        this.loadError = null; // Set if the log couldn't be read (or an append couldn't be undone) - reads and writes then fail with it
+    }
+
+    get size() {
+        return this.scores.length;
+    }
+
+    /**
+     * Read the log (synchronous, call once on startup)
+     * A last line without its newline is an append cut off by a crash: it is dropped and the
+     * log rewritten without it. Any other line that isn't a score entry means the file is corrupt.
+     * @param {Function} importLegacy - Called if there is no log yet, returns entries to start it with
+     * @returns {number} - Number of entries loaded
+     * @throws {Error} - code 'ECORRUPT' if the log can't be read back (the file is left untouched)
+     */
+    load(importLegacy = null) {
+        try {
+            this.scores = this.read(importLegacy);
+            return this.scores.length;
+        } catch (e) {
+            this.loadError = e;
+            throw e;
+        }
+    }
+
+    read(importLegacy) {
+        removeStaleTempFile(this.file);
+        let data;
+        try {
+            data = fs.readFileSync(this.file, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+            const scores = importLegacy ? importLegacy() : [];
+            if (scores.length > 0) {
+                writeFileAtomicSync(this.file, this.serialize(scores));
+            }
+            return scores;
+        }
+
+        const lines = data.split('\n');
+        const tail = lines.pop(); // '' if the log ends with a newline, as every complete append does
+        const scores = [];
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            const entry = this.parseLine(line);
+            if (!entry) {
+                throw corruptFileError(this.file, `line ${index + 1} is not a score entry`);
+            }
+            scores.push(entry);
+        });
+        if (tail) {
+            const entry = this.parseLine(tail);
+            if (entry) {
+                scores.push(entry);
+            }
+            console.error(`${entry ? 'Completing' : 'Dropping'} the cut off last line of ${this.file} (previous file kept as ${this.file}.bak)`);
+            writeFileAtomicSync(this.file, this.serialize(scores), { backup: true });
+        }
+        return scores;
+    }
+
+    /**
+     * @param {string} line - Line of the log
+     * @returns {Object|null} - Score entry, null if the line isn't one
+     */
+    parseLine(line) {
+        try {
+            const entry = JSON.parse(line);
+            return entry && typeof entry.score === 'number' ? entry : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    serialize(scores) {
+        return scores.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    }
+
+    /**
+     * @throws {Error} - The load error, if the log couldn't be read
+     */
+    assertLoaded() {
+        if (this.loadError) throw this.loadError;
+    }
+
+    /**
+     * Append a score (appends run one at a time, in the order they were added)
+     * @param {Object} entry - {name, score, date, mode, variant, shapePack, ...}
+     * @returns {Promise<Object>} - The entry, once it is written
+     */
+    async add(entry) {
+        this.assertLoaded();
+        return this.queue.run(async () => {
+            this.assertLoaded();
+            const size = await this.getFileSize();
+            try {
+                await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`, 'utf8');
+            } catch (e) {
+                await this.truncateTo(size);
+                throw e;
+            }
+            this.scores.push(entry);
+            return entry;
+        });
+    }
+
+    /**
+     * @returns {Promise<number>} - Size of the log in bytes (0 before the first score)
+     */
+    async getFileSize() {
+        try {
+            return (await fs.promises.stat(this.file)).size;
+        } catch (e) {
+            if (e.code === 'ENOENT') return 0;
+            throw e;
+        }
+    }
+
+    /**
+     * Cut off the part of a failed append that was written
+     * If that fails as well, the store stops: appending after a partial line would corrupt the log.
+     * @param {number} size - Size of the log before the append
+     */
+    async truncateTo(size) {
+        try {
+            await fs.promises.truncate(this.file, size);
+        } catch (e) {
+            if (e.code === 'ENOENT') return;
+            console.error(`Could not undo a failed append to ${this.file}:`, e);
+            this.loadError = corruptFileError(this.file, 'a failed append left part of a line');
+        }
+    }
+
+    /**
+     * Wait for pending appends
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.queue.flush();
+    }
+
+    /**
+     * Compute a leaderboard
+     * @param {Object} filter - Fields entries must match (e.g. {mode, variant, shapePack, dailyDate}; undefined matches any)
+     * @param {Object} options
+     * @param {string} options.period - One of RANK_PERIODS (default 'all')
+     * @param {number} options.limit - Number of entries (default 10)
+     * @param {Date} options.now - Current time (for the period)
+     * @returns {Array} - Best entries, by score descending (earlier first on ties)
+     */
+    query(filter, { period = 'all', limit = 10, now = new Date() } = {}) {
+        this.assertLoaded();
+        const since = getPeriodStart(period, now);
+        const fields = Object.entries(filter).filter(([, value]) => value !== undefined);
+        return this.scores
+            .filter(entry => fields.every(([key, value]) => entry[key] === value))
+            .filter(entry => !since || Date.parse(entry.date) >= since.getTime())
+            .sort((a, b) => b.score - a.score || String(a.date).localeCompare(String(b.date)))
+            .slice(0, limit);
+    }
+}
+
+module.exports = {
+    RANK_PERIODS,
+    getPeriodStart,
+    importLegacyRanks,
+    ScoreStore
+};
@@ -0,0 +1,173 @@
+/**
+ * SESSION STORE
+ * Pluggable storage for game sessions
+ * - memory: sessions live in a Map and are lost on restart
+ * - file: sessions are also written as JSON snapshots to a data directory and reloaded on start
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// In-memory backend (also the cache every other backend builds on)
+class MemorySessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    get(sessionId) {
+        return this.sessions.get(sessionId);
+    }
+
+    has(sessionId) {
+        return this.sessions.has(sessionId);
+    }
+
+    /**
+     * Store a session (call again after mutating it so persistent backends save the change)
+     * @param {string} sessionId - Session id
+     * @param {Object} gameState - Live session state
+     */
+    set(sessionId, gameState) {
+        this.sessions.set(sessionId, gameState);
+        return this;
+    }
+
+    delete(sessionId) {
+        return this.sessions.delete(sessionId);
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    [Symbol.iterator]() {
+        return this.sessions.entries();
+    }
+
+    /**
+     * Wait for pending writes (nothing to wait for in memory)
+     * @returns {Promise<void>}
+     */
+    async flush() {}
+}
+
+// File backend: one JSON snapshot per session in dataDir
+class FileSessionStore extends MemorySessionStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir - Directory holding the snapshots
+     * @param {Function} options.serialize - Live session state -> plain JSON object
+     * @param {Function} options.hydrate - Plain JSON object -> live session state
+     */
+    constructor({ dataDir, serialize, hydrate }) {
+        super();
+        this.dataDir = dataDir;
+        this.serialize = serialize;
+        this.hydrate = hydrate;
+        this.writes = new Map(); // sessionId -> promise of the last queued write/delete
+    }
+
+    getFile(sessionId) {
+        // Session ids may come from clients - encode so they can't escape the data directory
+        return path.join(this.dataDir, `${encodeURIComponent(sessionId)}.json`);
+    }
+
+    /**
+     * Load every stored snapshot (synchronous, call once on startup)
+     * @returns {number} - Number of sessions loaded
+     */
+    load() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+
+        for (const file of fs.readdirSync(this.dataDir)) {
+            // Leftover of a write interrupted by a crash - the previous snapshot is still intact
+            if (file.endsWith('.json.tmp')) {
+                fs.rmSync(path.join(this.dataDir, file), { force: true });
+                continue;
+            }
+            if (!file.endsWith('.json')) continue;
+
+            const sessionId = decodeURIComponent(file.slice(0, -'.json'.length));
+            try {
+                const data = JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf8'));
+                this.sessions.set(sessionId, this.hydrate(data));
+            } catch (e) {
+                console.error(`Error loading game session ${sessionId}:`, e);
+            }
+        }
+        return this.sessions.size;
+    }
+
+    set(sessionId, gameState) {
+        super.set(sessionId, gameState);
+        // Serialize when the write runs, so queued writes always save the latest state
+        this.enqueue(sessionId, async () => {
+            if (this.sessions.get(sessionId) !== gameState) return;
+            const file = this.getFile(sessionId);
+            const tempFile = `${file}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify(this.serialize(gameState)), 'utf8');
+            await fs.promises.rename(tempFile, file);
+        });
+        return this;
+    }
+
+    delete(sessionId) {
+        const deleted = super.delete(sessionId);
+        this.enqueue(sessionId, async () => {
+            try {
+                await fs.promises.unlink(this.getFile(sessionId));
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+        });
+        return deleted;
+    }
+
+    /**
+     * Run a file operation after earlier operations on the same session
+     * @param {string} sessionId - Session id
+     * @param {Function} operation - Async file operation
+     */
+    enqueue(sessionId, operation) {
+        const previous = this.writes.get(sessionId) || Promise.resolve();
+        const next = previous
+            .then(operation)
+            .catch(e => console.error(`Error writing game session ${sessionId}:`, e))
+            .finally(() => {
+                if (this.writes.get(sessionId) === next) {
+                    this.writes.delete(sessionId);
+                }
+            });
+        this.writes.set(sessionId, next);
+    }
+
+    async flush() {
+        await Promise.all(this.writes.values());
+    }
+}
+
+/**
+ * Create a session store
+ * @param {string} type - 'memory' or 'file'
+ * @param {Object} options - Backend options (see FileSessionStore)
+ * @returns {MemorySessionStore}
+ */
+function createSessionStore(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore();
+        case 'file': {
+            const store = new FileSessionStore(options);
+            store.load();
+            return store;
+        }
+        default:
+            throw new Error(`Unknown session store: ${type}`);
+    }
+}
+
+module.exports = {
+    MemorySessionStore,
+    FileSessionStore,
+    createSessionStore
+};
@@ -0,0 +1,190 @@
+/**
+ * SHAPE PACKS
+ * Piece sets a game can be played with
+ * - classic: the built-in RAW_SHAPES (weight = cell count, random colors)
+ * - <id>.json in the shapes directory: custom packs, validated when loaded
+ *
+ * Pack file format:
+ * {
+ *   "name": "Pentominoes",
+ *   "description": "Optional text",
+ *   "shapes": [
+ *     { "matrix": [[1, 1, 1, 1, 1]], "weight": 2, "color": "bg-red-500" },
+ *     ...
+ *   ]
+ * }
+ * weight (positive number) and color (one of COLORS) are optional per shape.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { SHAPE_LIBRARY, DEFAULT_SHAPE_PACK, DEFAULT_DIFFICULTY, COLORS, BOARD_SIZES, PieceGenerator } = require('../js/rules');
+
+const MAX_SHAPES_PER_PACK = 64;
+const MAX_SHAPE_SIZE = Math.max(...BOARD_SIZES);
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const CLASSIC_PACK = Object.freeze({
+    id: DEFAULT_SHAPE_PACK,
+    name: 'Classic',
+    description: 'The standard pieces',
+    shapes: SHAPE_LIBRARY.map(matrix => ({ matrix: matrix, weight: null, color: null })),
+    maxSize: getMaxSize(SHAPE_LIBRARY)
+});
+
+function getMaxSize(matrices) {
+    return Math.max(...matrices.map(matrix => Math.max(matrix.length, matrix[0].length)));
+}
+
+/**
+ * Check a shape matrix: rectangular, only 0/1, no empty rows or columns, fits the largest board
+ * @param {*} matrix - Value to check
+ * @returns {string|null} - Problem found, or null if valid
+ */
+function validateMatrix(matrix) {
+    if (!Array.isArray(matrix) || matrix.length === 0 || !matrix.every(row => Array.isArray(row))) {
+        return 'matrix must be a non-empty array of rows';
+    }
+    const cols = matrix[0].length;
+    if (cols === 0 || !matrix.every(row => row.length === cols)) {
+        return 'matrix must be rectangular';
+    }
+    if (!matrix.every(row => row.every(cell => cell === 0 || cell === 1))) {
+        return 'matrix cells must be 0 or 1';
+    }
+    if (matrix.some(row => row.every(cell => cell === 0))) {
+        return 'matrix has an empty row';
+    }
+    for (let c = 0; c < cols; c++) {
+        if (matrix.every(row => row[c] === 0)) {
+            return 'matrix has an empty column';
+        }
+    }
+    if (matrix.length > MAX_SHAPE_SIZE || cols > MAX_SHAPE_SIZE) {
+        return `matrix is larger than the largest board (${MAX_SHAPE_SIZE}x${MAX_SHAPE_SIZE})`;
+    }
+    return null;
+}
+
+/**
+ * Validate a shape pack and normalize it
+ * @param {string} id - Pack id (file name without .json)
+ * @param {*} data - Parsed pack file
+ * @returns {Object} - {id, name, description, shapes: [{matrix, weight, color}], maxSize}
+ * @throws {Error} - If the pack is invalid
+ */
+function parseShapePack(id, data) {
+    if (!PACK_ID_PATTERN.test(id)) {
+        throw new Error(`Invalid shape pack id "${id}" - use lowercase letters, digits and dashes`);
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.shapes)) {
+        throw new Error(`Shape pack "${id}" must be an object with a shapes array`);
+    }
+    if (data.shapes.length === 0 || data.shapes.length > MAX_SHAPES_PER_PACK) {
+        throw new Error(`Shape pack "${id}" must have 1-${MAX_SHAPES_PER_PACK} shapes`);
+    }
+
+    const shapes = data.shapes.map((shape, i) => {
+        const matrix = shape && shape.matrix;
+        const problem = validateMatrix(matrix);
+        if (problem) {
+            throw new Error(`Shape ${i} of pack "${id}": ${problem}`);
+        }
+        const weight = shape.weight === undefined ? null : shape.weight;
+        if (weight !== null && !(typeof weight === 'number' && Number.isFinite(weight) && weight > 0)) {
+            throw new Error(`Shape ${i} of pack "${id}": weight must be a positive number`);
+        }
+        const color = shape.color === undefined ? null : shape.color;
+        if (color !== null && !COLORS.includes(color)) {
+            throw new Error(`Shape ${i} of pack "${id}": color must be one of ${COLORS.join(', ')}`);
+        }
+        return { matrix: matrix, weight: weight, color: color };
+    });
+
+    return {
+        id: id,
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : id,
+        description: typeof data.description === 'string' ? data.description : '',
+        shapes: shapes,
+        maxSize: getMaxSize(shapes.map(shape => shape.matrix))
+    };
+}
+
+/**
+ * Load every pack in a directory (synchronous, call once on startup)
+ * Invalid packs are logged and skipped so one bad file can't stop the server.
+ * @param {string} shapesDir - Directory holding <id>.json pack files
+ * @returns {Map} - Pack id -> pack (always includes the classic pack)
+ */
+function loadShapePacks(shapesDir) {
+    const packs = new Map([[DEFAULT_SHAPE_PACK, CLASSIC_PACK]]);
+
+    let files = [];
+    try {
+        files = fs.readdirSync(shapesDir).filter(file => file.endsWith('.json')).sort();
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error('Error reading shape packs:', e);
+        }
+        return packs;
+    }
+
+    for (const file of files) {
+        const id = file.slice(0, -'.json'.length);
+        if (packs.has(id)) {
+            console.error(`Skipping shape pack ${file}: "${id}" is a built-in pack`);
+            continue;
+        }
+        try {
+            const data = JSON.parse(fs.readFileSync(path.join(shapesDir, file), 'utf8'));
+            packs.set(id, parseShapePack(id, data));
+        } catch (e) {
+            console.error(`Skipping shape pack ${file}: ${e.message}`);
+        }
+    }
+    return packs;
+}
+
+/**
+ * Create a piece generator dealing from a pack
+ * @param {Object} pack - Shape pack
+ * @param {BoardManager} boardManager - Board used to simulate placements
+ * @param {Function} random - Returns a float in [0, 1)
+ * @param {string} [difficulty] - One of DIFFICULTIES
+ * @returns {PieceGenerator}
+ */
+function createPieceGenerator(pack, boardManager, random, difficulty = DEFAULT_DIFFICULTY) {
+    if (pack.id === DEFAULT_SHAPE_PACK) {
+        return new PieceGenerator(SHAPE_LIBRARY, boardManager, random, { difficulty: difficulty });
+    }
+    return new PieceGenerator(pack.shapes.map(shape => shape.matrix), boardManager, random, {
+        weights: pack.shapes.map(shape => shape.weight),
+        colors: pack.shapes.map(shape => shape.color),
+        difficulty: difficulty
+    });
+}
+
+/**
+ * Public description of a pack (for GET /api/shapes)
+ * @param {Object} pack - Shape pack
+ * @returns {Object} - {id, name, description, shapeCount, maxSize, shapes}
+ */
+function describeShapePack(pack) {
+    return {
+        id: pack.id,
+        name: pack.name,
+        description: pack.description,
+        shapeCount: pack.shapes.length,
+        maxSize: pack.maxSize,
+        shapes: pack.shapes.map(shape => shape.matrix)
+    };
+}
+
+module.exports = {
+    validateMatrix,
+    parseShapePack,
+    loadShapePacks,
+    createPieceGenerator,
+    describeShapePack
+};
@@ -0,0 +1,368 @@
+/**
+ * SQLITE STORE
+ * Optional storage of scores, player profiles and replays of ranked games in an embedded
+ * SQLite database file (DATA_STORE=sqlite, needs the better-sqlite3 package).
+ * The stores have the same methods as the JSON file ones (ScoreStore, PlayerStore, FileReplayStore),
+ * so the server uses either. The schema is versioned with PRAGMA user_version (see MIGRATIONS);
+ * a new database is filled once from the existing data files (see createSqliteStores).
+ */
+
+const { getPeriodStart } = require('./score-store');
+const { PROFILE_HISTORY_LENGTH } = require('./player-store');
+const { MAX_PLAYER_NAME_LENGTH } = require('../js/rules');
+
+// Schema changes, applied in order; the database's user_version is the number applied so far.
+// Append new migrations - never edit one that has shipped.
+const MIGRATIONS = [
+    `
+    CREATE TABLE scores (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        score INTEGER NOT NULL,
+        date TEXT NOT NULL,
+        mode TEXT NOT NULL,
+        daily_date TEXT,
+        variant TEXT NOT NULL,
+        shape_pack TEXT NOT NULL,
+        difficulty TEXT,
+        replay_id TEXT,
+        used_undo INTEGER,
+        used_hint INTEGER,
+        seeded INTEGER
+    );
+    CREATE INDEX scores_board ON scores (mode, variant, shape_pack, score DESC, date);
+    CREATE INDEX scores_daily ON scores (daily_date, score DESC, date) WHERE daily_date IS NOT NULL;
+
+    CREATE TABLE players (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE player_games (
+        player_id TEXT NOT NULL REFERENCES players (id),
+        session_id TEXT NOT NULL,
+        game_id TEXT,
+        date TEXT NOT NULL,
+        mode TEXT NOT NULL,
+        daily_date TEXT,
+        variant TEXT,
+        shape_pack TEXT,
+        difficulty TEXT,
+        score INTEGER NOT NULL,
+        lines_cleared INTEGER NOT NULL DEFAULT 0,
+        best_combo INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (player_id, session_id)
+    );
+    CREATE INDEX player_games_recent ON player_games (player_id, date DESC);
+
+    CREATE TABLE replays (
+        replay_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    `
+];
+
+// Score entry fields that can be filtered on, and their columns
+const SCORE_FILTER_COLUMNS = {
+    mode: 'mode',
+    dailyDate: 'daily_date',
+    variant: 'variant',
+    shapePack: 'shape_pack'
+};
+
+/**
+ * Bring a database's schema up to date
+ * @param {Object} db - better-sqlite3 database
+ * @returns {number} - Schema version before migrating (0 for a new database)
+ */
+function migrate(db) {
+    const version = db.pragma('user_version', { simple: true });
+    if (version > MIGRATIONS.length) {
+        throw new Error(`Database schema version ${version} is newer than this server (${MIGRATIONS.length})`);
+    }
+    MIGRATIONS.slice(version).forEach((sql, index) => {
+        db.exec(sql);
+        db.pragma(`user_version = ${version + index + 1}`);
+    });
+    return version;
+}
+
+/**
+ * Convert a row of the scores table to a score entry (as stored by ScoreStore)
+ */
+function rowToScore(row) {
+    const entry = {
+        name: row.name,
+        score: row.score,
+        date: row.date,
+        mode: row.mode,
+        ...(row.daily_date !== null ? { dailyDate: row.daily_date } : {}),
+        variant: row.variant,
+        shapePack: row.shape_pack
+    };
+    if (row.difficulty !== null) entry.difficulty = row.difficulty;
+    if (row.replay_id !== null) entry.replayId = row.replay_id;
+    if (row.used_undo !== null) entry.usedUndo = row.used_undo === 1;
+    if (row.used_hint !== null) entry.usedHint = row.used_hint === 1;
+    if (row.seeded !== null) entry.seeded = row.seeded === 1;
+    return entry;
+}
+
+function rowToGame(row) {
+    return {
+        ...(row.game_id !== null ? { gameId: row.game_id } : {}),
+        date: row.date,
+        mode: row.mode,
+        ...(row.daily_date !== null ? { dailyDate: row.daily_date } : {}),
+        variant: row.variant,
+        shapePack: row.shape_pack,
+        difficulty: row.difficulty,
+        score: row.score,
+        linesCleared: row.lines_cleared,
+        bestCombo: row.best_combo
+    };
+}
+
+const toFlag = value => (typeof value === 'boolean' ? (value ? 1 : 0) : null);
+
+class SqliteScoreStore {
+    constructor(db) {
+        this.db = db;
+        this.insert = db.prepare(`
+            INSERT INTO scores (name, score, date, mode, daily_date, variant, shape_pack, difficulty, replay_id, used_undo, used_hint, seeded)
+            VALUES (@name, @score, @date, @mode, @dailyDate, @variant, @shapePack, @difficulty, @replayId, @usedUndo, @usedHint, @seeded)
+        `);
+    }
+
+    get size() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM scores').get().count;
+    }
+
+    /**
+     * Store a score (see ScoreStore.add)
+     * @param {Object} entry - {name, score, date, mode, variant, shapePack, ...}
+     * @returns {Promise<Object>} - The entry
+     */
+    async add(entry) {
+        this.insertScore(entry);
+        return entry;
+    }
+
+    insertScore(entry) {
+        this.insert.run({
+            name: entry.name,
+            score: entry.score,
+            date: entry.date,
+            mode: entry.mode,
+            dailyDate: entry.dailyDate || null,
+            variant: entry.variant,
+            shapePack: entry.shapePack,
+            difficulty: entry.difficulty || null,
+            replayId: entry.replayId || null,
+            usedUndo: toFlag(entry.usedUndo),
+            usedHint: toFlag(entry.usedHint),
+            seeded: toFlag(entry.seeded)
+        });
+    }
+
+    /**
+     * Compute a leaderboard (see ScoreStore.query)
+     */
+    query(filter, { period = 'all', limit = 10, now = new Date() } = {}) {
+        const conditions = [];
+        const params = {};
+        Object.entries(filter)
+            .filter(([, value]) => value !== undefined)
+            .forEach(([key, value]) => {
+                const column = SCORE_FILTER_COLUMNS[key];
+                if (!column) throw new Error(`Cannot filter scores by ${key}`);
+                conditions.push(`${column} = @${key}`);
+                params[key] = value;
+            });
+        const since = getPeriodStart(period, now);
+        if (since) {
+            conditions.push('date >= @since');
+            params.since = since.toISOString();
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.db
+            .prepare(`SELECT * FROM scores ${where} ORDER BY score DESC, date ASC, id ASC LIMIT @limit`)
+            .all({ ...params, limit: limit })
+            .map(rowToScore);
+    }
+
+    async flush() {}
+}
+
+class SqlitePlayerStore {
+    constructor(db) {
+        this.db = db;
+        this.upsertPlayer = db.prepare(`
+            INSERT INTO players (id, name, created_at) VALUES (@id, @name, @createdAt)
+            ON CONFLICT (id) DO UPDATE SET name = COALESCE(excluded.name, players.name)
+        `);
+        this.upsertGame = db.prepare(`
+            INSERT INTO player_games (player_id, session_id, game_id, date, mode, daily_date, variant, shape_pack, difficulty, score, lines_cleared, best_combo)
+            VALUES (@playerId, @sessionId, @gameId, @date, @mode, @dailyDate, @variant, @shapePack, @difficulty, @score, @linesCleared, @bestCombo)
+            ON CONFLICT (player_id, session_id) DO UPDATE SET
+                game_id = excluded.game_id, date = excluded.date, mode = excluded.mode, daily_date = excluded.daily_date,
+                variant = excluded.variant, shape_pack = excluded.shape_pack, difficulty = excluded.difficulty,
+                score = excluded.score, lines_cleared = excluded.lines_cleared, best_combo = excluded.best_combo
+        `);
+        this.recordTransaction = db.transaction((playerId, name, game) => {
+            this.upsertPlayer.run({ id: playerId, name: name, createdAt: game.date });
+            this.upsertGame.run({
+                playerId: playerId,
+                sessionId: game.sessionId,
+                gameId: game.gameId || null,
+                date: game.date,
+                mode: game.mode,
+                dailyDate: game.dailyDate || null,
+                variant: game.variant || null,
+                shapePack: game.shapePack || null,
+                difficulty: game.difficulty || null,
+                score: game.score,
+                linesCleared: game.linesCleared || 0,
+                bestCombo: game.bestCombo || 0
+            });
+        });
+    }
+
+    get size() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM players').get().count;
+    }
+
+    /**
+     * Record a finished game (see PlayerStore.recordGame)
+     */
+    async recordGame(playerId, name, game) {
+        const cleanName = String(name || '').trim().slice(0, MAX_PLAYER_NAME_LENGTH) || null;
+        this.recordTransaction(playerId, cleanName, game);
+        return this.getProfile(playerId);
+    }
+
+    /**
+     * Get a player's profile (see PlayerStore.getProfile)
+     */
+    getProfile(playerId) {
+        const player = this.db.prepare('SELECT * FROM players WHERE id = ?').get(playerId);
+        if (!player) return null;
+
+        const totals = this.db.prepare(`
+            SELECT COUNT(*) AS gamesPlayed, COALESCE(MAX(score), 0) AS personalBest, COALESCE(SUM(score), 0) AS totalScore,
+                COALESCE(SUM(lines_cleared), 0) AS totalLinesCleared, COALESCE(MAX(best_combo), 0) AS bestCombo
+            FROM player_games WHERE player_id = ?
+        `).get(playerId);
+        const recentGames = this.db
+            .prepare('SELECT * FROM player_games WHERE player_id = ? ORDER BY date DESC, rowid DESC LIMIT ?')
+            .all(playerId, PROFILE_HISTORY_LENGTH)
+            .map(rowToGame);
+
+        return {
+            id: player.id,
+            name: player.name,
+            createdAt: player.created_at,
+            stats: {
+                gamesPlayed: totals.gamesPlayed,
+                personalBest: totals.personalBest,
+                averageScore: totals.gamesPlayed > 0 ? Math.round(totals.totalScore / totals.gamesPlayed) : 0,
+                totalLinesCleared: totals.totalLinesCleared,
+                bestCombo: totals.bestCombo
+            },
+            recentGames: recentGames
+        };
+    }
+
+    async flush() {}
+}
+
+class SqliteReplayStore {
+    constructor(db) {
+        this.db = db;
+        this.upsert = db.prepare('INSERT INTO replays (replay_id, data) VALUES (?, ?) ON CONFLICT (replay_id) DO UPDATE SET data = excluded.data');
+    }
+
+    /**
+     * Keep a replay (see FileReplayStore.save)
+     */
+    async save(replayId, replay) {
+        this.upsert.run(replayId, JSON.stringify(replay));
+    }
+
+    /**
+     * Load a saved replay (see FileReplayStore.load)
+     */
+    async load(replayId) {
+        const row = this.db.prepare('SELECT data FROM replays WHERE replay_id = ?').get(replayId);
+        return row ? JSON.parse(row.data) : null;
+    }
+}
+
+/**
+ * Open (or create) the database and its stores
+ * @param {string} file - Database file (':memory:' for a throwaway database)
+ * @param {Object} options
+ * @param {Function} options.importExisting - Called once, when the database is created:
+ *   returns {scores, players, replays} to fill it with (players: Map of id -> {name, createdAt, games};
+ *   replays: Array of {replayId, replay}). Runs in the same transaction as the schema, so a failed
+ *   import leaves no database behind to skip it next time.
+ * @returns {Object} - {db, scoreStore, playerStore, replayStore, imported}
+ */
+function createSqliteStores(file, { importExisting = null } = {}) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (e) {
+        throw new Error('DATA_STORE=sqlite needs the better-sqlite3 package - run npm install better-sqlite3');
+    }
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    let imported = null;
+    try {
+        db.transaction(() => {
+            const version = migrate(db);
+            if (version === 0 && importExisting) {
+                imported = importData(db, importExisting());
+            }
+        })();
+    } catch (e) {
+        db.close();
+        throw e;
+    }
+
+    return {
+        db: db,
+        scoreStore: new SqliteScoreStore(db),
+        playerStore: new SqlitePlayerStore(db),
+        replayStore: new SqliteReplayStore(db),
+        imported: imported
+    };
+}
+
+/**
+ * Fill a new database (inside the creating transaction)
+ * @returns {Object} - {scores, players, replays} counts
+ */
+function importData(db, { scores = [], players = new Map(), replays = [] }) {
+    const scoreStore = new SqliteScoreStore(db);
+    const playerStore = new SqlitePlayerStore(db);
+    const replayStore = new SqliteReplayStore(db);
+
+    scores.forEach(entry => scoreStore.insertScore(entry));
+    for (const [playerId, player] of players) {
+        const createdAt = player.createdAt || (player.games[0] && player.games[0].date) || new Date().toISOString();
+        playerStore.upsertPlayer.run({ id: playerId, name: player.name || null, createdAt: createdAt });
+        player.games.forEach(game => playerStore.recordTransaction(playerId, null, game));
+    }
+    replays.forEach(({ replayId, replay }) => replayStore.upsert.run(replayId, JSON.stringify(replay)));
+    return { scores: scores.length, players: players.size, replays: replays.length };
+}
+
+module.exports = {
+    MIGRATIONS,
+    migrate,
+    createSqliteStores
+};
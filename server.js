@@ -6,50 +6,156 @@
 
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs').promises;
+const { readFileSync, existsSync, mkdirSync, renameSync } = require('fs');
+const { randomUUID } = require('crypto');
 const path = require('path');
+const { createSessionStore } = require('./lib/session-store');
+const { RANK_PERIODS, getPeriodStart, importLegacyRanks, ScoreStore } = require('./lib/score-store');
+const { PlayerStore } = require('./lib/player-store');
+const { FileReplayStore } = require('./lib/replay-store');
+const { createSqliteStores } = require('./lib/sqlite-store');
+const { EventHub } = require('./lib/event-hub');
+const { loadShapePacks, createPieceGenerator, describeShapePack } = require('./lib/shape-packs');
+const { buildGenerationReports } = require('./lib/generation-stats');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Where scores, players and replays are written (tests point this at a temp directory).
+// Must not be a served folder (see the static file routes)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Game constants (shared with client)
-const BOARD_SIZE = 8;
-const PIECES_PER_ROUND = 3;
-const MAX_GENERATION_ATTEMPTS = 50;
-const BASE_POINTS_PER_BLOCK = 1;
-const LINE_CLEAR_BASE_POINTS = 10;
-const LINE_CLEAR_MULTIPLIER = 2;
-
-const RAW_SHAPES = {
-    P1: [[1,1,1,1]],
-    P2: [[1,1,1]],
-    P3: [[1,1]],
-    P4: [[1]],
-    P5: [[1,0,0], [1,0,0], [1,1,1]],
-    P6: [[1,0], [1,1]],
-    P7: [[1,0], [1,0], [1,1]],
-    P8: [[0,1,0], [1,1,1]],
-    P9: [[1,1,0], [0,1,1]],
-    P10: [[1,1,1], [1,1,1], [1,1,1]],
-    P11: [[1,1], [1,1]]
-};
+// Game rules (board logic, piece generation and scoring) are shared with the client
+const {
+    DEFAULT_VARIANT,
+    BOARD_SIZES,
+    MIN_PIECES_PER_ROUND,
+    MAX_PIECES_PER_ROUND,
+    DEFAULT_SHAPE_PACK,
+    DIFFICULTIES,
+    DEFAULT_DIFFICULTY,
+    isValidDifficulty,
+    isValidVariant,
+    getVariantId,
+    parseVariantId,
+    MAX_PLAYER_NAME_LENGTH,
+    isValidPlayerId,
+    matricesEqual,
+    shuffle,
+    SeededRandom,
+    BoardManager,
+    hasValidMove,
+    applyPlacement,
+    findBestPlacement,
+    getColorId
+} = require('./js/rules');
 
-const COLORS = [
-    'bg-cyan-500', 'bg-blue-500', 'bg-orange-500', 'bg-yellow-500',
-    'bg-green-500', 'bg-purple-500', 'bg-red-500', 'bg-pink-500'
-];
+const MAX_SEED_LENGTH = 64;
+const DEFAULT_UNDO_LIMIT = 3;
+const MAX_UNDO_LIMIT = 10;
+
+function generateSeed() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Undo availability for a session
+ * Undo only reaches back to placements of the current round and stops once a score is submitted
+ * @param {Object} gameState - Session state
+ * @returns {Object} - {undosRemaining, canUndo}
+ */
+function getUndoInfo(gameState) {
+    const undosRemaining = Math.max(0, gameState.undoLimit - gameState.undosUsed);
+    return {
+        undosRemaining: undosRemaining,
+        canUndo: undosRemaining > 0 && gameState.undoStack.length > 0 && !gameState.rankSubmitted
+    };
+}
 
-const SHAPE_LIBRARY = Object.values(RAW_SHAPES);
+// Shape packs
+// The built-in classic pack plus every valid <id>.json in SHAPES_DIR (loaded once on startup)
+const SHAPES_DIR = process.env.SHAPES_DIR || path.join(__dirname, 'shapes');
+const shapePacks = loadShapePacks(SHAPES_DIR);
 
-// In-memory game sessions (in production, use Redis or database)
-const gameSessions = new Map();
+/**
+ * Get the pack a session deals from
+ * @param {string} shapePackId - Pack id stored on the session
+ * @returns {Object} - Shape pack (classic if the pack is no longer installed)
+ */
+function getSessionShapePack(shapePackId) {
+    const pack = shapePacks.get(shapePackId || DEFAULT_SHAPE_PACK);
+    if (!pack) {
+        console.warn(`Shape pack "${shapePackId}" is not installed - dealing classic pieces`);
+        return shapePacks.get(DEFAULT_SHAPE_PACK);
+    }
+    return pack;
+}
+
+// Game sessions
+// Stored through a pluggable session store: 'memory' (default) or 'file' (JSON snapshots
+// in SESSION_DATA_DIR, reloaded on restart). Route handlers call gameSessions.set() again
+// after changing a session so persistent stores save it.
+const SESSION_STORE = process.env.SESSION_STORE || 'memory';
+const SESSION_DATA_DIR = process.env.SESSION_DATA_DIR || path.join(__dirname, 'data', 'sessions');
 const SESSION_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours idle
 const SESSION_CLEANUP_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
 
+/**
+ * Convert a session to plain JSON (drops the BoardManager/PieceGenerator/SeededRandom instances)
+ * @param {Object} gameState - Live session state
+ * @returns {Object}
+ */
+function serializeSession(gameState) {
+    const { boardManager, pieceGenerator, rng, ...data } = gameState;
+    return {
+        ...data,
+        board: boardManager.board,
+        rngState: rng.state,
+        pieceCount: pieceGenerator.pieceCount,
+        generationStats: pieceGenerator.stats
+    };
+}
+
+/**
+ * Rebuild a live session from its JSON snapshot
+ * @param {Object} data - Output of serializeSession
+ * @returns {Object} - Live session state
+ */
+function hydrateSession(data) {
+    const { rngState, pieceCount, generationStats, ...gameState } = data;
+    // Sessions saved before variants existed are standard games
+    const variant = gameState.variant || DEFAULT_VARIANT;
+    
+    const rng = new SeededRandom(gameState.seed);
+    rng.state = rngState;
+    
+    const boardManager = new BoardManager(variant.boardSize);
+    boardManager.board = gameState.board.map(row => [...row]);
+    
+    const shapePack = gameState.shapePack || DEFAULT_SHAPE_PACK;
+    const difficulty = gameState.difficulty || DEFAULT_DIFFICULTY;
+    const pieceGenerator = createPieceGenerator(getSessionShapePack(shapePack), boardManager, () => rng.next(), difficulty);
+    pieceGenerator.pieceCount = pieceCount;
+    // Sessions saved before generation stats existed start counting from here
+    if (generationStats) {
+        pieceGenerator.stats = generationStats;
+    }
+    
+    // Sessions saved before games had a public id get one now
+    const gameId = gameState.gameId || randomUUID();
+    
+    return { ...gameState, gameId, variant, shapePack, difficulty, rng, boardManager, pieceGenerator };
+}
+
+const gameSessions = createSessionStore(SESSION_STORE, {
+    dataDir: SESSION_DATA_DIR,
+    serialize: serializeSession,
+    hydrate: hydrateSession
+});
+
 function touchSession(gameState) {
     gameState.lastActivityAt = Date.now();
 }
@@ -68,359 +174,255 @@ function pruneStaleSessions() {
     }
 }
 
-setInterval(pruneStaleSessions, SESSION_CLEANUP_INTERVAL_MS);
+// Drop sessions that went stale while the server was down, then keep pruning
+pruneStaleSessions();
+// (unref so the timer alone doesn't keep the process alive, e.g. when required by tests)
+setInterval(pruneStaleSessions, SESSION_CLEANUP_INTERVAL_MS).unref();
 
-// Helper: Compare two matrices for equality
-function matricesEqual(a, b) {
-    if (a.length !== b.length) return false;
-    for (let i = 0; i < a.length; i++) {
-        if (a[i].length !== b[i].length) return false;
-        for (let j = 0; j < a[i].length; j++) {
-            if (a[i][j] !== b[i][j]) return false;
-        }
-    }
-    return true;
-}
-
-// Board Manager (server-side)
-class BoardManager {
-    constructor(boardSize) {
-        this.boardSize = boardSize;
-        this.board = [];
-    }
+// Scores
+// Every submitted score is appended to scores.jsonl; leaderboards are computed from it on demand
+// (see lib/score-store.js). On first start the top 10 lists of the old rank files
+// (top-rank.json, variant-rank.json, daily-rank.json) are imported.
+const SCORES_FILE = path.join(DATA_DIR, 'scores.jsonl');
+const LEGACY_RANK_FILES = { topRank: 'top-rank.json', variantRanks: 'variant-rank.json', dailyRanks: 'daily-rank.json' };
+const DEFAULT_RANK_LIMIT = 10;
+const MAX_RANK_LIMIT = 100;
 
-    createEmptyBoard() {
-        this.board = Array(this.boardSize).fill().map(() => Array(this.boardSize).fill(0));
-    }
-
-    canPlace(piece, row, col) {
-        const pRows = piece.length;
-        const pCols = piece[0].length;
-
-        if (row < 0 || col < 0 || row + pRows > this.boardSize || col + pCols > this.boardSize) {
-            return false;
-        }
-
-        for (let i = 0; i < pRows; i++) {
-            for (let j = 0; j < pCols; j++) {
-                if (piece[i][j] === 1 && this.board[row + i][col + j] === 1) {
-                    return false;
-                }
+function readLegacyRanks() {
+    const legacy = {};
+    for (const [key, file] of Object.entries(LEGACY_RANK_FILES)) {
+        try {
+            legacy[key] = JSON.parse(readFileSync(path.join(DATA_DIR, file), 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error(`Error importing ${file}:`, e);
             }
         }
-        return true;
     }
+    return importLegacyRanks(legacy);
+}
 
-    placePiece(pieceMatrix, row, col) {
-        if (!this.canPlace(pieceMatrix, row, col)) {
-            return false;
-        }
+// Players
+// Games of sessions started with a playerId are added to that player's profile when they end
+// (see lib/player-store.js). Like the score log, an unreadable players.json is never overwritten.
+const PLAYERS_FILE = path.join(DATA_DIR, 'players.json');
 
-        for (let r = 0; r < pieceMatrix.length; r++) {
-            for (let c = 0; c < pieceMatrix[0].length; c++) {
-                if (pieceMatrix[r][c] === 1) {
-                    this.board[row + r][col + c] = 1;
-                }
-            }
-        }
-        return true;
-    }
+// Replays
+// A session's move log is kept in memory while it is active; ranked games are
+// saved so their leaderboard entries can still link to them later
+const REPLAY_DIR = path.join(DATA_DIR, 'replays');
 
-    checkLines() {
-        let rows = [];
-        let cols = [];
+// Storage
+// Scores, players and replays are kept in the files above (DATA_STORE=json, default) or in an
+// embedded SQLite database (DATA_STORE=sqlite, see lib/sqlite-store.js), which is filled from
+// those files once when it is created
+const DATA_STORE = process.env.DATA_STORE || 'json';
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'brik-brik.db');
 
-        for (let r = 0; r < this.boardSize; r++) {
-            if (this.board[r].every(val => val === 1)) {
-                rows.push(r);
-            }
-        }
+// Before data/ was the default, the data files were kept next to server.js
+// (the SQLite database with its write-ahead log and shared memory files, which go together)
+const ROOT_DATA_FILES = [
+    'scores.jsonl', 'scores.jsonl.bak', 'players.json', 'players.json.bak', 'replays',
+    'brik-brik.db', 'brik-brik.db-wal', 'brik-brik.db-shm',
+    ...Object.values(LEGACY_RANK_FILES)
+];
 
-        for (let c = 0; c < this.boardSize; c++) {
-            let isFull = true;
-            for (let r = 0; r < this.boardSize; r++) {
-                if (this.board[r][c] === 0) {
-                    isFull = false;
-                    break;
-                }
-            }
-            if (isFull) {
-                cols.push(c);
-            }
+/**
+ * Move the data files of an older server from the project root to the default data directory
+ * Files already in the data directory are kept (and the old ones left where they are).
+ * @param {string} fromDir - Directory of the old files
+ * @param {string} toDir - Data directory
+ */
+function moveRootDataFiles(fromDir, toDir) {
+    for (const name of ROOT_DATA_FILES) {
+        const from = path.join(fromDir, name);
+        const to = path.join(toDir, name);
+        if (existsSync(from) && !existsSync(to)) {
+            renameSync(from, to);
+            console.log(`Moved ${name} to ${toDir}`);
         }
-
-        return { rows, cols };
     }
+}
 
-    clearLines(lineData) {
-        const { rows, cols } = lineData;
-        
-        rows.forEach(r => {
-            for (let c = 0; c < this.boardSize; c++) {
-                this.board[r][c] = 0;
-            }
-        });
-        
-        cols.forEach(c => {
-            for (let r = 0; r < this.boardSize; r++) {
-                this.board[r][c] = 0;
-            }
-        });
-    }
+mkdirSync(DATA_DIR, { recursive: true });
+if (!process.env.DATA_DIR) {
+    moveRootDataFiles(__dirname, DATA_DIR);
+}
 
-    simulatePlaceAndClear(board, piece, r, c) {
-        for (let i = 0; i < piece.length; i++) {
-            for (let j = 0; j < piece[0].length; j++) {
-                if (piece[i][j] === 1) {
-                    board[r + i][c + j] = 1;
-                }
-            }
-        }
-        
-        let rowsToRemove = [];
-        let colsToRemove = [];
-        
-        for (let i = 0; i < this.boardSize; i++) {
-            if (board[i].every(v => v === 1)) {
-                rowsToRemove.push(i);
-            }
-        }
-        
-        for (let j = 0; j < this.boardSize; j++) {
-            let colFull = true;
-            for (let i = 0; i < this.boardSize; i++) {
-                if (board[i][j] === 0) {
-                    colFull = false;
-                    break;
-                }
-            }
-            if (colFull) {
-                colsToRemove.push(j);
-            }
-        }
+/**
+ * Read the data files for the first start of the SQLite store
+ * @returns {Object} - {scores, players, replays} (see createSqliteStores)
+ */
+function readDataFiles() {
+    const scores = new ScoreStore(SCORES_FILE);
+    scores.load();
+    const players = new PlayerStore(PLAYERS_FILE);
+    players.load();
+    return {
+        // Without a score log yet, the old rank files (top-rank.json, ...) are imported directly
+        scores: existsSync(SCORES_FILE) ? scores.scores : readLegacyRanks(),
+        players: players.players,
+        replays: new FileReplayStore(REPLAY_DIR).readAll()
+    };
+}
 
-        rowsToRemove.forEach(ri => {
-            for (let j = 0; j < this.boardSize; j++) {
-                board[ri][j] = 0;
-            }
-        });
-        
-        colsToRemove.forEach(ci => {
-            for (let i = 0; i < this.boardSize; i++) {
-                board[i][ci] = 0;
+/**
+ * Create the score, player and replay stores of DATA_STORE
+ * @returns {Object} - {scoreStore, playerStore, replayStore}
+ */
+function createDataStores() {
+    switch (DATA_STORE) {
+        case 'json': {
+            // A file that can't be read back is left as it is: requests then fail with the error
+            // (instead of showing empty leaderboards) until it is repaired and the server restarted
+            const scoreStore = new ScoreStore(SCORES_FILE);
+            try {
+                scoreStore.load(readLegacyRanks);
+            } catch (e) {
+                console.error('Error loading scores:', e);
             }
-        });
-    }
-
-    findValidPosition(board, piece) {
-        for (let r = 0; r <= this.boardSize - piece.length; r++) {
-            for (let c = 0; c <= this.boardSize - piece[0].length; c++) {
-                if (this.canPlaceOnBoard(board, piece, r, c)) {
-                    return { r, c };
-                }
+            const playerStore = new PlayerStore(PLAYERS_FILE);
+            try {
+                playerStore.load();
+            } catch (e) {
+                console.error('Error loading players:', e);
             }
+            return { scoreStore, playerStore, replayStore: new FileReplayStore(REPLAY_DIR) };
         }
-        return null;
-    }
-
-    canPlaceOnBoard(board, piece, row, col) {
-        const pRows = piece.length;
-        const pCols = piece[0].length;
-
-        if (row < 0 || col < 0 || row + pRows > this.boardSize || col + pCols > this.boardSize) {
-            return false;
-        }
-
-        for (let i = 0; i < pRows; i++) {
-            for (let j = 0; j < pCols; j++) {
-                if (piece[i][j] === 1 && board[row + i][col + j] === 1) {
-                    return false;
-                }
+        case 'sqlite': {
+            const stores = createSqliteStores(SQLITE_FILE, { importExisting: readDataFiles });
+            if (stores.imported) {
+                const { scores, players, replays } = stores.imported;
+                console.log(`Created ${SQLITE_FILE} with ${scores} scores, ${players} players and ${replays} replays from the data files`);
             }
+            return stores;
         }
-        return true;
+        default:
+            throw new Error(`Unknown data store: ${DATA_STORE}`);
     }
 }
 
-// Piece Generator (server-side)
-class PieceGenerator {
-    constructor(shapeLibrary, boardManager) {
-        this.shapeLibrary = shapeLibrary;
-        this.boardManager = boardManager;
-        
-        // Pre-calculate weights for pieces based on size (number of 1s in matrix)
-        // Larger pieces = higher weight = higher probability
-        this.weights = this.shapeLibrary.map(shape => {
-            return shape.flat().reduce((sum, cell) => sum + cell, 0);
-        });
-        this.totalWeight = this.weights.reduce((sum, weight) => sum + weight, 0);
-    }
+const { scoreStore, playerStore, replayStore } = createDataStores();
 
-    /**
-     * Get a random shape from the library using weighted probability
-     * @returns {Array} - 2D matrix representing a shape
-     */
-    getWeightedRandomShape() {
-        let r = Math.random() * this.totalWeight;
-        for (let i = 0; i < this.shapeLibrary.length; i++) {
-            r -= this.weights[i];
-            if (r <= 0) {
-                return this.shapeLibrary[i];
-            }
-        }
-        // Fallback to last shape
-        return this.shapeLibrary[this.shapeLibrary.length - 1];
-    }
+/**
+ * Add a finished game to its player's profile (no-op for sessions without a player)
+ * @param {string} sessionId - Session id
+ * @param {Object} gameState - Session state
+ */
+function recordPlayerGame(sessionId, gameState) {
+    if (!gameState.playerId) return;
+    playerStore.recordGame(gameState.playerId, gameState.playerName, {
+        sessionId: sessionId,
+        gameId: gameState.gameId,
+        date: new Date().toISOString(),
+        mode: gameState.mode,
+        ...(gameState.mode === 'daily' ? { dailyDate: gameState.dailyDate } : {}),
+        variant: getVariantId(gameState.variant),
+        shapePack: gameState.shapePack,
+        difficulty: gameState.difficulty,
+        score: gameState.score,
+        linesCleared: gameState.linesCleared || 0,
+        bestCombo: gameState.bestCombo || 0
+    }).catch(e => console.error('Error saving player profile:', e));
+}
 
-    generatePieces(nPieces, currentBoardState) {
-        let result = [];
-        let tempBoard = currentBoardState.map(row => [...row]);
-        
-        for (let i = 0; i < nPieces; i++) {
-            let foundPiece = null;
-            let attempts = 0;
-
-            while (!foundPiece && attempts < MAX_GENERATION_ATTEMPTS) {
-                let randomShape = this.getWeightedRandomShape();
-                let rotations = this.getAllRotations(randomShape);
-                rotations.sort(() => Math.random() - 0.5);
-
-                for (let shapeVariant of rotations) {
-                    let placement = this.boardManager.findValidPosition(tempBoard, shapeVariant);
-                    
-                    if (placement) {
-                        foundPiece = {
-                            matrix: shapeVariant,
-                            color: COLORS[Math.floor(Math.random() * COLORS.length)],
-                            id: Date.now() + Math.random()
-                        };
-                        
-                        this.boardManager.simulatePlaceAndClear(tempBoard, foundPiece.matrix, placement.r, placement.c);
-                        break; 
-                    }
-                }
-                attempts++;
-            }
+// Daily Challenge
+// Every player gets the same seed for a calendar day (UTC), with one leaderboard per day
+// (always the standard variant, so everyone plays the same game)
+const GAME_MODES = ['classic', 'daily'];
 
-            if (!foundPiece) {
-                // Fallback: use random shape even if no valid position found
-                let randomShape = this.getWeightedRandomShape();
-                foundPiece = {
-                    matrix: randomShape,
-                    color: COLORS[Math.floor(Math.random() * COLORS.length)],
-                    id: Date.now() + Math.random()
-                };
-            }
-            
-            // Ensure piece is valid before pushing
-            if (!foundPiece || !foundPiece.matrix || !foundPiece.color) {
-                // Create a fallback valid piece
-                foundPiece = {
-                    matrix: [[1]], // Single block as ultimate fallback
-                    color: COLORS[0],
-                    id: Date.now() + Math.random()
-                };
-            }
+/**
+ * Get the daily challenge date key
+ * @param {Date} now - Current time
+ * @returns {string} - YYYY-MM-DD (UTC)
+ */
+function getDailyDate(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
 
-            result.push(foundPiece);
-        }
-        
-        return result;
-    }
+function getDailySeed(date) {
+    return `daily-${date}`;
+}
 
-    rotateMatrix(matrix) {
-        const rows = matrix.length;
-        const cols = matrix[0].length;
-        let newMatrix = Array(cols).fill().map(() => Array(rows).fill(0));
-        for (let r = 0; r < rows; r++) {
-            for (let c = 0; c < cols; c++) {
-                newMatrix[c][rows - 1 - r] = matrix[r][c];
-            }
-        }
-        return newMatrix;
-    }
+/**
+ * Build the replay of a session from its move log
+ * @param {Object} gameState - Session state
+ * @returns {Object} - {gameId, mode, dailyDate, seed, boardSize, piecesPerRound, shapePack, difficulty, score, isGameOver, undosUsed, hintsUsed, generationStats, moves}
+ */
+function buildReplay(gameState) {
+    return {
+        gameId: gameState.gameId,
+        mode: gameState.mode,
+        dailyDate: gameState.dailyDate,
+        seed: gameState.seed,
+        boardSize: gameState.variant.boardSize,
+        piecesPerRound: gameState.variant.piecesPerRound,
+        shapePack: gameState.shapePack,
+        difficulty: gameState.difficulty,
+        score: gameState.score,
+        isGameOver: gameState.isGameOver,
+        undosUsed: gameState.undosUsed,
+        hintsUsed: gameState.hintsUsed || 0,
+        generationStats: gameState.pieceGenerator.stats,
+        moves: gameState.moves
+    };
+}
 
-    getAllRotations(matrix) {
-        let rotations = [];
-        let curr = matrix;
-        for (let i = 0; i < 4; i++) {
-            let str = JSON.stringify(curr);
-            if (!rotations.some(m => JSON.stringify(m) === str)) {
-                rotations.push(curr);
-            }
-            curr = this.rotateMatrix(curr);
-        }
-        return rotations;
-    }
+/**
+ * Keep the replay of a ranked game under its public id (the replayId of its score entry)
+ * @param {Object} gameState - Session state
+ */
+async function saveReplay(gameState) {
+    await replayStore.save(gameState.gameId, buildReplay(gameState));
 }
 
-// Top Rank File Management
-const TOP_RANK_FILE = path.join(__dirname, 'top-rank.json');
+// Live updates
+// Clients listen on GET /api/events (Server-Sent Events, see lib/event-hub.js) for leaderboard
+// changes; spectators of a game also get its moves
+const eventHub = new EventHub();
 
-async function loadTopRank() {
-    try {
-        const data = await fs.readFile(TOP_RANK_FILE, 'utf8');
-        const ranks = JSON.parse(data);
-        // Check if ranks is a valid array
-        if (Array.isArray(ranks)) {
-            return ranks;
-        }
-        // If it's a single object (legacy), wrap it in an array
-        if (ranks && typeof ranks === 'object' && typeof ranks.score === 'number') {
-            return [ranks];
-        }
-        return [];
-    } catch (e) {
-        if (e.code === 'ENOENT') {
-            // File doesn't exist, create empty file with empty array
-            try {
-                await fs.writeFile(TOP_RANK_FILE, JSON.stringify([], null, 2), 'utf8');
-            } catch (writeErr) {
-                console.error('Error creating top-rank.json file:', writeErr);
-            }
-        } else {
-            console.error('Error loading top rank:', e);
-        }
+/**
+ * Find the live game a spectator id belongs to
+ * @param {string} spectatorId - Spectator id (from POST /api/game/init)
+ * @returns {Object|null} - Session state or null
+ */
+function findSpectatedSession(spectatorId) {
+    for (const [, gameState] of gameSessions) {
+        if (gameState.spectatorId === spectatorId) return gameState;
     }
-    return [];
+    return null;
 }
 
-// Initialize top-rank.json file on server start
-async function initializeTopRankFile() {
-    try {
-        const ranks = await loadTopRank();
-        if (ranks.length > 0) {
-            console.log(`Top rank loaded: ${ranks.length} records, highest: ${ranks[0].score}`);
-        } else {
-            console.log('Top rank file initialized (no existing records)');
-        }
-    } catch (e) {
-        console.error('Error initializing top-rank.json file:', e);
-    }
+/**
+ * Public view of a live game (no session id or undo snapshots)
+ * @param {Object} gameState - Session state
+ * @param {string} type - What happened: 'state', 'place', 'deal' or 'undo'
+ * @returns {Object} - {type, mode, variant, shapePack, difficulty, playerName, board, score, pieces, comboCount, isGameOver}
+ */
+function describeLiveGame(gameState, type) {
+    return {
+        type: type,
+        mode: gameState.mode,
+        variant: getVariantId(gameState.variant),
+        shapePack: gameState.shapePack,
+        difficulty: gameState.difficulty,
+        playerName: gameState.playerName || null,
+        board: gameState.boardManager.board.map(row => [...row]),
+        score: gameState.score,
+        pieces: gameState.currentPieces,
+        comboCount: gameState.comboCount,
+        isGameOver: gameState.isGameOver
+    };
 }
 
-async function saveTopRank(name, score) {
-    try {
-        const ranks = await loadTopRank();
-        const newRank = {
-            name: name.trim() || 'Anonymous',
-            score: score,
-            date: new Date().toISOString()
-        };
-        
-        ranks.push(newRank);
-        // Sort by score descending
-        ranks.sort((a, b) => b.score - a.score);
-        
-        // Keep top 10
-        const top10 = ranks.slice(0, 10);
-        
-        await fs.writeFile(TOP_RANK_FILE, JSON.stringify(top10, null, 2), 'utf8');
-        return top10;
-    } catch (e) {
-        console.error('Error saving top rank:', e);
-        throw e;
-    }
+/**
+ * Send a move of a game to its spectators (no-op without any)
+ * @param {Object} gameState - Session state after the move
+ * @param {string} type - 'place', 'deal' or 'undo'
+ */
+function publishGameEvent(gameState, type) {
+    if (!gameState.spectatorId || !eventHub.hasSubscribers(gameState.spectatorId)) return;
+    eventHub.publish('game', describeLiveGame(gameState, type), gameState.spectatorId);
 }
 
 // API Routes - must be registered BEFORE static files
@@ -429,23 +431,113 @@ async function saveTopRank(name, score) {
 // Initialize new game
 app.post('/api/game/init', (req, res) => {
     try {
-        const sessionId = req.body.sessionId || `session-${Date.now()}-${Math.random()}`;
+        // Always generated here: the session id is the secret that lets its holder play the game
+        const sessionId = randomUUID();
+        
+        const {
+            seed,
+            mode = 'classic',
+            undoLimit = DEFAULT_UNDO_LIMIT,
+            variant = null,
+            shapePack = DEFAULT_SHAPE_PACK,
+            difficulty = DEFAULT_DIFFICULTY,
+            playerId = null,
+            playerName = null
+        } = req.body;
+        if (!GAME_MODES.includes(mode)) {
+            return res.status(400).json({ success: false, error: `Invalid mode - must be one of: ${GAME_MODES.join(', ')}` });
+        }
+        if (!isValidDifficulty(difficulty)) {
+            return res.status(400).json({ success: false, error: `Invalid difficulty - must be one of: ${DIFFICULTIES.join(', ')}` });
+        }
+        if (!Number.isInteger(undoLimit) || undoLimit < 0 || undoLimit > MAX_UNDO_LIMIT) {
+            return res.status(400).json({ success: false, error: `Invalid undoLimit - must be an integer from 0 to ${MAX_UNDO_LIMIT}` });
+        }
+        // Variant: {boardSize, piecesPerRound}, missing fields fall back to the standard game
+        const isVariantObject = variant !== null && typeof variant === 'object' && !Array.isArray(variant);
+        const requestedVariant = isVariantObject ? { ...DEFAULT_VARIANT, ...variant } : DEFAULT_VARIANT;
+        if (variant !== null && !(isVariantObject && isValidVariant(requestedVariant))) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid variant - boardSize must be one of: ${BOARD_SIZES.join(', ')}; piecesPerRound an integer from ${MIN_PIECES_PER_ROUND} to ${MAX_PIECES_PER_ROUND}`
+            });
+        }
+        if (typeof shapePack !== 'string' || !shapePacks.has(shapePack)) {
+            return res.status(400).json({ success: false, error: `Unknown shape pack - must be one of: ${[...shapePacks.keys()].join(', ')}` });
+        }
+        if (playerId !== null && !isValidPlayerId(playerId)) {
+            return res.status(400).json({ success: false, error: 'Invalid playerId - must be 8-64 letters, digits, _ or -' });
+        }
+        if (playerName !== null && (typeof playerName !== 'string' || playerName.length > MAX_PLAYER_NAME_LENGTH)) {
+            return res.status(400).json({ success: false, error: `Invalid playerName - must be a string of up to ${MAX_PLAYER_NAME_LENGTH} characters` });
+        }
+        if (seed !== undefined && seed !== null &&
+            !((typeof seed === 'string' || typeof seed === 'number') && String(seed).length > 0 && String(seed).length <= MAX_SEED_LENGTH)) {
+            return res.status(400).json({ success: false, error: `Invalid seed - must be a string or number of 1-${MAX_SEED_LENGTH} characters` });
+        }
+        // Daily games always use the day's shared seed on the standard game (variant, classic pieces, default difficulty)
+        const dailyDate = mode === 'daily' ? getDailyDate() : null;
+        let gameSeed = seed !== undefined && seed !== null ? seed : generateSeed();
+        let gameVariant = { boardSize: requestedVariant.boardSize, piecesPerRound: requestedVariant.piecesPerRound };
+        let gameShapePack = shapePack;
+        let gameDifficulty = difficulty;
+        if (mode === 'daily') {
+            gameSeed = getDailySeed(dailyDate);
+            gameVariant = { ...DEFAULT_VARIANT };
+            gameShapePack = DEFAULT_SHAPE_PACK;
+            gameDifficulty = DEFAULT_DIFFICULTY;
+        }
+        const pack = shapePacks.get(gameShapePack);
+        if (pack.maxSize > gameVariant.boardSize) {
+            return res.status(400).json({
+                success: false,
+                error: `Shape pack ${pack.id} has pieces up to ${pack.maxSize} cells long - too large for a ${gameVariant.boardSize}x${gameVariant.boardSize} board`
+            });
+        }
+        const rng = new SeededRandom(gameSeed);
+        const random = () => rng.next();
         
-        const boardManager = new BoardManager(BOARD_SIZE);
+        const boardManager = new BoardManager(gameVariant.boardSize);
         boardManager.createEmptyBoard();
         
-        const pieceGenerator = new PieceGenerator(SHAPE_LIBRARY, boardManager);
+        const pieceGenerator = createPieceGenerator(pack, boardManager, random, gameDifficulty);
         
-        const initialPieces = pieceGenerator.generatePieces(PIECES_PER_ROUND, boardManager.board);
-        initialPieces.sort(() => Math.random() - 0.5);
+        const initialPieces = pieceGenerator.generatePieces(gameVariant.piecesPerRound, boardManager.board);
+        shuffle(initialPieces, random);
         
         const gameState = {
+            // Public id of the game: its replay and the replayId of its score entry
+            gameId: randomUUID(),
+            mode: mode,
+            dailyDate: dailyDate,
+            variant: gameVariant,
+            shapePack: gameShapePack,
+            difficulty: gameDifficulty,
+            seed: rng.seed,
+            rng: rng,
             board: boardManager.board.map(row => [...row]),
             score: 0,
             currentPieces: initialPieces,
+            // Ordered log of every deal and placement (see GET /api/game/replay)
+            moves: [{ type: 'deal', pieces: [...initialPieces] }],
             boardManager: boardManager,
             pieceGenerator: pieceGenerator,
             comboCount: 0,
+            linesCleared: 0,
+            bestCombo: 0,
+            // Snapshots taken before each placement of the current round (see POST /api/game/undo)
+            undoStack: [],
+            undoLimit: undoLimit,
+            undosUsed: 0,
+            hintsUsed: 0,
+            // Seed picked by the client: the pieces can be known in advance, so the score is marked
+            seeded: mode !== 'daily' && seed !== undefined && seed !== null,
+            isGameOver: false,
+            rankSubmitted: false,
+            playerId: playerId,
+            playerName: playerName,
+            // Public id of the game for GET /api/events?spectate= (the session id lets its holder play)
+            spectatorId: randomUUID(),
             lastActivityAt: Date.now()
         };
         
@@ -454,9 +546,19 @@ app.post('/api/game/init', (req, res) => {
         res.json({
             success: true,
             sessionId: sessionId,
+            gameId: gameState.gameId,
+            spectatorId: gameState.spectatorId,
+            mode: gameState.mode,
+            dailyDate: gameState.dailyDate,
+            variant: gameState.variant,
+            shapePack: gameState.shapePack,
+            difficulty: gameState.difficulty,
+            seed: gameState.seed,
+            seeded: gameState.seeded,
             board: gameState.board,
             score: gameState.score,
-            pieces: gameState.currentPieces
+            pieces: gameState.currentPieces,
+            ...getUndoInfo(gameState)
         });
     } catch (error) {
         console.error('Error initializing game:', error);
@@ -489,6 +591,10 @@ app.post('/api/game/place', (req, res) => {
             }
         }
         
+        if (gameState.isGameOver) {
+            return res.status(400).json({ success: false, error: 'Game is already over' });
+        }
+        
         if (pieceIndex === -1) {
             return res.status(400).json({ success: false, error: 'Invalid piece - not in current pieces or already used' });
         }
@@ -496,12 +602,13 @@ app.post('/api/game/place', (req, res) => {
         const { boardManager } = gameState;
         
         // Validate coordinates are within bounds
+        const { boardSize } = boardManager;
         const pRows = pieceMatrix.length;
         const pCols = pieceMatrix[0].length;
-        if (x < 0 || y < 0 || x + pRows > BOARD_SIZE || y + pCols > BOARD_SIZE) {
+        if (x < 0 || y < 0 || x + pRows > boardSize || y + pCols > boardSize) {
             return res.status(400).json({ 
                 success: false, 
-                error: `Invalid coordinates: x=${x}, y=${y}, piece size=${pRows}x${pCols}, board size=${BOARD_SIZE}` 
+                error: `Invalid coordinates: x=${x}, y=${y}, piece size=${pRows}x${pCols}, board size=${boardSize}` 
             });
         }
         
@@ -513,69 +620,70 @@ app.post('/api/game/place', (req, res) => {
             });
         }
         
-        // Place piece on board
-        const placed = boardManager.placePiece(pieceMatrix, x, y);
-        if (!placed) {
+        // Snapshot the state before this placement so it can be undone
+        const snapshot = {
+            board: boardManager.board.map(row => [...row]),
+            score: gameState.score,
+            comboCount: gameState.comboCount,
+            linesCleared: gameState.linesCleared || 0,
+            bestCombo: gameState.bestCombo || 0,
+            currentPieces: [...gameState.currentPieces]
+        };
+        
+        // Place piece (cells keep the dealt piece's color), clear completed lines and score (shared rules)
+        const colorId = getColorId(gameState.currentPieces[pieceIndex].color);
+        const placement = applyPlacement(boardManager, pieceMatrix, x, y, gameState.comboCount, colorId);
+        if (!placement) {
             return res.status(400).json({ success: false, error: 'Failed to place piece' });
         }
+        gameState.undoStack.push(snapshot);
         
-        // Calculate base score
-        const blockCount = pieceMatrix.flat().filter(x => x === 1).length;
-        gameState.score += blockCount * BASE_POINTS_PER_BLOCK;
-        
-        // Check for completed lines
-        const lineData = boardManager.checkLines();
-        let lineClearScore = 0;
-        let comboInfo = null;
-
-        if (lineData.rows.length > 0 || lineData.cols.length > 0) {
-            const count = lineData.rows.length + lineData.cols.length;
-            lineClearScore = (count * LINE_CLEAR_BASE_POINTS) + LINE_CLEAR_MULTIPLIER * count * (count - 1);
-            gameState.score += lineClearScore;
-            boardManager.clearLines(lineData);
-
-            // Update combo
-            gameState.comboCount++;
-            if (gameState.comboCount > 1) {
-                const comboLevel = gameState.comboCount - 1;
-                const comboBonus = 5 * comboLevel;
-                gameState.score += comboBonus;
-                comboInfo = { level: comboLevel, bonus: comboBonus };
-            }
-        } else {
-            // Reset combo if no lines cleared
-            gameState.comboCount = 0;
-        }
+        const { lineData, lineClearScore, comboInfo, scoreDelta } = placement;
+        gameState.score += scoreDelta;
+        gameState.comboCount = placement.comboCount;
+        gameState.linesCleared = (gameState.linesCleared || 0) + lineData.rows.length + lineData.cols.length;
+        gameState.bestCombo = Math.max(gameState.bestCombo || 0, gameState.comboCount);
         
         // Remove placed piece (set to null)
+        const placedPiece = gameState.currentPieces[pieceIndex];
         gameState.currentPieces[pieceIndex] = null;
         
+        gameState.moves.push({
+            type: 'place',
+            pieceIndex: pieceIndex,
+            piece: placedPiece,
+            x: x,
+            y: y,
+            lineCleared: lineData,
+            lineClearScore: lineClearScore,
+            comboInfo: comboInfo,
+            scoreDelta: scoreDelta,
+            score: gameState.score
+        });
+        
         // Check game over based on remaining pieces
+        // (no pieces left means the game continues - client should request new pieces)
         const activePieces = gameState.currentPieces.filter(p => p !== null);
-        let isGameOver = false;
-        if (activePieces.length > 0) {
-            // Check if any remaining piece can be placed
-            isGameOver = true;
-            for (let piece of activePieces) {
-                if (boardManager.findValidPosition(boardManager.board, piece.matrix)) {
-                    isGameOver = false;
-                    break;
-                }
-            }
-        } else {
-            // No pieces left - game continues, client should request new pieces
-            isGameOver = false;
+        const isGameOver = activePieces.length > 0 && !hasValidMove(boardManager, activePieces);
+        gameState.isGameOver = isGameOver;
+        if (isGameOver) {
+            recordPlayerGame(sessionId, gameState);
         }
         
+        gameSessions.set(sessionId, gameState);
+        publishGameEvent(gameState, 'place');
+        
         res.json({
             success: true,
             board: boardManager.board.map(row => [...row]),
             score: gameState.score,
-            pieces: gameState.currentPieces, // Array of 3 (may contain nulls for placed pieces)
+            pieces: gameState.currentPieces, // One entry per piece of the round (nulls for placed pieces)
             lineCleared: lineData,
             lineClearScore: lineClearScore,
             comboInfo: comboInfo,
-            isGameOver: isGameOver
+            comboCount: gameState.comboCount,
+            isGameOver: isGameOver,
+            ...getUndoInfo(gameState)
         });
     } catch (error) {
         console.error('Error placing piece:', error);
@@ -611,24 +719,41 @@ app.post('/api/game/requestNewPieces', (req, res) => {
         
         // Generate new pieces
         const { boardManager } = gameState;
-        const newPieces = gameState.pieceGenerator.generatePieces(PIECES_PER_ROUND, boardManager.board);
-        newPieces.sort(() => Math.random() - 0.5);
+        const { piecesPerRound } = gameState.variant;
+        const newPieces = gameState.pieceGenerator.generatePieces(piecesPerRound, boardManager.board);
+        shuffle(newPieces, gameState.pieceGenerator.random);
         
         // Validate pieces
-        if (newPieces.length !== PIECES_PER_ROUND) {
+        if (newPieces.length !== piecesPerRound) {
             return res.status(500).json({ success: false, error: 'Failed to generate pieces' });
         }
         
         const validPieces = newPieces.filter(p => p !== null && p !== undefined && p.matrix && p.color);
-        if (validPieces.length !== PIECES_PER_ROUND) {
+        if (validPieces.length !== piecesPerRound) {
             return res.status(500).json({ success: false, error: 'Failed to generate valid pieces' });
         }
         
         // Update current pieces
         gameState.currentPieces = newPieces;
+        gameState.moves.push({ type: 'deal', pieces: [...newPieces] });
+        
+        // A new round starts - earlier placements can no longer be undone
+        gameState.undoStack = [];
+        
+        // The fresh set may not fit at all if the board is too full
+        gameState.isGameOver = !hasValidMove(boardManager, newPieces);
+        if (gameState.isGameOver) {
+            recordPlayerGame(sessionId, gameState);
+        }
+        
+        gameSessions.set(sessionId, gameState);
+        publishGameEvent(gameState, 'deal');
+        
         res.json({
             success: true,
-            pieces: newPieces
+            pieces: newPieces,
+            isGameOver: gameState.isGameOver,
+            ...getUndoInfo(gameState)
         });
     } catch (error) {
         console.error('Error requesting new pieces:', error);
@@ -636,6 +761,63 @@ app.post('/api/game/requestNewPieces', (req, res) => {
     }
 });
 
+// Undo the last placement of the current round
+app.post('/api/game/undo', (req, res) => {
+    try {
+        const { sessionId } = req.body;
+        
+        if (!sessionId) {
+            return res.status(400).json({ success: false, error: 'Missing sessionId' });
+        }
+        
+        const gameState = gameSessions.get(sessionId);
+        if (!gameState) {
+            return res.status(404).json({ success: false, error: 'Game session not found' });
+        }
+        touchSession(gameState);
+        
+        if (gameState.rankSubmitted) {
+            return res.status(400).json({ success: false, error: 'Cannot undo - score already submitted' });
+        }
+        
+        if (gameState.undosUsed >= gameState.undoLimit) {
+            return res.status(400).json({ success: false, error: 'No undos left for this game' });
+        }
+        
+        if (gameState.undoStack.length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to undo in this round' });
+        }
+        
+        // Restore the snapshot - score and combo go back too, so clears can't be farmed
+        const snapshot = gameState.undoStack.pop();
+        gameState.boardManager.board = snapshot.board;
+        gameState.score = snapshot.score;
+        gameState.comboCount = snapshot.comboCount;
+        gameState.linesCleared = snapshot.linesCleared;
+        gameState.bestCombo = snapshot.bestCombo;
+        gameState.currentPieces = snapshot.currentPieces;
+        gameState.isGameOver = false;
+        gameState.undosUsed++;
+        gameState.moves.push({ type: 'undo', score: gameState.score });
+        
+        gameSessions.set(sessionId, gameState);
+        publishGameEvent(gameState, 'undo');
+        
+        res.json({
+            success: true,
+            board: gameState.boardManager.board.map(row => [...row]),
+            score: gameState.score,
+            pieces: gameState.currentPieces,
+            comboCount: gameState.comboCount,
+            isGameOver: gameState.isGameOver,
+            ...getUndoInfo(gameState)
+        });
+    } catch (error) {
+        console.error('Error undoing placement:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Get current game state
 app.get('/api/game/state/:sessionId', (req, res) => {
     try {
@@ -646,12 +828,26 @@ app.get('/api/game/state/:sessionId', (req, res) => {
             return res.status(404).json({ success: false, error: 'Game session not found' });
         }
         touchSession(gameState);
+        // Saved so persistent stores keep the activity (stale sessions are pruned after a restart too)
+        gameSessions.set(sessionId, gameState);
         
         res.json({
             success: true,
+            mode: gameState.mode,
+            dailyDate: gameState.dailyDate,
+            variant: gameState.variant,
+            shapePack: gameState.shapePack,
+            difficulty: gameState.difficulty,
+            seed: gameState.seed,
             board: gameState.boardManager.board.map(row => [...row]),
             score: gameState.score,
-            pieces: gameState.currentPieces
+            pieces: gameState.currentPieces,
+            comboCount: gameState.comboCount,
+            isGameOver: gameState.isGameOver,
+            rankSubmitted: gameState.rankSubmitted,
+            hintsUsed: gameState.hintsUsed || 0,
+            spectatorId: gameState.spectatorId || null,
+            ...getUndoInfo(gameState)
         });
     } catch (error) {
         console.error('Error getting game state:', error);
@@ -659,48 +855,281 @@ app.get('/api/game/state/:sessionId', (req, res) => {
     }
 });
 
-// Get top rank
-app.get('/api/rank', async (req, res) => {
+// Suggest the best next placement for the pieces left in the round (counted on the session)
+app.get('/api/game/hint/:sessionId', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const gameState = gameSessions.get(sessionId);
+        
+        if (!gameState) {
+            return res.status(404).json({ success: false, error: 'Game session not found' });
+        }
+        touchSession(gameState);
+        
+        if (gameState.isGameOver) {
+            return res.status(400).json({ success: false, error: 'Game is over' });
+        }
+        
+        const hint = findBestPlacement(gameState.boardManager, gameState.currentPieces, gameState.comboCount);
+        if (!hint) {
+            return res.status(400).json({ success: false, error: 'No piece left to place - request new pieces' });
+        }
+        
+        gameState.hintsUsed = (gameState.hintsUsed || 0) + 1;
+        gameSessions.set(sessionId, gameState);
+        
+        res.json({
+            success: true,
+            hint: hint,
+            hintsUsed: gameState.hintsUsed
+        });
+    } catch (error) {
+        console.error('Error getting hint:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get the move log of a game: a live session (by session id) or a ranked game (by its replayId)
+app.get('/api/game/replay/:id', async (req, res) => {
     try {
-        const topRank = await loadTopRank();
-        res.json({ success: true, rank: topRank });
+        const { id } = req.params;
+        const gameState = gameSessions.get(id);
+        const replay = gameState ? buildReplay(gameState) : await replayStore.load(id);
+        
+        if (!replay) {
+            return res.status(404).json({ success: false, error: 'Replay not found' });
+        }
+        
+        res.json({ success: true, replay: replay });
+    } catch (error) {
+        console.error('Error getting replay:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Piece generation fairness across live sessions, one report per shape pack and difficulty
+// (see lib/generation-stats.js; tools/fairness.js reports on simulated games and saved replays)
+app.get('/api/stats/generation', (req, res) => {
+    try {
+        const games = [];
+        for (const [, gameState] of gameSessions) {
+            games.push({
+                shapePack: getSessionShapePack(gameState.shapePack),
+                difficulty: gameState.difficulty,
+                stats: gameState.pieceGenerator.stats
+            });
+        }
+        res.json({ success: true, sessions: games.length, reports: buildGenerationReports(games) });
+    } catch (error) {
+        console.error('Error building generation stats:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get a leaderboard, computed from every submitted score
+// ?variant=<id>&shapePack=<id> (default: standard variant, classic pieces),
+// ?period=all|month|week (default all), ?mode=classic|daily|all (default classic), ?limit=1..100 (default 10)
+app.get('/api/rank', (req, res) => {
+    try {
+        const variant = req.query.variant === undefined ? DEFAULT_VARIANT : parseVariantId(req.query.variant);
+        if (!variant) {
+            return res.status(400).json({ success: false, error: 'Invalid variant' });
+        }
+        const shapePack = req.query.shapePack === undefined ? DEFAULT_SHAPE_PACK : req.query.shapePack;
+        if (!shapePacks.has(shapePack)) {
+            return res.status(400).json({ success: false, error: 'Unknown shape pack' });
+        }
+        const { period = 'all', mode = 'classic' } = req.query;
+        if (!RANK_PERIODS.includes(period)) {
+            return res.status(400).json({ success: false, error: `Invalid period - must be one of: ${RANK_PERIODS.join(', ')}` });
+        }
+        if (mode !== 'all' && !GAME_MODES.includes(mode)) {
+            return res.status(400).json({ success: false, error: `Invalid mode - must be one of: ${GAME_MODES.join(', ')}, all` });
+        }
+        const limit = req.query.limit === undefined ? DEFAULT_RANK_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RANK_LIMIT) {
+            return res.status(400).json({ success: false, error: `Invalid limit - must be an integer from 1 to ${MAX_RANK_LIMIT}` });
+        }
+        
+        const since = getPeriodStart(period);
+        const rank = scoreStore.query({
+            mode: mode === 'all' ? undefined : mode,
+            variant: getVariantId(variant),
+            shapePack: shapePack
+        }, { period, limit });
+        res.json({
+            success: true,
+            variant: getVariantId(variant),
+            shapePack: shapePack,
+            mode: mode,
+            period: period,
+            since: since ? since.toISOString() : null,
+            rank: rank
+        });
     } catch (error) {
         console.error('Error getting top rank:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Save top rank
+// List the installed shape packs
+app.get('/api/shapes', (req, res) => {
+    res.json({ success: true, packs: [...shapePacks.values()].map(describeShapePack) });
+});
+
+// Get today's daily challenge seed and standings
+app.get('/api/daily', (req, res) => {
+    try {
+        const date = getDailyDate();
+        const rank = scoreStore.query({ mode: 'daily', dailyDate: date }, { limit: DEFAULT_RANK_LIMIT });
+        res.json({ success: true, date: date, seed: getDailySeed(date), rank: rank });
+    } catch (error) {
+        console.error('Error getting daily challenge:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Save a score (taken from a finished server-side session; every submitted score is kept)
 app.post('/api/rank', async (req, res) => {
     try {
-        const { name, score } = req.body;
+        const { name, sessionId } = req.body;
         
-        if (!name || typeof score !== 'number') {
-            return res.status(400).json({ success: false, error: 'Missing name or score' });
+        if (!name || !sessionId) {
+            return res.status(400).json({ success: false, error: 'Missing name or sessionId' });
+        }
+        // Every score is kept and broadcast, so names are held to the player name limit
+        if (typeof name !== 'string' || name.trim().length > MAX_PLAYER_NAME_LENGTH) {
+            return res.status(400).json({ success: false, error: `Invalid name - must be a string of up to ${MAX_PLAYER_NAME_LENGTH} characters` });
         }
         
-        const ranks = await loadTopRank();
-        const isTop10 = ranks.length < 10 || score > ranks[ranks.length - 1].score;
+        const gameState = gameSessions.get(sessionId);
+        if (!gameState) {
+            return res.status(404).json({ success: false, error: 'Game session not found' });
+        }
+        touchSession(gameState);
+        
+        if (!gameState.isGameOver) {
+            return res.status(400).json({ success: false, error: 'Game is not over yet' });
+        }
         
-        if (!isTop10) {
-            return res.status(400).json({ success: false, error: 'Score does not qualify for top 10' });
+        if (gameState.rankSubmitted) {
+            return res.status(409).json({ success: false, error: 'Score already submitted for this session' });
         }
         
-        const updatedRanks = await saveTopRank(name, score);
-        res.json({ success: true, rank: updatedRanks[0], ranks: updatedRanks });
+        const isDaily = gameState.mode === 'daily';
+        const variantId = getVariantId(gameState.variant);
+        
+        // Mark before writing so a concurrent request for the same session is refused
+        gameState.rankSubmitted = true;
+        let entry;
+        try {
+            // Keep the replay so the entry can be checked after the session expires
+            await saveReplay(gameState);
+            entry = await scoreStore.add({
+                name: name.trim() || 'Anonymous',
+                score: gameState.score,
+                date: new Date().toISOString(),
+                mode: gameState.mode,
+                ...(isDaily ? { dailyDate: gameState.dailyDate } : {}),
+                variant: variantId,
+                shapePack: gameState.shapePack,
+                difficulty: gameState.difficulty,
+                replayId: gameState.gameId,
+                usedUndo: gameState.undosUsed > 0,
+                usedHint: gameState.hintsUsed > 0,
+                seeded: gameState.seeded === true
+            });
+        } catch (e) {
+            gameState.rankSubmitted = false;
+            throw e;
+        }
+        // The name entered for the leaderboard becomes the player's display name
+        if (gameState.playerId) {
+            gameState.playerName = entry.name;
+            recordPlayerGame(sessionId, gameState);
+        }
+        gameSessions.set(sessionId, gameState);
+        
+        // All-time board of the game (that day's board for daily games)
+        const ranks = isDaily
+            ? scoreStore.query({ mode: 'daily', dailyDate: gameState.dailyDate }, { limit: DEFAULT_RANK_LIMIT })
+            : scoreStore.query({ mode: 'classic', variant: variantId, shapePack: gameState.shapePack }, { limit: DEFAULT_RANK_LIMIT });
+        
+        // Let connected clients refresh their leaderboards
+        const board = { mode: gameState.mode, dailyDate: gameState.dailyDate, variant: variantId, shapePack: gameState.shapePack };
+        eventHub.publish('rank', { ...board, entry: entry, ranks: ranks });
+        if (ranks[0] && ranks[0].replayId === entry.replayId) {
+            eventHub.publish('new-top', { ...board, entry: entry });
+        }
+        
+        res.json({
+            success: true,
+            mode: gameState.mode,
+            dailyDate: gameState.dailyDate,
+            variant: variantId,
+            shapePack: gameState.shapePack,
+            entry: entry,
+            rank: ranks[0],
+            ranks: ranks
+        });
     } catch (error) {
         console.error('Error saving top rank:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// Stream live updates (Server-Sent Events): 'rank' after every submitted score, 'new-top' when it
+// takes #1 of its board; ?spectate=<spectatorId> adds 'game' events with the moves of that game
+app.get('/api/events', (req, res) => {
+    try {
+        const { spectate } = req.query;
+        let gameState = null;
+        if (spectate !== undefined) {
+            gameState = typeof spectate === 'string' ? findSpectatedSession(spectate) : null;
+            if (!gameState) {
+                return res.status(404).json({ success: false, error: 'Game not found' });
+            }
+        }
+        
+        const client = eventHub.subscribe(res, gameState ? spectate : null);
+        // Spectators start from the current state of the game
+        if (gameState) {
+            eventHub.send(client, 'game', describeLiveGame(gameState, 'state'));
+        }
+    } catch (error) {
+        console.error('Error opening event stream:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get a player's profile: display name, stats and recent games
+app.get('/api/player/:playerId', (req, res) => {
+    try {
+        const { playerId } = req.params;
+        if (!isValidPlayerId(playerId)) {
+            return res.status(400).json({ success: false, error: 'Invalid playerId' });
+        }
+        
+        const player = playerStore.getProfile(playerId);
+        if (!player) {
+            return res.status(404).json({ success: false, error: 'Player not found' });
+        }
+        
+        res.json({ success: true, player: player });
+    } catch (error) {
+        console.error('Error getting player:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Serve static files AFTER API routes
-// Serve JS files with explicit route first to ensure correct MIME type
+// Only the client's folders are served - never the project root, which holds the server code
+// and (by default) its data. sendFile's root option refuses names that climb out of the folder.
+// Serve JS files with an explicit route to ensure correct MIME type
 app.get('/js/:filename', (req, res, next) => {
     const filename = req.params.filename;
-    const filepath = path.join(__dirname, 'js', filename);
     res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
-    res.sendFile(filepath, (err) => {
+    res.sendFile(filename, { root: path.join(__dirname, 'js') }, (err) => {
         if (err) {
             next(); // Pass to next middleware if file not found
         }
@@ -710,9 +1139,8 @@ app.get('/js/:filename', (req, res, next) => {
 // Serve CSS files with explicit route
 app.get('/css/:filename', (req, res, next) => {
     const filename = req.params.filename;
-    const filepath = path.join(__dirname, 'css', filename);
     res.setHeader('Content-Type', 'text/css; charset=utf-8');
-    res.sendFile(filepath, (err) => {
+    res.sendFile(filename, { root: path.join(__dirname, 'css') }, (err) => {
         if (err) {
             next(); // Pass to next middleware if file not found
         }
@@ -722,17 +1150,13 @@ app.get('/css/:filename', (req, res, next) => {
 // Serve images
 app.get('/images/:filename', (req, res, next) => {
     const filename = req.params.filename;
-    const filepath = path.join(__dirname, 'images', filename);
-    res.sendFile(filepath, (err) => {
+    res.sendFile(filename, { root: path.join(__dirname, 'images') }, (err) => {
         if (err) {
             next(); // Pass to next middleware if file not found
         }
     });
 });
 
-// Serve other static files
-app.use(express.static(path.join(__dirname)));
-
 // Catch-all handler: serve index.html for any non-API routes (for SPA)
 app.get('*', (req, res) => {
     // Skip API routes
@@ -743,9 +1167,24 @@ app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Start server
-app.listen(PORT, async () => {
-    console.log(`Brik Brik server running on http://localhost:${PORT}`);
-    // Initialize top-rank.json file on startup
-    await initializeTopRankFile();
-});
+// Start server (only when run directly - tests require the app without listening)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Brik Brik server running on http://localhost:${PORT}`);
+        console.log(`Storage: ${DATA_STORE === 'sqlite' ? SQLITE_FILE : DATA_DIR}`);
+        console.log(`Scores loaded: ${scoreStore.size} entries`);
+        console.log(`Players loaded: ${playerStore.size}`);
+    });
+}
+
+module.exports = {
+    app,
+    gameSessions,
+    scoreStore,
+    playerStore,
+    eventHub,
+    getDailyDate,
+    serializeSession,
+    hydrateSession,
+    moveRootDataFiles
+};
@@ -0,0 +1,130 @@
+/**
+ * Tests for the HTTP API on the SQLite storage backend (DATA_STORE=sqlite)
+ * Starts from a data directory with an old top-rank.json, which the new database imports.
+ * Skipped where the optional better-sqlite3 package isn't installed.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let hasSqlite = true;
+try {
+    require.resolve('better-sqlite3');
+} catch (e) {
+    hasSqlite = false;
+}
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brik-brik-sqlite-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.SESSION_STORE = 'memory';
+process.env.DATA_STORE = 'sqlite';
+fs.writeFileSync(path.join(dataDir, 'top-rank.json'), JSON.stringify([
+    { name: 'LEGACY', score: 40, date: '2025-01-01T00:00:00.000Z' }
+]));
+
+let server;
+let baseUrl;
+let gameSessions;
+
+before(async () => {
+    if (!hasSqlite) return;
+    let app;
+    ({ app, gameSessions } = require('../server'));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    if (server) {
+        await new Promise(resolve => server.close(resolve));
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(baseUrl + url, {
+        method: method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const get = url => request('GET', url);
+const post = (url, body) => request('POST', url, body);
+
+/**
+ * Play a game to its end: one block fits at (0, 0) of an otherwise blocked board
+ * (see setUpLastMove in api.test.js), scoring 1
+ */
+async function finishGame(options = {}) {
+    const { body: game } = await post('/api/game/init', options);
+    const gameState = gameSessions.get(game.sessionId);
+    gameState.boardManager.board.forEach((row, r) => {
+        row.fill(1);
+        row[r] = 0;
+    });
+    gameState.boardManager.board[0][1] = 0;
+    gameState.boardManager.board[1][0] = 0;
+    gameState.currentPieces = [
+        { id: 101, matrix: [[1]], color: '#ff0000' },
+        { id: 102, matrix: [[1, 1, 1], [1, 1, 1], [1, 1, 1]], color: '#00ff00' },
+        null
+    ];
+    const { body } = await post('/api/game/place', { sessionId: game.sessionId, piece: { matrix: [[1]] }, x: 0, y: 0 });
+    assert.equal(body.isGameOver, true);
+    return game.sessionId;
+}
+
+describe('SQLite storage', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, () => {
+    it('imports the old top-rank.json into the new database', async () => {
+        assert.ok(fs.existsSync(path.join(dataDir, 'brik-brik.db')));
+        const { body } = await get('/api/rank');
+        assert.deepEqual(body.rank.map(entry => [entry.name, entry.score]), [['LEGACY', 40]]);
+        // The JSON score log is not created
+        assert.equal(fs.existsSync(path.join(dataDir, 'scores.jsonl')), false);
+    });
+
+    it('keeps scores and replays of ranked games in the database', async () => {
+        const sessionId = await finishGame();
+        const { status, body } = await post('/api/rank', { name: 'SQL', sessionId });
+        assert.equal(status, 200);
+        assert.deepEqual(body.ranks.map(entry => entry.name), ['LEGACY', 'SQL']);
+        assert.equal(body.entry.replayId, gameSessions.get(sessionId).gameId);
+
+        const week = await get('/api/rank?period=week');
+        assert.deepEqual(week.body.rank.map(entry => entry.name), ['SQL']);
+
+        gameSessions.delete(sessionId);
+        const replay = await get(`/api/game/replay/${encodeURIComponent(body.entry.replayId)}`);
+        assert.equal(replay.status, 200);
+        assert.equal(replay.body.replay.score, 1);
+        assert.equal(fs.existsSync(path.join(dataDir, 'replays')), false);
+    });
+
+    it('keeps player profiles in the database', async () => {
+        const playerId = 'player-sqlite-1';
+        const sessionId = await finishGame({ playerId, playerName: 'Lite' });
+        await finishGame({ playerId });
+        await post('/api/rank', { name: 'Lite 2', sessionId });
+
+        const { status, body } = await get(`/api/player/${playerId}`);
+        assert.equal(status, 200);
+        assert.equal(body.player.name, 'Lite 2');
+        assert.equal(body.player.stats.gamesPlayed, 2);
+        assert.equal(body.player.stats.personalBest, 1);
+        assert.equal(fs.existsSync(path.join(dataDir, 'players.json')), false);
+    });
+
+    it('does not serve the database', async () => {
+        const indexHtml = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        for (const url of ['/brik-brik.db', `/${path.basename(dataDir)}/brik-brik.db`, '/data/brik-brik.db']) {
+            const response = await fetch(baseUrl + url);
+            assert.equal(await response.text(), indexHtml, url);
+        }
+    });
+});
@@ -0,0 +1,980 @@
+/**
+ * Tests for the HTTP API (server.js)
+ * Runs the app on a random port with rank files and replays in a temporary directory.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brik-brik-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.SESSION_STORE = 'memory';
+
+const { COLORS, SHAPE_LIBRARY, MAX_PLAYER_NAME_LENGTH } = require('../js/rules');
+const { app, gameSessions, scoreStore, playerStore, getDailyDate, serializeSession, hydrateSession, moveRootDataFiles } = require('../server');
+const { corruptFileError } = require('../lib/safe-file');
+const { FileSessionStore } = require('../lib/session-store');
+const { withTempDir } = require('./helpers');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await playerStore.flush();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(baseUrl + url, {
+        method: method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const get = url => request('GET', url);
+const post = (url, body) => request('POST', url, body);
+
+async function initGame(options = {}) {
+    const { status, body } = await post('/api/game/init', options);
+    assert.equal(status, 200);
+    return body;
+}
+
+/**
+ * Put a session one move from game over: the board is full except the top-left 2x2
+ * and a diagonal (so no line is complete), and the pieces are a single block and a
+ * 3x3 square. Placing the block at (0, 0) scores 1 and leaves no room for the square.
+ */
+function setUpLastMove(sessionId) {
+    const gameState = gameSessions.get(sessionId);
+    const board = gameState.boardManager.board;
+    board.forEach((row, r) => {
+        row.fill(1);
+        row[r] = 0;
+    });
+    board[0][1] = 0;
+    board[1][0] = 0;
+    gameState.currentPieces = [
+        { id: 101, matrix: [[1]], color: '#ff0000' },
+        { id: 102, matrix: [[1, 1, 1], [1, 1, 1], [1, 1, 1]], color: '#00ff00' },
+        null
+    ];
+    gameState.score = 0;
+    gameState.comboCount = 0;
+    gameState.undoStack = [];
+}
+
+async function finishGame(options = {}) {
+    const game = await initGame(options);
+    setUpLastMove(game.sessionId);
+    const { body } = await post('/api/game/place', { sessionId: game.sessionId, piece: { matrix: [[1]] }, x: 0, y: 0 });
+    assert.equal(body.isGameOver, true);
+    return game.sessionId;
+}
+
+describe('POST /api/game/init', () => {
+    it('starts a game with an empty board and a set of pieces', async () => {
+        const body = await initGame();
+        assert.equal(body.success, true);
+        assert.equal(typeof body.sessionId, 'string');
+        assert.equal(body.mode, 'classic');
+        assert.equal(body.score, 0);
+        assert.equal(body.board.length, 8);
+        assert.ok(body.board.flat().every(cell => cell === 0));
+        assert.equal(body.pieces.length, 3);
+        assert.equal(body.undosRemaining, 3);
+        assert.equal(body.canUndo, false);
+    });
+
+    it('deals the same pieces for the same seed', async () => {
+        const first = await initGame({ seed: 'repeatable' });
+        const second = await initGame({ seed: 'repeatable' });
+        assert.equal(first.seed, 'repeatable');
+        assert.deepEqual(first.pieces, second.pieces);
+    });
+
+    it('uses the shared seed of the day for daily games', async () => {
+        const body = await initGame({ mode: 'daily', seed: 'ignored' });
+        assert.equal(body.mode, 'daily');
+        assert.equal(body.dailyDate, getDailyDate());
+        assert.equal(body.seed, `daily-${getDailyDate()}`);
+    });
+
+    it('sets up the requested variant', async () => {
+        const body = await initGame({ variant: { boardSize: 10, piecesPerRound: 4 } });
+        assert.deepEqual(body.variant, { boardSize: 10, piecesPerRound: 4 });
+        assert.equal(body.board.length, 10);
+        assert.ok(body.board.every(row => row.length === 10));
+        assert.equal(body.pieces.length, 4);
+
+        const partial = await initGame({ variant: { boardSize: 6 } });
+        assert.deepEqual(partial.variant, { boardSize: 6, piecesPerRound: 3 });
+
+        const state = await get(`/api/game/state/${body.sessionId}`);
+        assert.deepEqual(state.body.variant, body.variant);
+    });
+
+    it('plays daily games on the standard variant', async () => {
+        const body = await initGame({ mode: 'daily', variant: { boardSize: 12, piecesPerRound: 5 } });
+        assert.deepEqual(body.variant, { boardSize: 8, piecesPerRound: 3 });
+    });
+
+    it('deals from the requested shape pack', async () => {
+        const body = await initGame({ shapePack: 'pentomino', seed: 'pentomino' });
+        assert.equal(body.shapePack, 'pentomino');
+        body.pieces.forEach(piece => assert.equal(piece.matrix.flat().filter(Boolean).length, 5));
+
+        const state = await get(`/api/game/state/${body.sessionId}`);
+        assert.equal(state.body.shapePack, 'pentomino');
+
+        assert.equal((await initGame()).shapePack, 'classic');
+        assert.equal((await initGame({ mode: 'daily', shapePack: 'pentomino' })).shapePack, 'classic');
+    });
+
+    it('rejects unknown shape packs and allows packs that fit the board', async () => {
+        for (const shapePack of ['missing', 42, null]) {
+            const { status } = await post('/api/game/init', { shapePack });
+            assert.equal(status, 400, JSON.stringify(shapePack));
+        }
+        const { status, body } = await post('/api/game/init', { shapePack: 'pentomino', variant: { boardSize: 6 } });
+        assert.equal(status, 200, body.error);
+    });
+
+    it('stores the requested difficulty (daily games use the default)', async () => {
+        const body = await initGame({ difficulty: 'hard' });
+        assert.equal(body.difficulty, 'hard');
+        const state = await get(`/api/game/state/${body.sessionId}`);
+        assert.equal(state.body.difficulty, 'hard');
+
+        assert.equal((await initGame()).difficulty, 'easy');
+        assert.equal((await initGame({ mode: 'daily', difficulty: 'hard' })).difficulty, 'easy');
+    });
+
+    it('rejects an invalid mode, seed, undo limit, variant or difficulty', async () => {
+        for (const options of [{ mode: 'arcade' }, { difficulty: 'insane' }, { difficulty: null }, { seed: '' }, { seed: 'x'.repeat(65) }, { seed: {} }, { undoLimit: -1 }, { undoLimit: 11 }, { undoLimit: 1.5 },
+            { variant: { boardSize: 9 } }, { variant: { piecesPerRound: 6 } }, { variant: '10x10-4' }, { variant: [10, 4] }]) {
+            const { status, body } = await post('/api/game/init', options);
+            assert.equal(status, 400, JSON.stringify(options));
+            assert.equal(body.success, false);
+        }
+    });
+});
+
+describe('POST /api/game/place', () => {
+    it('requires a session, piece and coordinates', async () => {
+        const { status } = await post('/api/game/place', { sessionId: 'x', piece: { matrix: [[1]] } });
+        assert.equal(status, 400);
+    });
+
+    it('returns 404 for an unknown session', async () => {
+        const { status } = await post('/api/game/place', { sessionId: 'missing', piece: { matrix: [[1]] }, x: 0, y: 0 });
+        assert.equal(status, 404);
+    });
+
+    it('rejects pieces that were not dealt', async () => {
+        const game = await initGame();
+        const dealt = game.pieces.map(piece => JSON.stringify(piece.matrix));
+        const matrix = [[[1]], [[1, 1]], [[1, 1, 1, 1]]].find(m => !dealt.includes(JSON.stringify(m)));
+        const { status, body } = await post('/api/game/place', { sessionId: game.sessionId, piece: { matrix }, x: 0, y: 0 });
+        assert.equal(status, 400);
+        assert.match(body.error, /Invalid piece/);
+    });
+
+    it('checks bounds against the board size of the variant', async () => {
+        const game = await initGame({ variant: { boardSize: 12, piecesPerRound: 3 } });
+        const piece = game.pieces[0];
+        const lastRow = 12 - piece.matrix.length;
+
+        const { status } = await post('/api/game/place', { sessionId: game.sessionId, piece, x: lastRow, y: 0 });
+        assert.equal(status, 200);
+        const outside = await post('/api/game/place', { sessionId: game.sessionId, piece: game.pieces[1], x: 12, y: 0 });
+        assert.equal(outside.status, 400);
+    });
+
+    it('rejects out of bounds and overlapping placements', async () => {
+        const game = await initGame();
+        const piece = game.pieces[0];
+
+        let response = await post('/api/game/place', { sessionId: game.sessionId, piece, x: 8, y: 0 });
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /Invalid coordinates/);
+
+        gameSessions.get(game.sessionId).boardManager.board[0] = new Array(8).fill(1);
+        response = await post('/api/game/place', { sessionId: game.sessionId, piece, x: 0, y: 0 });
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /Cannot place piece/);
+    });
+
+    it('places a piece, scores its blocks and uses it up', async () => {
+        // Seeded so the set has no duplicate of the placed piece
+        const game = await initGame({ seed: 'distinct' });
+        const piece = game.pieces[0];
+        assert.ok(game.pieces.slice(1).every(other => JSON.stringify(other.matrix) !== JSON.stringify(piece.matrix)));
+        const blocks = piece.matrix.flat().filter(cell => cell === 1).length;
+
+        const { status, body } = await post('/api/game/place', { sessionId: game.sessionId, piece, x: 0, y: 0 });
+        assert.equal(status, 200);
+        assert.equal(body.score, blocks);
+        assert.equal(body.pieces[0], null);
+        assert.equal(body.board.flat().filter(cell => cell !== 0).length, blocks);
+        assert.equal(body.canUndo, true);
+
+        // Cells keep the color of the piece, in the live board and the saved state
+        const colorId = COLORS.indexOf(piece.color) + 1;
+        assert.ok(colorId > 0);
+        const filled = body.board.flat().filter(cell => cell !== 0);
+        assert.ok(filled.every(cell => cell === colorId));
+        const state = await get(`/api/game/state/${game.sessionId}`);
+        assert.deepEqual(state.body.board, body.board);
+
+        const again = await post('/api/game/place', { sessionId: game.sessionId, piece, x: 5, y: 5 });
+        assert.equal(again.status, 400);
+    });
+
+    it('scores cleared lines', async () => {
+        const game = await initGame();
+        setUpLastMove(game.sessionId);
+        const gameState = gameSessions.get(game.sessionId);
+        gameState.boardManager.board[0][1] = 1;
+
+        const { body } = await post('/api/game/place', { sessionId: game.sessionId, piece: { matrix: [[1]] }, x: 0, y: 0 });
+        assert.deepEqual(body.lineCleared, { rows: [0], cols: [] });
+        assert.equal(body.lineClearScore, 10);
+        assert.equal(body.score, 11);
+        assert.equal(body.comboCount, 1);
+        assert.ok(body.board[0].every(cell => cell === 0));
+    });
+
+    it('ends the game when the remaining pieces do not fit', async () => {
+        const sessionId = await finishGame();
+        const { status, body } = await post('/api/game/place', { sessionId, piece: { matrix: [[1, 1, 1], [1, 1, 1], [1, 1, 1]] }, x: 0, y: 0 });
+        assert.equal(status, 400);
+        assert.match(body.error, /already over/);
+    });
+});
+
+describe('POST /api/game/requestNewPieces', () => {
+    it('refuses while dealt pieces are left', async () => {
+        const game = await initGame();
+        const { status, body } = await post('/api/game/requestNewPieces', { sessionId: game.sessionId });
+        assert.equal(status, 400);
+        assert.equal(body.remainingPieces, 3);
+    });
+
+    it('deals a new set once every piece is placed', async () => {
+        const game = await initGame();
+        gameSessions.get(game.sessionId).currentPieces = [null, null, null];
+        const { status, body } = await post('/api/game/requestNewPieces', { sessionId: game.sessionId });
+        assert.equal(status, 200);
+        assert.equal(body.pieces.length, 3);
+        assert.ok(body.pieces.every(piece => piece && piece.matrix));
+        assert.equal(body.isGameOver, false);
+    });
+
+    it('deals the number of pieces of the variant', async () => {
+        const game = await initGame({ variant: { boardSize: 12, piecesPerRound: 5 } });
+        gameSessions.get(game.sessionId).currentPieces = Array(5).fill(null);
+        const { body } = await post('/api/game/requestNewPieces', { sessionId: game.sessionId });
+        assert.equal(body.pieces.length, 5);
+    });
+
+    it('checks the session', async () => {
+        assert.equal((await post('/api/game/requestNewPieces', {})).status, 400);
+        assert.equal((await post('/api/game/requestNewPieces', { sessionId: 'missing' })).status, 404);
+    });
+});
+
+describe('POST /api/game/undo', () => {
+    it('restores the board, score and piece of the last placement', async () => {
+        const game = await initGame({ undoLimit: 1 });
+        const piece = game.pieces[1];
+        await post('/api/game/place', { sessionId: game.sessionId, piece, x: 0, y: 0 });
+
+        const { status, body } = await post('/api/game/undo', { sessionId: game.sessionId });
+        assert.equal(status, 200);
+        assert.equal(body.score, 0);
+        assert.ok(body.board.flat().every(cell => cell === 0));
+        assert.deepEqual(body.pieces, game.pieces);
+        assert.equal(body.undosRemaining, 0);
+    });
+
+    it('refuses when nothing was placed or no undos are left', async () => {
+        const game = await initGame({ undoLimit: 1 });
+        let response = await post('/api/game/undo', { sessionId: game.sessionId });
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /Nothing to undo/);
+
+        await post('/api/game/place', { sessionId: game.sessionId, piece: game.pieces[0], x: 0, y: 0 });
+        await post('/api/game/undo', { sessionId: game.sessionId });
+        await post('/api/game/place', { sessionId: game.sessionId, piece: game.pieces[0], x: 0, y: 0 });
+        response = await post('/api/game/undo', { sessionId: game.sessionId });
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /No undos left/);
+    });
+});
+
+describe('GET /api/game/state/:sessionId', () => {
+    it('returns the current state of a session', async () => {
+        const game = await initGame({ seed: 42 });
+        const { status, body } = await get(`/api/game/state/${game.sessionId}`);
+        assert.equal(status, 200);
+        assert.equal(body.seed, game.seed);
+        assert.deepEqual(body.pieces, game.pieces);
+        assert.equal(body.isGameOver, false);
+        assert.equal(body.rankSubmitted, false);
+    });
+
+    it('saves the activity, so the session is not pruned as stale after a restart', async () => {
+        const game = await initGame();
+        gameSessions.get(game.sessionId).lastActivityAt = 0;
+        const saved = [];
+        gameSessions.set = function (sessionId, gameState) {
+            saved.push([sessionId, gameState.lastActivityAt]);
+            return Object.getPrototypeOf(this).set.call(this, sessionId, gameState);
+        };
+        try {
+            await get(`/api/game/state/${game.sessionId}`);
+        } finally {
+            delete gameSessions.set;
+        }
+        assert.equal(saved.length, 1);
+        assert.equal(saved[0][0], game.sessionId);
+        assert.ok(saved[0][1] > 0);
+    });
+
+    it('returns 404 for an unknown session', async () => {
+        assert.equal((await get('/api/game/state/missing')).status, 404);
+    });
+});
+
+describe('GET /api/game/hint/:sessionId', () => {
+    it('suggests a placement of a current piece and counts it', async () => {
+        const game = await initGame({ seed: 'hint' });
+        const { status, body } = await get(`/api/game/hint/${game.sessionId}`);
+        assert.equal(status, 200);
+        assert.equal(body.hintsUsed, 1);
+        const { pieceIndex, r, c } = body.hint;
+        assert.ok(game.pieces[pieceIndex]);
+
+        // The suggestion is a legal move
+        const placed = await post('/api/game/place', { sessionId: game.sessionId, piece: game.pieces[pieceIndex], x: r, y: c });
+        assert.equal(placed.status, 200);
+
+        await get(`/api/game/hint/${game.sessionId}`);
+        const state = await get(`/api/game/state/${game.sessionId}`);
+        assert.equal(state.body.hintsUsed, 2);
+    });
+
+    it('suggests the last move that is left', async () => {
+        const game = await initGame();
+        setUpLastMove(game.sessionId);
+        const { body } = await get(`/api/game/hint/${game.sessionId}`);
+        assert.equal(body.hint.pieceIndex, 0);
+        assert.equal(gameSessions.get(game.sessionId).boardManager.board[body.hint.r][body.hint.c], 0);
+    });
+
+    it('refuses unknown sessions and finished games', async () => {
+        assert.equal((await get('/api/game/hint/missing')).status, 404);
+        const sessionId = await finishGame();
+        const { status, body } = await get(`/api/game/hint/${sessionId}`);
+        assert.equal(status, 400);
+        assert.match(body.error, /over/);
+        assert.equal(gameSessions.get(sessionId).hintsUsed, 0);
+    });
+});
+
+describe('GET /api/game/replay/:id', () => {
+    it('returns the move log of a live session', async () => {
+        const game = await initGame({ seed: 'distinct' });
+        await post('/api/game/place', { sessionId: game.sessionId, piece: game.pieces[2], x: 0, y: 0 });
+
+        const { status, body } = await get(`/api/game/replay/${game.sessionId}`);
+        assert.equal(status, 200);
+        assert.deepEqual(body.replay.moves.map(move => move.type), ['deal', 'place']);
+        assert.equal(body.replay.moves[1].pieceIndex, 2);
+    });
+
+    it('includes the piece generation stats of the game', async () => {
+        const game = await initGame({ variant: { boardSize: 10, piecesPerRound: 4 } });
+        const { body } = await get(`/api/game/replay/${game.sessionId}`);
+        assert.equal(body.replay.generationStats.deals, 1);
+        assert.equal(body.replay.generationStats.pieces, 4);
+    });
+
+    it('returns 404 for an unknown game', async () => {
+        assert.equal((await get('/api/game/replay/missing')).status, 404);
+    });
+});
+
+describe('rankings', () => {
+    it('refuses games that are not over or unknown', async () => {
+        const game = await initGame();
+        let response = await post('/api/rank', { name: 'AAA', sessionId: game.sessionId });
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /not over/);
+
+        response = await post('/api/rank', { name: 'AAA', sessionId: 'missing' });
+        assert.equal(response.status, 404);
+
+        response = await post('/api/rank', { sessionId: game.sessionId });
+        assert.equal(response.status, 400);
+    });
+
+    it('saves the server-side score once and keeps the replay', async () => {
+        const sessionId = await finishGame();
+        const { status, body } = await post('/api/rank', { name: 'AAA', sessionId });
+        assert.equal(status, 200);
+        assert.equal(body.mode, 'classic');
+        assert.equal(body.ranks.length, 1);
+        assert.equal(body.ranks[0].name, 'AAA');
+        assert.equal(body.ranks[0].score, 1);
+        assert.equal(body.ranks[0].replayId, gameSessions.get(sessionId).gameId);
+        assert.equal(body.ranks[0].difficulty, 'easy');
+        assert.equal(body.ranks[0].usedHint, false);
+        assert.equal(body.ranks[0].seeded, false);
+
+        const again = await post('/api/rank', { name: 'AAA', sessionId });
+        assert.equal(again.status, 409);
+
+        const rank = await get('/api/rank');
+        assert.deepEqual(rank.body.rank, body.ranks);
+
+        // The saved replay outlives the session, under the public id only
+        gameSessions.delete(sessionId);
+        const replay = await get(`/api/game/replay/${encodeURIComponent(body.entry.replayId)}`);
+        assert.equal(replay.status, 200);
+        assert.equal(replay.body.replay.score, 1);
+        assert.equal(replay.body.replay.gameId, body.entry.replayId);
+        assert.equal(JSON.stringify(replay.body).includes(sessionId), false);
+        assert.equal((await get(`/api/game/replay/${encodeURIComponent(sessionId)}`)).status, 404);
+    });
+
+    it('never reuses a session id sent by the client', async () => {
+        const sessionId = await finishGame();
+        const { body } = await post('/api/rank', { name: 'KEPT', sessionId });
+
+        // Re-initing with the id of a ranked game starts a separate game
+        const other = await initGame({ sessionId });
+        assert.notEqual(other.sessionId, sessionId);
+        assert.notEqual(other.gameId, body.entry.replayId);
+        assert.equal(gameSessions.get(sessionId).rankSubmitted, true);
+        assert.equal((await post('/api/rank', { name: 'AGAIN', sessionId })).status, 409);
+
+        const replay = await get(`/api/game/replay/${encodeURIComponent(body.entry.replayId)}`);
+        assert.equal(replay.body.replay.score, 1);
+        assert.equal(replay.body.replay.seed, gameSessions.get(sessionId).seed);
+    });
+
+    it('marks scores of games started with a chosen seed', async () => {
+        // Scored on a board of its own so the marked entry is the only one
+        const variant = { boardSize: 10, piecesPerRound: 2 };
+        const { body } = await post('/api/rank', { name: 'SEED', sessionId: await finishGame({ seed: 'chosen', variant }) });
+        assert.equal(body.entry.seeded, true);
+        assert.equal(body.ranks[0].seeded, true);
+
+        const daily = await initGame({ mode: 'daily', seed: 'ignored' });
+        assert.equal(daily.seeded, false);
+    });
+
+    it('keeps one classic leaderboard per variant', async () => {
+        const variant = { boardSize: 6, piecesPerRound: 2 };
+        const sessionId = await finishGame({ variant });
+        const { body } = await post('/api/rank', { name: 'SIX', sessionId });
+        assert.equal(body.variant, '6x6-2');
+        assert.deepEqual(body.ranks.map(entry => entry.name), ['SIX']);
+
+        const variantRank = await get('/api/rank?variant=6x6-2');
+        assert.equal(variantRank.body.variant, '6x6-2');
+        assert.deepEqual(variantRank.body.rank.map(entry => entry.name), ['SIX']);
+
+        const standardRank = await get('/api/rank');
+        assert.equal(standardRank.body.variant, '8x8-3');
+        assert.ok(standardRank.body.rank.every(entry => entry.name !== 'SIX'));
+
+        const replay = await get(`/api/game/replay/${encodeURIComponent(body.entry.replayId)}`);
+        assert.equal(replay.body.replay.boardSize, 6);
+        assert.equal(replay.body.replay.piecesPerRound, 2);
+
+        assert.equal((await get('/api/rank?variant=7x7-3')).status, 400);
+    });
+
+    it('keeps one classic leaderboard per shape pack', async () => {
+        const sessionId = await finishGame({ shapePack: 'no-3x3' });
+        const { body } = await post('/api/rank', { name: 'NO9', sessionId });
+        assert.equal(body.shapePack, 'no-3x3');
+        assert.deepEqual(body.ranks.map(entry => entry.name), ['NO9']);
+
+        const packRank = await get('/api/rank?shapePack=no-3x3');
+        assert.equal(packRank.body.shapePack, 'no-3x3');
+        assert.deepEqual(packRank.body.rank.map(entry => entry.name), ['NO9']);
+
+        const standardRank = await get('/api/rank');
+        assert.equal(standardRank.body.shapePack, 'classic');
+        assert.ok(standardRank.body.rank.every(entry => entry.name !== 'NO9'));
+
+        assert.equal((await get('/api/rank?shapePack=missing')).status, 400);
+    });
+
+    it('keeps daily scores on their own board', async () => {
+        const sessionId = await finishGame({ mode: 'daily' });
+        const { body } = await post('/api/rank', { name: 'DAY', sessionId });
+        assert.equal(body.mode, 'daily');
+        assert.equal(body.dailyDate, getDailyDate());
+
+        const daily = await get('/api/daily');
+        assert.equal(daily.status, 200);
+        assert.equal(daily.body.date, getDailyDate());
+        assert.equal(daily.body.seed, `daily-${getDailyDate()}`);
+        assert.deepEqual(daily.body.rank.map(entry => entry.name), ['DAY']);
+
+        const rank = await get('/api/rank');
+        assert.ok(rank.body.rank.every(entry => entry.name !== 'DAY'));
+
+        const allModes = await get('/api/rank?mode=all');
+        assert.ok(allModes.body.rank.some(entry => entry.name === 'DAY'));
+        const dailyModes = await get('/api/rank?mode=daily&period=week');
+        assert.deepEqual(dailyModes.body.rank.map(entry => entry.name), ['DAY']);
+    });
+
+    it('keeps every submitted score, not just the top 10', async () => {
+        for (let i = 0; i < 11; i++) {
+            const { status } = await post('/api/rank', { name: `P${i}`, sessionId: await finishGame() });
+            assert.equal(status, 200);
+        }
+        assert.equal((await get('/api/rank')).body.rank.length, 10);
+        const { body } = await get('/api/rank?limit=100');
+        assert.ok(['P0', 'P10'].every(name => body.rank.some(entry => entry.name === name)));
+        assert.equal(body.rank.length, scoreStore.query({ mode: 'classic', variant: '8x8-3', shapePack: 'classic' }, { limit: 100 }).length);
+    });
+
+    it('computes all-time, monthly and weekly boards', async () => {
+        await scoreStore.add({ name: 'OLD', score: 500, date: '2001-01-01T00:00:00.000Z', mode: 'classic', variant: '8x8-3', shapePack: 'classic' });
+
+        const all = await get('/api/rank?period=all');
+        assert.equal(all.body.period, 'all');
+        assert.equal(all.body.since, null);
+        assert.equal(all.body.rank[0].name, 'OLD');
+
+        for (const period of ['month', 'week']) {
+            const { status, body } = await get(`/api/rank?period=${period}`);
+            assert.equal(status, 200);
+            assert.equal(body.period, period);
+            assert.ok(Date.parse(body.since) <= Date.now());
+            assert.ok(body.rank.length > 0);
+            assert.ok(body.rank.every(entry => entry.name !== 'OLD'));
+        }
+    });
+
+    it('rejects an invalid period, mode or limit', async () => {
+        assert.match((await get('/api/rank?period=year')).body.error, /Invalid period/);
+        assert.match((await get('/api/rank?mode=arcade')).body.error, /Invalid mode/);
+        for (const limit of ['0', '101', 'ten', '2.5']) {
+            const { status, body } = await get(`/api/rank?limit=${limit}`);
+            assert.equal(status, 400);
+            assert.match(body.error, /Invalid limit/);
+        }
+    });
+
+    it('refuses names over the player name limit', async () => {
+        const sessionId = await finishGame({ playerId: 'player-long-name', playerName: 'Short' });
+        for (const name of ['x'.repeat(MAX_PLAYER_NAME_LENGTH + 1), ['AAA'], 42]) {
+            const { status, body } = await post('/api/rank', { name, sessionId });
+            assert.equal(status, 400, JSON.stringify(name));
+            assert.match(body.error, /Invalid name/);
+        }
+        assert.equal(gameSessions.get(sessionId).rankSubmitted, false);
+        assert.equal(gameSessions.get(sessionId).playerName, 'Short');
+
+        // Surrounding spaces don't count
+        const { status, body } = await post('/api/rank', { name: ` ${'y'.repeat(MAX_PLAYER_NAME_LENGTH)} `, sessionId });
+        assert.equal(status, 200);
+        assert.equal(body.entry.name, 'y'.repeat(MAX_PLAYER_NAME_LENGTH));
+        assert.equal(gameSessions.get(sessionId).playerName, body.entry.name);
+    });
+});
+
+describe('players', () => {
+    const playerId = 'player-test-0001';
+
+    it('rejects an invalid playerId or playerName', async () => {
+        for (const body of [{ playerId: 'short' }, { playerId: 'has spaces in it' }, { playerId: 42 }, { playerName: 'x'.repeat(21) }]) {
+            const { status, body: error } = await post('/api/game/init', body);
+            assert.equal(status, 400);
+            assert.match(error.error, /Invalid player/);
+        }
+    });
+
+    it('returns 400 for an invalid id and 404 for an unknown player', async () => {
+        assert.equal((await get('/api/player/bad!')).status, 400);
+        const { status, body } = await get('/api/player/nobody-has-this-id');
+        assert.equal(status, 404);
+        assert.equal(body.success, false);
+    });
+
+    it('adds finished games, lines and combos to the profile', async () => {
+        const game = await initGame({ playerId, playerName: 'Ada' });
+        // Complete the last row with a single block: one line cleared, combo 1
+        const gameState = gameSessions.get(game.sessionId);
+        gameState.boardManager.board[7].fill(1);
+        gameState.boardManager.board[7][7] = 0;
+        gameState.currentPieces = [{ id: 100, matrix: [[1]], color: COLORS[0] }, null, null];
+        const { body: placed } = await post('/api/game/place', { sessionId: game.sessionId, piece: { matrix: [[1]] }, x: 7, y: 7 });
+        assert.equal(placed.lineCleared.rows.length, 1);
+
+        setUpLastMove(game.sessionId);
+        await post('/api/game/place', { sessionId: game.sessionId, piece: { matrix: [[1]] }, x: 0, y: 0 });
+        await finishGame({ playerId });
+
+        const { status, body } = await get(`/api/player/${playerId}`);
+        assert.equal(status, 200);
+        assert.equal(body.player.name, 'Ada');
+        assert.deepEqual(body.player.stats, { gamesPlayed: 2, personalBest: 1, averageScore: 1, totalLinesCleared: 1, bestCombo: 1 });
+        assert.equal(body.player.recentGames[1].gameId, game.gameId);
+        // The session id would let anyone who knows the player id submit the score first
+        assert.equal(JSON.stringify(body).includes(game.sessionId), false);
+        assert.equal(body.player.recentGames[1].mode, 'classic');
+        assert.equal(body.player.recentGames[1].variant, '8x8-3');
+    });
+
+    it('counts a game once when it is undone and ends again', async () => {
+        const before = (await get(`/api/player/${playerId}`)).body.player.stats.gamesPlayed;
+        const sessionId = await finishGame({ playerId });
+        await post('/api/game/undo', { sessionId });
+        const { body } = await post('/api/game/place', { sessionId, piece: { matrix: [[1]] }, x: 0, y: 0 });
+        assert.equal(body.isGameOver, true);
+
+        const { player } = (await get(`/api/player/${playerId}`)).body;
+        assert.equal(player.stats.gamesPlayed, before + 1);
+        const { gameId } = gameSessions.get(sessionId);
+        assert.equal(player.recentGames.filter(game => game.gameId === gameId).length, 1);
+    });
+
+    it('takes the leaderboard name as display name and saves players.json', async () => {
+        const sessionId = await finishGame({ playerId });
+        await post('/api/rank', { name: 'Ada L', sessionId });
+        assert.equal((await get(`/api/player/${playerId}`)).body.player.name, 'Ada L');
+
+        await playerStore.flush();
+        const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'players.json'), 'utf8'));
+        assert.equal(saved[playerId].name, 'Ada L');
+        assert.ok(saved[playerId].games.some(game => game.sessionId === sessionId));
+    });
+
+    it('does not keep profiles for games without a playerId', async () => {
+        const sessionId = await finishGame();
+        for (const player of playerStore.players.values()) {
+            assert.ok(player.games.every(game => game.sessionId !== sessionId));
+        }
+    });
+});
+
+describe('parallel submissions', () => {
+    it('keep every score once and leave scores.jsonl readable', async () => {
+        const before = scoreStore.scores.length;
+        const sessionIds = await Promise.all(Array.from({ length: 10 }, () => finishGame()));
+        // Each session is sent three times at once - only the first one counts
+        const responses = await Promise.all(sessionIds.flatMap((sessionId, i) =>
+            [0, 1, 2].map(() => post('/api/rank', { name: `PAR${i}`, sessionId }))));
+
+        const statuses = responses.map(response => response.status);
+        assert.equal(statuses.filter(status => status === 200).length, 10);
+        assert.equal(statuses.filter(status => status === 409).length, 20);
+
+        await scoreStore.flush();
+        const lines = fs.readFileSync(path.join(dataDir, 'scores.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(lines.length, before + 10);
+        assert.deepEqual(lines.slice(before).map(entry => entry.name).sort(), sessionIds.map((_, i) => `PAR${i}`).sort());
+    });
+
+    it('keep every game of a player in players.json', async () => {
+        const playerId = 'player-parallel-1';
+        const sessionIds = await Promise.all(Array.from({ length: 8 }, () => finishGame({ playerId })));
+        await Promise.all(sessionIds.map(sessionId => post('/api/rank', { name: 'Par', sessionId })));
+
+        await playerStore.flush();
+        const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'players.json'), 'utf8'));
+        assert.deepEqual(saved[playerId].games.map(game => game.sessionId).sort(), [...sessionIds].sort());
+        assert.equal((await get(`/api/player/${playerId}`)).body.player.stats.gamesPlayed, 8);
+    });
+});
+
+describe('corrupt data files', () => {
+    it('fail rank and player requests instead of returning empty data', async () => {
+        const sessionId = await finishGame({ playerId: 'player-corrupt-1' });
+        scoreStore.loadError = corruptFileError(path.join(dataDir, 'scores.jsonl'), 'line 2 is not a score entry');
+        playerStore.loadError = corruptFileError(path.join(dataDir, 'players.json'), 'Unexpected end of JSON input');
+        try {
+            for (const url of ['/api/rank', '/api/daily', '/api/player/player-corrupt-1']) {
+                const { status, body } = await get(url);
+                assert.equal(status, 500, url);
+                assert.match(body.error, /is corrupt/);
+            }
+            const { status, body } = await post('/api/rank', { name: 'LOST', sessionId });
+            assert.equal(status, 500);
+            assert.match(body.error, /scores\.jsonl is corrupt/);
+            assert.equal(gameSessions.get(sessionId).rankSubmitted, false);
+        } finally {
+            scoreStore.loadError = null;
+            playerStore.loadError = null;
+        }
+        assert.equal((await post('/api/rank', { name: 'SAVED', sessionId })).status, 200);
+    });
+});
+
+/**
+ * Connect to the event stream
+ * @param {string} url - Stream URL
+ * @returns {Promise<Object>} - {next(type), close()}; next resolves with the data of the next event of that type
+ */
+async function openEvents(url = '/api/events') {
+    const controller = new AbortController();
+    const response = await fetch(baseUrl + url, { signal: controller.signal });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const received = [];
+    let buffer = '';
+    async function next(type) {
+        for (;;) {
+            const index = received.findIndex(event => event.type === type);
+            if (index !== -1) return received.splice(index, 1)[0].data;
+
+            const { value, done } = await reader.read();
+            if (done) throw new Error(`Stream ended before a ${type} event`);
+            buffer += value;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const lines = buffer.slice(0, end).split('\n').filter(line => !line.startsWith(':'));
+                buffer = buffer.slice(end + 2);
+                const fields = Object.fromEntries(lines.map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                if (fields.event) {
+                    received.push({ type: fields.event, data: JSON.parse(fields.data) });
+                }
+            }
+        }
+    }
+    return { next, close: () => controller.abort() };
+}
+
+describe('GET /api/events', { timeout: 10000 }, () => {
+    it('sends leaderboard changes and new #1 scores', async () => {
+        const events = await openEvents();
+        try {
+            const variant = { boardSize: 6, piecesPerRound: 5 };
+            await post('/api/rank', { name: 'FIRST', sessionId: await finishGame({ variant }) });
+            const rank = await events.next('rank');
+            assert.equal(rank.mode, 'classic');
+            assert.equal(rank.variant, '6x6-5');
+            assert.equal(rank.shapePack, 'classic');
+            assert.equal(rank.entry.name, 'FIRST');
+            assert.deepEqual(rank.ranks.map(entry => entry.name), ['FIRST']);
+            assert.equal((await events.next('new-top')).entry.name, 'FIRST');
+
+            // A tie doesn't take #1, a higher score does
+            await post('/api/rank', { name: 'SECOND', sessionId: await finishGame({ variant }) });
+            assert.deepEqual((await events.next('rank')).ranks.map(entry => entry.name), ['FIRST', 'SECOND']);
+            const sessionId = await finishGame({ variant });
+            gameSessions.get(sessionId).score = 10;
+            await post('/api/rank', { name: 'THIRD', sessionId });
+            assert.deepEqual((await events.next('rank')).ranks.map(entry => entry.name), ['THIRD', 'FIRST', 'SECOND']);
+            const newTop = await events.next('new-top');
+            assert.equal(newTop.entry.name, 'THIRD');
+            assert.equal(newTop.entry.score, 10);
+        } finally {
+            events.close();
+        }
+    });
+
+    it('sends the moves of a game to its spectators', async () => {
+        const game = await initGame({ playerName: 'Watched' });
+        assert.ok(game.spectatorId);
+        const events = await openEvents(`/api/events?spectate=${game.spectatorId}`);
+        try {
+            const state = await events.next('game');
+            assert.equal(state.type, 'state');
+            assert.equal(state.playerName, 'Watched');
+            assert.deepEqual(state.pieces, game.pieces);
+
+            setUpLastMove(game.sessionId);
+            await post('/api/game/place', { sessionId: game.sessionId, piece: { matrix: [[1]] }, x: 0, y: 0 });
+            const place = await events.next('game');
+            assert.equal(place.type, 'place');
+            assert.equal(place.score, 1);
+            assert.equal(place.board[0][0], 1);
+            assert.equal(place.isGameOver, true);
+            // Spectators can't take over the game
+            assert.equal(JSON.stringify(place).includes(game.sessionId), false);
+        } finally {
+            events.close();
+        }
+    });
+
+    it('returns 404 for an unknown game to spectate', async () => {
+        const { status, body } = await get('/api/events?spectate=nobody');
+        assert.equal(status, 404);
+        assert.equal(body.success, false);
+    });
+});
+
+describe('GET /api/shapes', () => {
+    it('lists the classic pack and the packs in shapes/', async () => {
+        const { status, body } = await get('/api/shapes');
+        assert.equal(status, 200);
+        const ids = body.packs.map(pack => pack.id);
+        assert.equal(ids[0], 'classic');
+        assert.ok(ids.includes('pentomino'));
+        const pentomino = body.packs.find(pack => pack.id === 'pentomino');
+        assert.equal(pentomino.shapeCount, pentomino.shapes.length);
+        assert.equal(pentomino.maxSize, 5);
+    });
+});
+
+describe('GET /api/stats/generation', () => {
+    it('reports on live sessions by shape pack and difficulty', async () => {
+        await initGame({ difficulty: 'hard' });
+        const game = await initGame({ difficulty: 'hard' });
+        gameSessions.get(game.sessionId).currentPieces = [null, null, null];
+        await post('/api/game/requestNewPieces', { sessionId: game.sessionId });
+
+        const { status, body } = await get('/api/stats/generation');
+        assert.equal(status, 200);
+        assert.equal(body.sessions, gameSessions.size);
+        const hard = body.reports.find(report => report.shapePack === 'classic' && report.difficulty === 'hard');
+        assert.ok(hard.games >= 2);
+        assert.ok(hard.counts.deals >= 3);
+        assert.equal(hard.counts.attempts, hard.counts.pieces);
+        assert.equal(hard.shapes.length, SHAPE_LIBRARY.length);
+    });
+});
+
+describe('session persistence', () => {
+    /**
+     * Save a session and load it back like SESSION_STORE=file across a restart
+     * @returns {Object} - The live session rebuilt from its snapshot
+     */
+    const restart = (sessionId, dir) => {
+        const options = { dataDir: dir, serialize: serializeSession, hydrate: hydrateSession };
+        const store = new FileSessionStore(options);
+        store.set(sessionId, gameSessions.get(sessionId));
+        return store.flush().then(() => {
+            const restarted = new FileSessionStore(options);
+            assert.equal(restarted.load(), 1);
+            return restarted.get(sessionId);
+        });
+    };
+
+    // Place the pieces left in the round, each where it first fits
+    async function finishRound(sessionId) {
+        const { boardManager, currentPieces } = gameSessions.get(sessionId);
+        for (const piece of [...currentPieces]) {
+            if (!piece) continue;
+            const { r, c } = boardManager.findValidPosition(boardManager.board, piece.matrix);
+            const { body } = await post('/api/game/place', { sessionId, piece: { matrix: piece.matrix }, x: r, y: c });
+            assert.equal(body.success, true);
+        }
+    }
+
+    it('restores the board, random state, piece count, generation stats and undo history', () => withTempDir(async dir => {
+        const { sessionId, pieces } = await initGame({ seed: 'persisted', variant: { boardSize: 10, piecesPerRound: 4 }, difficulty: 'normal' });
+        await post('/api/game/place', { sessionId, piece: { matrix: pieces[0].matrix }, x: 0, y: 0 });
+        const saved = gameSessions.get(sessionId);
+        assert.equal(saved.undoStack.length, 1);
+
+        const restored = await restart(sessionId, dir);
+        assert.deepEqual(restored.boardManager.board, saved.boardManager.board);
+        assert.equal(restored.boardManager.boardSize, 10);
+        assert.equal(restored.rng.state, saved.rng.state);
+        assert.equal(restored.pieceGenerator.pieceCount, saved.pieceGenerator.pieceCount);
+        assert.equal(restored.pieceGenerator.difficulty, 'normal');
+        assert.deepEqual(restored.pieceGenerator.stats, saved.pieceGenerator.stats);
+        assert.deepEqual(restored.undoStack, saved.undoStack);
+        assert.deepEqual(restored.currentPieces, saved.currentPieces);
+        assert.equal(restored.gameId, saved.gameId);
+        assert.equal(restored.score, saved.score);
+    }));
+
+    it('deals the same next set after a restart as without one', () => withTempDir(async dir => {
+        const { sessionId, pieces } = await initGame({ seed: 'restart-deal' });
+        await post('/api/game/place', { sessionId, piece: { matrix: pieces[0].matrix }, x: 0, y: 0 });
+
+        const restartedId = `restarted-${sessionId}`;
+        gameSessions.set(restartedId, await restart(sessionId, dir));
+        try {
+            const deals = [];
+            for (const id of [sessionId, restartedId]) {
+                await finishRound(id);
+                const { body } = await post('/api/game/requestNewPieces', { sessionId: id });
+                assert.equal(body.success, true);
+                deals.push(body.pieces);
+            }
+            assert.deepEqual(deals[1], deals[0]);
+            assert.deepEqual(gameSessions.get(restartedId).pieceGenerator.stats, gameSessions.get(sessionId).pieceGenerator.stats);
+        } finally {
+            gameSessions.delete(restartedId);
+        }
+    }));
+});
+
+describe('static files', () => {
+    it('serves the client', async () => {
+        for (const [url, type] of [['/', /text\/html/], ['/js/rules.js', /javascript/], ['/js/rules.mjs', /javascript/], ['/css/style.css', /text\/css/]]) {
+            const response = await fetch(baseUrl + url);
+            assert.equal(response.status, 200, url);
+            assert.match(response.headers.get('content-type'), type, url);
+        }
+    });
+
+    it('serves nothing else from the project root', async () => {
+        const indexHtml = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        for (const url of ['/server.js', '/package.json', '/data/sessions/x.json', '/brik-brik.db', '/data/brik-brik.db', '/js/..%2Fserver.js', '/css/..%2Fpackage.json']) {
+            const response = await fetch(baseUrl + url);
+            // Unknown paths get the page itself (see the catch-all route)
+            assert.equal(await response.text(), indexHtml, url);
+        }
+    });
+});
+
+describe('data files of older servers', () => {
+    it('are moved out of the project root, SQLite database included', () => {
+        const oldDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brik-brik-root-'));
+        const newDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brik-brik-data-'));
+        try {
+            for (const name of ['scores.jsonl', 'players.json', 'brik-brik.db', 'brik-brik.db-wal', 'brik-brik.db-shm']) {
+                fs.writeFileSync(path.join(oldDir, name), `old ${name}`);
+            }
+            // A file already in the data directory wins
+            fs.writeFileSync(path.join(newDir, 'players.json'), 'new players.json');
+
+            moveRootDataFiles(oldDir, newDir);
+            assert.deepEqual(fs.readdirSync(oldDir), ['players.json']);
+            for (const name of ['scores.jsonl', 'brik-brik.db', 'brik-brik.db-wal', 'brik-brik.db-shm']) {
+                assert.equal(fs.readFileSync(path.join(newDir, name), 'utf8'), `old ${name}`);
+            }
+            assert.equal(fs.readFileSync(path.join(newDir, 'players.json'), 'utf8'), 'new players.json');
+        } finally {
+            fs.rmSync(oldDir, { recursive: true, force: true });
+            fs.rmSync(newDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('unknown API routes', () => {
+    it('return a JSON 404', async () => {
+        const { status, body } = await get('/api/nothing-here');
+        assert.equal(status, 404);
+        assert.equal(body.success, false);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for the bot benchmark tool (tools/bot.js, tools/strategies.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { RAW_SHAPES, BoardManager, DEFAULT_VARIANT } = require('../js/rules');
+const { loadShapePacks } = require('../lib/shape-packs');
+const { parseArgs, playGame, summarize, formatReport } = require('../tools/bot');
+const { STRATEGIES, getLegalMoves } = require('../tools/strategies');
+
+const classic = loadShapePacks(path.join(__dirname, '..', 'shapes')).get('classic');
+
+function play(strategy, seed = 'test-0') {
+    return playGame({ seed, strategy, variant: DEFAULT_VARIANT, pack: classic, difficulty: 'easy', maxMoves: 10000 });
+}
+
+describe('parseArgs', () => {
+    it('fills in defaults and reads options', () => {
+        assert.equal(parseArgs([]).strategy, 'greedy');
+        const options = parseArgs(['--games', '5', '--strategy', 'random', '--board-size', '10', '--pieces', '4', '--difficulty', 'hard', '--json']);
+        assert.equal(options.games, 5);
+        assert.equal(options.strategy, 'random');
+        assert.equal(options.boardSize, 10);
+        assert.equal(options.piecesPerRound, 4);
+        assert.equal(options.difficulty, 'hard');
+        assert.equal(options.json, true);
+    });
+
+    it('rejects unknown and invalid options', () => {
+        assert.throws(() => parseArgs(['--fast']), /Unknown option/);
+        assert.throws(() => parseArgs(['--games']), /Missing value/);
+        assert.throws(() => parseArgs(['--games', '0']), /positive integer/);
+        assert.throws(() => parseArgs(['--strategy', 'psychic']), /Unknown strategy/);
+        assert.throws(() => parseArgs(['--difficulty', 'insane']), /Invalid difficulty/);
+        assert.throws(() => parseArgs(['--board-size', '9']), /Invalid variant/);
+    });
+});
+
+describe('strategies', () => {
+    it('only pick legal moves', () => {
+        const boardManager = new BoardManager(8);
+        boardManager.createEmptyBoard();
+        boardManager.board = boardManager.board.map((row, r) => row.map(() => (r < 7 ? 1 : 0)));
+        const pieces = [{ matrix: RAW_SHAPES.P11 }, { matrix: RAW_SHAPES.P1 }, null];
+
+        assert.equal(getLegalMoves(boardManager, pieces).length, 5);
+        for (const [name, strategy] of Object.entries(STRATEGIES)) {
+            const move = strategy({ boardManager, pieces, comboCount: 0, random: () => 0.5 });
+            assert.equal(move.pieceIndex, 1, name);
+            assert.equal(move.r, 7, name);
+        }
+    });
+
+    it('greedy takes the placement that clears a line', () => {
+        const boardManager = new BoardManager(8);
+        boardManager.createEmptyBoard();
+        boardManager.board[7] = [1, 1, 1, 1, 0, 0, 0, 0];
+        const move = STRATEGIES.greedy({ boardManager, pieces: [{ matrix: RAW_SHAPES.P1 }], comboCount: 0, random: Math.random });
+        assert.deepEqual(move, { pieceIndex: 0, r: 7, c: 4 });
+    });
+});
+
+describe('playGame', () => {
+    it('plays a game to the end and replays it from the seed', () => {
+        const result = play('random');
+        assert.ok(result.moves > 0);
+        assert.ok(result.score >= result.moves);
+        assert.equal(result.lineClears.reduce((sum, count) => sum + count, 0), result.moves);
+        assert.equal(result.hitMoveLimit, false);
+        assert.equal(result.generationStats.deals, result.rounds);
+        assert.deepEqual(play('random'), result);
+    });
+
+    it('stops at the move limit', () => {
+        const result = playGame({ seed: 'test-1', strategy: 'greedy', variant: DEFAULT_VARIANT, pack: classic, difficulty: 'easy', maxMoves: 5 });
+        assert.equal(result.moves, 5);
+        assert.equal(result.hitMoveLimit, true);
+    });
+});
+
+describe('summarize', () => {
+    it('reports score statistics, game length and line clears', () => {
+        const summary = summarize([
+            { score: 10, moves: 4, rounds: 2, lineClears: [4], hitMoveLimit: false },
+            { score: 40, moves: 6, rounds: 2, lineClears: [3, 2, 1], hitMoveLimit: false },
+            { score: 20, moves: 8, rounds: 3, lineClears: [6, 2], hitMoveLimit: true }
+        ]);
+        assert.deepEqual(summary.score, { mean: 70 / 3, median: 20, min: 10, max: 40 });
+        assert.equal(summary.meanMoves, 6);
+        assert.equal(summary.meanRounds, 7 / 3);
+        assert.deepEqual(summary.lineClears, [13, 4, 1]);
+        assert.equal(summary.hitMoveLimit, 1);
+        assert.equal(summarize([{ score: 1, moves: 1, rounds: 1, lineClears: [1] }, { score: 4, moves: 1, rounds: 1, lineClears: [1] }]).score.median, 2.5);
+
+        const report = formatReport({ strategy: 'greedy', variant: '8x8-3', shapePack: 'classic', difficulty: 'easy', seed: 'bot', ...summary });
+        assert.match(report, /median 20/);
+        assert.match(report, /1 game\(s\) stopped at the move limit/);
+    });
+});
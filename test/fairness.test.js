@@ -0,0 +1,113 @@
+/**
+ * Tests for generation fairness reports (lib/generation-stats.js, tools/fairness.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SHAPE_LIBRARY, BoardManager, PieceGenerator, SeededRandom } = require('../js/rules');
+const { loadShapePacks, parseShapePack } = require('../lib/shape-packs');
+const { mergeGenerationStats, buildGenerationReport, buildGenerationReports } = require('../lib/generation-stats');
+const { parseFairnessArgs, reportSimulatedGames, reportReplays, formatGenerationReport } = require('../tools/fairness');
+
+const packs = loadShapePacks(path.join(__dirname, '..', 'shapes'));
+const classic = packs.get('classic');
+
+function dealStats(seed, rounds = 10) {
+    const rng = new SeededRandom(seed);
+    const boardManager = new BoardManager(8);
+    boardManager.createEmptyBoard();
+    const generator = new PieceGenerator(SHAPE_LIBRARY, boardManager, () => rng.next());
+    for (let i = 0; i < rounds; i++) generator.generatePieces(3, boardManager.board);
+    return generator.stats;
+}
+
+describe('mergeGenerationStats', () => {
+    it('adds counters, draws, shapes and rotations', () => {
+        const a = dealStats('a');
+        const b = dealStats('b');
+        const total = mergeGenerationStats(mergeGenerationStats(JSON.parse(JSON.stringify(a)), b), { deals: 1 });
+        assert.equal(total.deals, a.deals + b.deals + 1);
+        assert.equal(total.attempts, a.attempts + b.attempts);
+        assert.deepEqual(total.shapes, a.shapes.map((count, i) => count + b.shapes[i]));
+        assert.deepEqual(total.rotations[0], [a.rotations[0][0] + b.rotations[0][0], a.rotations[0][1] + b.rotations[0][1]]);
+    });
+});
+
+describe('buildGenerationReport', () => {
+    it('compares drawn and dealt shares with the weights', () => {
+        const report = buildGenerationReport(classic, 'easy', [dealStats('a'), dealStats('b')]);
+        assert.equal(report.games, 2);
+        assert.equal(report.counts.deals, 20);
+        assert.equal(report.counts.pieces, 60);
+        assert.equal(report.rates.unplaceableSets, 0);
+        assert.equal(report.shapes.length, SHAPE_LIBRARY.length);
+
+        const sum = key => report.shapes.reduce((total, shape) => total + shape[key], 0);
+        assert.ok(Math.abs(sum('expectedShare') - 1) < 1e-9);
+        assert.ok(Math.abs(sum('drawShare') - 1) < 1e-9);
+        assert.ok(Math.abs(sum('dealShare') - 1) < 1e-9);
+        assert.equal(report.maxDrawDeviation, Math.max(...report.shapes.map(shape => Math.abs(shape.drawShare - shape.expectedShare))));
+    });
+
+    it('uses pack weights scaled for the difficulty', () => {
+        const pack = parseShapePack('bars', { shapes: [{ matrix: [[1, 1]], weight: 1 }, { matrix: [[1, 1, 1]], weight: 1 }] });
+        assert.deepEqual(buildGenerationReport(pack, 'normal', []).shapes.map(shape => shape.expectedShare), [0.5, 0.5]);
+        assert.deepEqual(buildGenerationReport(pack, 'hard', []).shapes.map(shape => shape.expectedShare), [0.4, 0.6]);
+        assert.equal(buildGenerationReport(pack, 'hard', []).maxDrawDeviation, 0);
+    });
+
+    it('groups games by pack and difficulty', () => {
+        const reports = buildGenerationReports([
+            { shapePack: classic, difficulty: 'hard', stats: dealStats('a') },
+            { shapePack: classic, difficulty: 'easy', stats: dealStats('b') },
+            { shapePack: classic, difficulty: 'hard', stats: dealStats('c') }
+        ]);
+        assert.deepEqual(reports.map(report => [report.difficulty, report.games]), [['easy', 1], ['hard', 2]]);
+    });
+});
+
+describe('tools/fairness.js', () => {
+    it('reads --replays next to the bot options', () => {
+        assert.equal(parseFairnessArgs([]).replays, null);
+        const options = parseFairnessArgs(['--games', '5', '--replays', 'data/replays', '--json']);
+        assert.equal(options.replays, 'data/replays');
+        assert.equal(options.games, 5);
+        assert.equal(options.json, true);
+        assert.throws(() => parseFairnessArgs(['--replays']), /Missing value/);
+    });
+
+    it('reports on simulated games', () => {
+        const [report] = reportSimulatedGames(parseFairnessArgs(['--games', '2', '--strategy', 'random']));
+        assert.equal(report.games, 2);
+        assert.ok(report.counts.deals >= 2);
+        assert.equal(report.counts.unplaceableSets, 0);
+
+        const text = formatGenerationReport(report);
+        assert.match(text, /^classic · easy · 2 game\(s\)/);
+        assert.match(text, /Largest gap between drawn and expected share/);
+    });
+
+    it('reports on saved replays and skips the ones it cannot use', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brik-brik-replays-'));
+        fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({ shapePack: 'classic', difficulty: 'easy', generationStats: dealStats('a') }));
+        fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({ shapePack: 'classic', difficulty: 'easy', generationStats: dealStats('b') }));
+        fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify({ shapePack: 'classic', moves: [] }));
+        fs.writeFileSync(path.join(dir, 'gone.json'), JSON.stringify({ shapePack: 'no-such-pack', generationStats: dealStats('c') }));
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+        let result;
+        try {
+            result = reportReplays(dir);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+        assert.equal(result.skipped, 3);
+        assert.equal(result.reports.length, 1);
+        assert.equal(result.reports[0].games, 2);
+        assert.equal(result.reports[0].counts.deals, 20);
+    });
+});
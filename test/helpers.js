@@ -0,0 +1,23 @@
+/**
+ * Helpers shared by the tests (not a test file itself: npm test only runs test/*.test.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Run a test in a fresh temporary directory, removed afterwards (also when the test fails)
+ * @param {Function} fn - Test body, called with the directory path (may be async)
+ * @returns {Promise} - Settles with the test body
+ */
+function withTempDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brik-brik-test-'));
+    return Promise.resolve()
+        .then(() => fn(dir))
+        .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+module.exports = {
+    withTempDir
+};
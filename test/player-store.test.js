@@ -0,0 +1,96 @@
+/**
+ * Tests for player profiles (lib/player-store.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { computePlayerStats, PlayerStore } = require('../lib/player-store');
+const { withTempDir } = require('./helpers');
+
+const game = (sessionId, score, fields = {}) => ({ sessionId, gameId: `g-${sessionId}`, date: '2026-10-01T00:00:00.000Z', mode: 'classic', score, linesCleared: 0, bestCombo: 0, ...fields });
+
+describe('computePlayerStats', () => {
+    it('sums and averages the games', () => {
+        assert.deepEqual(computePlayerStats([
+            game('a', 10, { linesCleared: 2, bestCombo: 1 }),
+            game('b', 25, { linesCleared: 5, bestCombo: 3 }),
+            game('c', 4)
+        ]), { gamesPlayed: 3, personalBest: 25, averageScore: 13, totalLinesCleared: 7, bestCombo: 3 });
+        assert.deepEqual(computePlayerStats([]), { gamesPlayed: 0, personalBest: 0, averageScore: 0, totalLinesCleared: 0, bestCombo: 0 });
+    });
+});
+
+describe('PlayerStore', () => {
+    it('records games, keeps the name and saves the players file', () => withTempDir(async dir => {
+        const file = path.join(dir, 'players.json');
+        const store = new PlayerStore(file);
+        assert.equal(store.load(), 0);
+        assert.equal(store.getProfile('player-0001'), null);
+
+        await store.recordGame('player-0001', '  Ada  ', game('s1', 10));
+        const profile = await store.recordGame('player-0001', '', game('s2', 30, { date: '2026-10-02T00:00:00.000Z' }));
+        assert.equal(profile.name, 'Ada');
+        assert.equal(profile.createdAt, '2026-10-01T00:00:00.000Z');
+        assert.equal(profile.stats.gamesPlayed, 2);
+        assert.deepEqual(profile.recentGames.map(g => g.gameId), ['g-s2', 'g-s1']);
+        assert.ok(profile.recentGames.every(g => !('sessionId' in g)));
+
+        const reloaded = new PlayerStore(file);
+        assert.equal(reloaded.load(), 1);
+        assert.deepEqual(reloaded.getProfile('player-0001'), profile);
+    }));
+
+    it('replaces the result of a game recorded again', () => withTempDir(async dir => {
+        const store = new PlayerStore(path.join(dir, 'players.json'));
+        await Promise.all([
+            store.recordGame('player-0001', 'Ada', game('s1', 10)),
+            store.recordGame('player-0001', 'Ada', game('s1', 15))
+        ]);
+        const { stats } = store.getProfile('player-0001');
+        assert.equal(stats.gamesPlayed, 1);
+        assert.equal(stats.personalBest, 15);
+    }));
+
+    it('saves parallel games atomically, keeping the previous file as backup', () => withTempDir(async dir => {
+        const file = path.join(dir, 'players.json');
+        const store = new PlayerStore(file);
+        await Promise.all(Array.from({ length: 30 }, (_, i) => store.recordGame(`player-${String(i % 3).padStart(4, '0')}`, null, game(`s${i}`, i))));
+
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepEqual(Object.values(saved).map(player => player.games.length), [10, 10, 10]);
+        assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+        await store.recordGame('player-0000', null, game('s30', 30));
+        const backup = JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8'));
+        assert.deepEqual(backup, saved);
+    }));
+
+    it('refuses a players file it cannot read instead of starting empty', () => withTempDir(async dir => {
+        const file = path.join(dir, 'players.json');
+        fs.writeFileSync(file, '{"player-0001": {"name": "Ada", "ga');
+
+        const store = new PlayerStore(file);
+        assert.throws(() => store.load(), { code: 'ECORRUPT' });
+        assert.throws(() => store.getProfile('player-0001'), /corrupt/);
+        await assert.rejects(store.recordGame('player-0001', 'Ada', game('s1', 1)), /corrupt/);
+        assert.equal(fs.readFileSync(file, 'utf8'), '{"player-0001": {"name": "Ada", "ga');
+
+        fs.writeFileSync(file, '[]');
+        assert.throws(() => new PlayerStore(file).load(), { code: 'ECORRUPT' });
+    }));
+
+    it('lists only the 20 most recent games', () => withTempDir(async dir => {
+        const store = new PlayerStore(path.join(dir, 'players.json'));
+        for (let i = 0; i < 25; i++) {
+            await store.recordGame('player-0001', null, game(`s${i}`, i));
+        }
+        const profile = store.getProfile('player-0001');
+        assert.equal(profile.name, null);
+        assert.equal(profile.stats.gamesPlayed, 25);
+        assert.equal(profile.recentGames.length, 20);
+        assert.equal(profile.recentGames[0].gameId, 'g-s24');
+    }));
+});
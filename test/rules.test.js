@@ -0,0 +1,600 @@
+/**
+ * Tests for the shared game rules (js/rules.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    BOARD_SIZE,
+    MAX_GENERATION_ATTEMPTS,
+    LINE_CLEAR_ATTEMPTS,
+    RAW_SHAPES,
+    HINT_SEARCH_LIMIT,
+    COLORS,
+    SHAPE_LIBRARY,
+    SeededRandom,
+    BoardManager,
+    PieceGenerator,
+    DIFFICULTIES,
+    DEFAULT_DIFFICULTY,
+    isValidDifficulty,
+    calculateLineClearScore,
+    applyPlacement,
+    getBoardOpenness,
+    findBestPlacement,
+    canPlaceAll,
+    getColorId,
+    getColorById,
+    DEFAULT_VARIANT,
+    isValidVariant,
+    getVariantId,
+    parseVariantId,
+    isValidPlayerId
+} = require('../js/rules');
+const rules = require('../js/rules');
+
+function createBoardManager() {
+    const boardManager = new BoardManager(BOARD_SIZE);
+    boardManager.createEmptyBoard();
+    return boardManager;
+}
+
+function fillRow(board, r) {
+    board[r] = board[r].map(() => 1);
+}
+
+describe('isValidPlayerId', () => {
+    it('accepts 8-64 letters, digits, _ and -', () => {
+        assert.equal(isValidPlayerId('3f2b8c1e-7d4a-4f7e-9a55-0c1d2e3f4a5b'), true);
+        assert.equal(isValidPlayerId('abc_1234'), true);
+        for (const id of ['abc', 'x'.repeat(65), '../../etc', 'white space', null, 12345678]) {
+            assert.equal(isValidPlayerId(id), false, String(id));
+        }
+    });
+});
+
+describe('js/rules.mjs', () => {
+    it('exports the same rules to ES modules', async () => {
+        const esm = await import('../js/rules.mjs');
+        assert.equal(esm.default, rules);
+        for (const [name, value] of Object.entries(rules)) {
+            assert.equal(esm[name], value, name);
+        }
+    });
+});
+
+describe('BoardManager', () => {
+    describe('canPlace', () => {
+        it('accepts a piece inside the board on empty cells', () => {
+            const boardManager = createBoardManager();
+            assert.equal(boardManager.canPlace(RAW_SHAPES.P10, 0, 0), true);
+            assert.equal(boardManager.canPlace(RAW_SHAPES.P10, 5, 5), true);
+        });
+
+        it('rejects positions outside the board', () => {
+            const boardManager = createBoardManager();
+            assert.equal(boardManager.canPlace(RAW_SHAPES.P10, 6, 0), false);
+            assert.equal(boardManager.canPlace(RAW_SHAPES.P1, 0, 5), false);
+            assert.equal(boardManager.canPlace(RAW_SHAPES.P4, -1, 0), false);
+        });
+
+        it('rejects overlaps but ignores empty cells of the piece', () => {
+            const boardManager = createBoardManager();
+            boardManager.board[0][1] = 1;
+            assert.equal(boardManager.canPlace([[1, 1]], 0, 0), false);
+            // Z piece leaves (0, 2) empty, so a block there doesn't matter
+            boardManager.board[0][1] = 0;
+            boardManager.board[0][2] = 1;
+            assert.equal(boardManager.canPlace(RAW_SHAPES.P9, 0, 0), true);
+        });
+    });
+
+    describe('placePiece', () => {
+        it('fills the piece cells and refuses invalid placements', () => {
+            const boardManager = createBoardManager();
+            assert.equal(boardManager.placePiece(RAW_SHAPES.P8, 2, 3), true);
+            assert.deepEqual(boardManager.board[2].slice(3, 6), [0, 1, 0]);
+            assert.deepEqual(boardManager.board[3].slice(3, 6), [1, 1, 1]);
+            assert.equal(boardManager.placePiece(RAW_SHAPES.P4, 3, 4), false);
+        });
+    });
+
+    describe('cell colors', () => {
+        it('stores the color id of each placed piece', () => {
+            const boardManager = createBoardManager();
+            boardManager.placePiece(RAW_SHAPES.P3, 0, 0, getColorId('bg-red-500'));
+            boardManager.placePiece(RAW_SHAPES.P3, 1, 0, getColorId('bg-cyan-500'));
+            assert.deepEqual(boardManager.board[0].slice(0, 2), [7, 7]);
+            assert.deepEqual(boardManager.board[1].slice(0, 2), [1, 1]);
+            assert.equal(getColorById(boardManager.board[0][0]), 'bg-red-500');
+            assert.equal(getColorById(0), null);
+        });
+
+        it('maps every piece color to a distinct non-empty id', () => {
+            const ids = COLORS.map(getColorId);
+            assert.ok(ids.every(id => id > 0));
+            assert.equal(new Set(ids).size, COLORS.length);
+            assert.equal(getColorId('not-a-color'), 1);
+        });
+
+        it('treats any color id as occupied for placement and lines', () => {
+            const boardManager = createBoardManager();
+            boardManager.board[0] = [1, 2, 3, 4, 5, 6, 7, 0];
+            assert.equal(boardManager.canPlace(RAW_SHAPES.P4, 0, 3), false);
+            assert.deepEqual(boardManager.checkLines(), { rows: [], cols: [] });
+
+            applyPlacement(boardManager, RAW_SHAPES.P4, 0, 7, 0, 8);
+            assert.ok(boardManager.board[0].every(cell => cell === 0));
+        });
+    });
+
+    describe('checkLines', () => {
+        it('finds full rows and columns', () => {
+            const boardManager = createBoardManager();
+            fillRow(boardManager.board, 2);
+            for (let r = 0; r < BOARD_SIZE; r++) {
+                boardManager.board[r][5] = 1;
+            }
+            assert.deepEqual(boardManager.checkLines(), { rows: [2], cols: [5] });
+        });
+
+        it('returns no lines on a partly filled board', () => {
+            const boardManager = createBoardManager();
+            boardManager.board[0] = [1, 1, 1, 1, 1, 1, 1, 0];
+            assert.deepEqual(boardManager.checkLines(), { rows: [], cols: [] });
+        });
+    });
+
+    describe('clearLines', () => {
+        it('empties the given rows and columns only', () => {
+            const boardManager = createBoardManager();
+            fillRow(boardManager.board, 0);
+            fillRow(boardManager.board, 1);
+            boardManager.board[4][4] = 1;
+            boardManager.clearLines({ rows: [0], cols: [2] });
+            assert.ok(boardManager.board[0].every(cell => cell === 0));
+            assert.deepEqual(boardManager.board[1], [1, 1, 0, 1, 1, 1, 1, 1]);
+            assert.equal(boardManager.board[4][4], 1);
+        });
+    });
+
+    describe('simulatePlaceAndClear', () => {
+        it('places on the given board and clears completed lines', () => {
+            const boardManager = createBoardManager();
+            const board = boardManager.board.map(row => [...row]);
+            board[7] = [1, 1, 1, 1, 0, 0, 0, 0];
+            boardManager.simulatePlaceAndClear(board, RAW_SHAPES.P1, 7, 4);
+            assert.ok(board[7].every(cell => cell === 0));
+            // The manager's own board is untouched
+            assert.ok(boardManager.board.flat().every(cell => cell === 0));
+        });
+
+        it('clears a row and a column crossing at the placed cell', () => {
+            const boardManager = createBoardManager();
+            const board = boardManager.board.map(row => [...row]);
+            for (let i = 0; i < BOARD_SIZE; i++) {
+                board[3][i] = 1;
+                board[i][6] = 1;
+            }
+            board[3][6] = 0;
+            boardManager.simulatePlaceAndClear(board, RAW_SHAPES.P4, 3, 6);
+            assert.ok(board.flat().every(cell => cell === 0));
+        });
+    });
+
+    describe('findValidPosition', () => {
+        it('returns the first free position scanning rows then columns', () => {
+            const boardManager = createBoardManager();
+            const board = boardManager.board.map(row => [...row]);
+            board[0][0] = 1;
+            assert.deepEqual(boardManager.findValidPosition(board, RAW_SHAPES.P11), { r: 0, c: 1 });
+        });
+
+        it('returns null when the piece fits nowhere', () => {
+            const boardManager = createBoardManager();
+            const board = boardManager.board.map((row, r) => row.map((cell, c) => (r + c) % 2));
+            assert.equal(boardManager.findValidPosition(board, RAW_SHAPES.P3), null);
+            assert.notEqual(boardManager.findValidPosition(board, RAW_SHAPES.P4), null);
+        });
+    });
+
+    describe('findClearingPosition', () => {
+        it('finds a placement that completes a line without changing the board', () => {
+            const boardManager = createBoardManager();
+            const board = boardManager.board.map(row => [...row]);
+            fillRow(board, 7);
+            board[7][2] = 0;
+            board[7][3] = 0;
+            assert.equal(boardManager.countCompletedLines(board, RAW_SHAPES.P3, 7, 2), 1);
+            assert.equal(boardManager.countCompletedLines(board, RAW_SHAPES.P3, 6, 2), 0);
+            assert.deepEqual(boardManager.findClearingPosition(board, RAW_SHAPES.P3), { r: 7, c: 2 });
+            assert.equal(boardManager.findClearingPosition(board, RAW_SHAPES.P4), null);
+            assert.equal(board[7][2], 0);
+        });
+    });
+});
+
+describe('PieceGenerator', () => {
+    const generator = new PieceGenerator(SHAPE_LIBRARY, createBoardManager(), () => 0.5);
+
+    describe('getAllRotations', () => {
+        it('deduplicates symmetric shapes', () => {
+            assert.equal(generator.getAllRotations(RAW_SHAPES.P4).length, 1);
+            assert.equal(generator.getAllRotations(RAW_SHAPES.P10).length, 1);
+            assert.equal(generator.getAllRotations(RAW_SHAPES.P11).length, 1);
+            assert.equal(generator.getAllRotations(RAW_SHAPES.P1).length, 2);
+            assert.equal(generator.getAllRotations(RAW_SHAPES.P9).length, 2);
+        });
+
+        it('keeps all four rotations of asymmetric shapes', () => {
+            const rotations = generator.getAllRotations(RAW_SHAPES.P8);
+            assert.equal(rotations.length, 4);
+            assert.deepEqual(rotations[1], [[1, 0], [1, 1], [1, 0]]);
+        });
+    });
+
+    describe('getWeightedRandomShape', () => {
+        it('deals shapes in proportion to their cell count', () => {
+            const rng = new SeededRandom('distribution');
+            const seeded = new PieceGenerator(SHAPE_LIBRARY, createBoardManager(), () => rng.next());
+            const samples = 40000;
+            const counts = new Map(SHAPE_LIBRARY.map(shape => [shape, 0]));
+            for (let i = 0; i < samples; i++) {
+                const shape = seeded.getWeightedRandomShape();
+                counts.set(shape, counts.get(shape) + 1);
+            }
+
+            SHAPE_LIBRARY.forEach((shape, i) => {
+                const expected = seeded.weights[i] / seeded.totalWeight;
+                const actual = counts.get(shape) / samples;
+                assert.ok(Math.abs(actual - expected) < 0.01,
+                    `shape ${i}: expected ${expected.toFixed(3)}, got ${actual.toFixed(3)}`);
+            });
+        });
+
+        it('uses per-shape weights where given and cell count elsewhere', () => {
+            const shapes = [[[1]], [[1, 1, 1]]];
+            const weighted = new PieceGenerator(shapes, createBoardManager(), () => 0.5, { weights: [null, 0.5] });
+            assert.deepEqual(weighted.weights, [1, 0.5]);
+            assert.equal(weighted.totalWeight, 1.5);
+
+            const first = new PieceGenerator(shapes, createBoardManager(), () => 0.6, { weights: [1, 0.5] });
+            assert.equal(first.getWeightedRandomShape(), shapes[0]);
+            const second = new PieceGenerator(shapes, createBoardManager(), () => 0.7, { weights: [1, 0.5] });
+            assert.equal(second.getWeightedRandomShape(), shapes[1]);
+        });
+    });
+
+    describe('generatePieces', () => {
+        it('deals the same pieces for the same seed', () => {
+            const deal = seed => {
+                const rng = new SeededRandom(seed);
+                const boardManager = createBoardManager();
+                return new PieceGenerator(SHAPE_LIBRARY, boardManager, () => rng.next())
+                    .generatePieces(3, boardManager.board);
+            };
+            assert.deepEqual(deal('same'), deal('same'));
+        });
+
+        it('gives shapes their fixed color when the pack sets one', () => {
+            const rng = new SeededRandom('colors');
+            const boardManager = createBoardManager();
+            const colored = new PieceGenerator([[[1]], [[1, 1]]], boardManager, () => rng.next(), { colors: [COLORS[2], null] });
+            for (let i = 0; i < 20; i++) {
+                colored.generatePieces(3, boardManager.board)
+                    .filter(piece => piece.matrix.length === 1 && piece.matrix[0].length === 1)
+                    .forEach(piece => assert.equal(piece.color, COLORS[2]));
+            }
+        });
+
+        it('deals a set that can be placed one after another', () => {
+            const rng = new SeededRandom('solvable');
+            const boardManager = createBoardManager();
+            const seeded = new PieceGenerator(SHAPE_LIBRARY, boardManager, () => rng.next());
+            // Leave only the left half of the board open
+            boardManager.board.forEach(row => row.fill(1, 4));
+
+            const pieces = seeded.generatePieces(3, boardManager.board);
+            const board = boardManager.board.map(row => [...row]);
+            pieces.forEach(piece => {
+                const position = boardManager.findValidPosition(board, piece.matrix);
+                assert.ok(position, `piece ${JSON.stringify(piece.matrix)} does not fit`);
+                boardManager.simulatePlaceAndClear(board, piece.matrix, position.r, position.c);
+            });
+        });
+    });
+});
+
+describe('difficulty', () => {
+    const dealFirstPieces = (difficulty, board, seed, shapes = SHAPE_LIBRARY) => {
+        const results = [];
+        for (let i = 0; i < 20; i++) {
+            const rng = new SeededRandom(`${seed}-${i}`);
+            const boardManager = createBoardManager();
+            boardManager.board = board.map(row => [...row]);
+            results.push(new PieceGenerator(shapes, boardManager, () => rng.next(), { difficulty })
+                .generatePieces(3, boardManager.board));
+        }
+        return results;
+    };
+
+    it('defaults to easy and checks preset names', () => {
+        assert.deepEqual(DIFFICULTIES, ['easy', 'normal', 'hard']);
+        assert.equal(DEFAULT_DIFFICULTY, 'easy');
+        assert.equal(new PieceGenerator(SHAPE_LIBRARY, createBoardManager()).difficulty, 'easy');
+        assert.equal(isValidDifficulty('hard'), true);
+        assert.equal(isValidDifficulty('insane'), false);
+    });
+
+    it('prefers pieces that clear lines on easy', () => {
+        // Bottom row missing one block: easy deals a filler far more often than normal
+        const board = createBoardManager().board;
+        fillRow(board, 7);
+        board[7][0] = 0;
+        const clearsLine = pieces => pieces.some(piece =>
+            createBoardManager().findClearingPosition(board, piece.matrix) !== null);
+        const easy = dealFirstPieces('easy', board, 'clear').filter(clearsLine).length;
+        const normal = dealFirstPieces('normal', board, 'clear').filter(clearsLine).length;
+        assert.ok(easy > normal, `easy ${easy} vs normal ${normal}`);
+        assert.equal(easy, 20);
+    });
+
+    it('only checks each piece on its own on normal', () => {
+        // Free: the top-left 2x2 and the anti-diagonal, so a square in the corner clears nothing
+        // and a second square only fits after a single block has cleared a line
+        const board = createBoardManager().board.map((row, r) => row.map((cell, c) => (r < 2 && c < 2) || r + c === 7 ? 0 : 1));
+        const boardManager = createBoardManager();
+        // Can the pieces be placed in order, trying every position of each
+        const isSolvable = (pieces, current = board) => {
+            if (pieces.length === 0) return true;
+            const [piece, ...rest] = pieces;
+            for (let r = 0; r < 8; r++) {
+                for (let c = 0; c < 8; c++) {
+                    if (!boardManager.canPlaceOnBoard(current, piece.matrix, r, c)) continue;
+                    const next = current.map(row => [...row]);
+                    boardManager.simulatePlaceAndClear(next, piece.matrix, r, c);
+                    if (isSolvable(rest, next)) return true;
+                }
+            }
+            return false;
+        };
+
+        const shapes = [RAW_SHAPES.P11, RAW_SHAPES.P4];
+        const normal = dealFirstPieces('normal', board, 'alone', shapes);
+        normal.flat().forEach(piece => assert.notEqual(boardManager.findValidPosition(board, piece.matrix), null));
+        assert.ok(normal.some(pieces => !isSolvable(pieces)));
+        assert.ok(dealFirstPieces('easy', board, 'alone', shapes).every(pieces => isSolvable(pieces)));
+    });
+
+    it('deals without lookahead and favours big pieces on hard', () => {
+        const hard = new PieceGenerator(SHAPE_LIBRARY, createBoardManager(), () => 0.5, { difficulty: 'hard' });
+        const easy = new PieceGenerator(SHAPE_LIBRARY, createBoardManager(), () => 0.5);
+        hard.weights.forEach((weight, i) => assert.equal(weight, easy.weights[i] ** 2));
+
+        const board = createBoardManager().board.map(row => row.map(() => 1));
+        board[0][0] = 0;
+        const pieces = dealFirstPieces('hard', board, 'blind').flat();
+        assert.ok(pieces.some(piece => piece.matrix.flat().length > 1));
+    });
+});
+
+describe('variants', () => {
+    it('accepts the supported board sizes and piece counts only', () => {
+        assert.equal(isValidVariant(DEFAULT_VARIANT), true);
+        assert.equal(isValidVariant({ boardSize: 12, piecesPerRound: 5 }), true);
+        assert.equal(isValidVariant({ boardSize: 6, piecesPerRound: 2 }), true);
+        assert.equal(isValidVariant({ boardSize: 7, piecesPerRound: 3 }), false);
+        assert.equal(isValidVariant({ boardSize: 8, piecesPerRound: 1 }), false);
+        assert.equal(isValidVariant({ boardSize: 8, piecesPerRound: 6 }), false);
+        assert.equal(isValidVariant({ boardSize: 8, piecesPerRound: 2.5 }), false);
+        assert.equal(isValidVariant(null), false);
+    });
+
+    it('round-trips variant ids', () => {
+        assert.equal(getVariantId(DEFAULT_VARIANT), '8x8-3');
+        assert.deepEqual(parseVariantId('10x10-4'), { boardSize: 10, piecesPerRound: 4 });
+        assert.equal(parseVariantId('10x8-4'), null);
+        assert.equal(parseVariantId('9x9-3'), null);
+        assert.equal(parseVariantId('8x8-3; drop'), null);
+    });
+
+    it('deals full rounds on every board size', () => {
+        [6, 10, 12].forEach(boardSize => {
+            const rng = new SeededRandom(`size-${boardSize}`);
+            const boardManager = new BoardManager(boardSize);
+            boardManager.createEmptyBoard();
+            const pieces = new PieceGenerator(SHAPE_LIBRARY, boardManager, () => rng.next())
+                .generatePieces(5, boardManager.board);
+            assert.equal(pieces.length, 5);
+            pieces.forEach(piece => assert.ok(boardManager.findValidPosition(boardManager.board, piece.matrix)));
+        });
+    });
+
+    it('clears full lines of any board size', () => {
+        const boardManager = new BoardManager(6);
+        boardManager.createEmptyBoard();
+        boardManager.board[5] = [1, 1, 1, 1, 1, 0];
+        const result = applyPlacement(boardManager, RAW_SHAPES.P4, 5, 5, 0);
+        assert.deepEqual(result.lineData, { rows: [5], cols: [] });
+    });
+});
+
+describe('scoring', () => {
+    it('scores line clears as (lines x 10) + 2 x lines x (lines - 1)', () => {
+        assert.equal(calculateLineClearScore(0), 0);
+        assert.equal(calculateLineClearScore(1), 10);
+        assert.equal(calculateLineClearScore(2), 24);
+        assert.equal(calculateLineClearScore(3), 42);
+    });
+
+    it('scores one point per block without a clear and resets the combo', () => {
+        const boardManager = createBoardManager();
+        const result = applyPlacement(boardManager, RAW_SHAPES.P5, 0, 0, 3);
+        assert.equal(result.scoreDelta, 5);
+        assert.equal(result.comboCount, 0);
+        assert.equal(result.comboInfo, null);
+    });
+
+    it('adds a combo bonus of 5 x level from the second consecutive clear', () => {
+        const boardManager = createBoardManager();
+        boardManager.board[0] = [1, 1, 1, 1, 1, 1, 1, 0];
+        boardManager.board[1] = [1, 1, 1, 1, 1, 1, 1, 0];
+
+        const first = applyPlacement(boardManager, RAW_SHAPES.P4, 0, 7, 0);
+        assert.equal(first.scoreDelta, 1 + 10);
+        assert.equal(first.comboCount, 1);
+        assert.equal(first.comboInfo, null);
+
+        const second = applyPlacement(boardManager, RAW_SHAPES.P4, 1, 7, first.comboCount);
+        assert.equal(second.comboCount, 2);
+        assert.deepEqual(second.comboInfo, { level: 1, bonus: 5 });
+        assert.equal(second.scoreDelta, 1 + 10 + 5);
+        assert.ok(boardManager.board.flat().every(cell => cell === 0));
+    });
+
+    it('returns null and leaves the board alone when the piece does not fit', () => {
+        const boardManager = createBoardManager();
+        boardManager.board[0][0] = 1;
+        assert.equal(applyPlacement(boardManager, RAW_SHAPES.P11, 0, 0, 0), null);
+        assert.equal(boardManager.board.flat().filter(cell => cell === 1).length, 1);
+    });
+});
+
+describe('hints', () => {
+    it('rates open boards above boards with isolated holes', () => {
+        const boardManager = createBoardManager();
+        assert.equal(getBoardOpenness(boardManager.board), 64);
+
+        const board = boardManager.board.map(row => row.map(() => 1));
+        board[0][0] = 0;
+        board[0][1] = 0;
+        board[5][5] = 0;
+        assert.equal(getBoardOpenness(board), 1);
+    });
+
+    it('suggests the placement that clears a line', () => {
+        const boardManager = createBoardManager();
+        fillRow(boardManager.board, 7);
+        boardManager.board[7][3] = 0;
+        assert.deepEqual(findBestPlacement(boardManager, [null, { matrix: RAW_SHAPES.P4 }, null]), { pieceIndex: 1, r: 7, c: 3 });
+    });
+
+    it('keeps room for every piece of the round', () => {
+        // Free: a 3x3 corner and one separate cell; a single block in the corner would leave the square nowhere to go
+        const boardManager = createBoardManager();
+        boardManager.board = boardManager.board.map((row, r) => row.map((cell, c) => ((r < 3 && c < 3) || (r === 5 && c === 5) ? 0 : 1)));
+        const pieces = [{ matrix: RAW_SHAPES.P4 }, { matrix: RAW_SHAPES.P10 }];
+
+        const hint = findBestPlacement(boardManager, pieces);
+        const board = boardManager.board.map(row => [...row]);
+        boardManager.simulatePlaceAndClear(board, pieces[hint.pieceIndex].matrix, hint.r, hint.c);
+        const other = pieces[1 - hint.pieceIndex];
+        assert.notEqual(boardManager.findValidPosition(board, other.matrix), null);
+        assert.ok(boardManager.board[0][0] === 0, 'search leaves the board alone');
+    });
+
+    it('stops after HINT_SEARCH_LIMIT placements on the biggest rounds', () => {
+        // The biggest rounds: five pieces on an empty 12x12 board
+        class CountingBoardManager extends BoardManager {
+            simulatePlaceAndClear(...args) {
+                this.placements++;
+                return super.simulatePlaceAndClear(...args);
+            }
+        }
+        const boardManager = new CountingBoardManager(12);
+        boardManager.createEmptyBoard();
+        const pieces = [RAW_SHAPES.P1, RAW_SHAPES.P5, RAW_SHAPES.P8, RAW_SHAPES.P10, RAW_SHAPES.P9].map(matrix => ({ matrix }));
+
+        boardManager.placements = 0;
+        const hint = findBestPlacement(boardManager, pieces);
+        assert.ok(boardManager.placements <= HINT_SEARCH_LIMIT, `${boardManager.placements} placements`);
+        assert.ok(boardManager.canPlace(pieces[hint.pieceIndex].matrix, hint.r, hint.c));
+
+        // Out of budget during the first step, it settles for the best first placement found
+        boardManager.placements = 0;
+        const quick = findBestPlacement(boardManager, pieces, 0, 10);
+        assert.ok(boardManager.placements <= 10);
+        assert.ok(boardManager.canPlace(pieces[quick.pieceIndex].matrix, quick.r, quick.c));
+    });
+
+    it('returns null when no piece fits', () => {
+        const boardManager = createBoardManager();
+        boardManager.board = boardManager.board.map((row, r) => row.map((cell, c) => (r + c) % 2));
+        assert.equal(findBestPlacement(boardManager, [{ matrix: RAW_SHAPES.P3 }, null]), null);
+        assert.equal(findBestPlacement(boardManager, [null, null]), null);
+    });
+});
+
+describe('generation stats', () => {
+    it('counts draws, dealt shapes and rotations without changing the deal', () => {
+        const deal = () => {
+            const rng = new SeededRandom('stats');
+            const boardManager = createBoardManager();
+            const generator = new PieceGenerator(SHAPE_LIBRARY, boardManager, () => rng.next());
+            const pieces = [];
+            for (let i = 0; i < 20; i++) pieces.push(...generator.generatePieces(3, boardManager.board));
+            return { pieces, stats: generator.stats };
+        };
+        const { pieces, stats } = deal();
+        const sum = values => values.reduce((total, value) => total + value, 0);
+
+        assert.deepEqual(deal().pieces, pieces);
+        assert.equal(stats.deals, 20);
+        assert.equal(stats.pieces, 60);
+        assert.equal(sum(stats.draws), stats.attempts);
+        assert.ok(stats.attempts >= stats.pieces);
+        assert.equal(sum(stats.shapes), 60);
+        stats.rotations.forEach((counts, i) => assert.equal(sum(counts), stats.shapes[i]));
+        assert.equal(stats.rotations[SHAPE_LIBRARY.indexOf(RAW_SHAPES.P1)].length, 2);
+        assert.equal(stats.fallbacks, 0);
+        assert.equal(stats.unplaceableSets, 0);
+    });
+
+    it('counts fallbacks and sets that cannot be placed', () => {
+        const boardManager = createBoardManager();
+        boardManager.board = boardManager.board.map(row => row.map(() => 1));
+        const generator = new PieceGenerator(SHAPE_LIBRARY, boardManager, () => 0.5);
+        generator.generatePieces(3, boardManager.board);
+
+        assert.equal(generator.stats.fallbacks, 3);
+        assert.equal(generator.stats.attempts, 3 * (LINE_CLEAR_ATTEMPTS + MAX_GENERATION_ATTEMPTS + 1));
+        assert.equal(generator.stats.unplaceableSets, 1);
+        assert.equal(generator.stats.ultimateFallbacks, 0);
+    });
+
+    it('checks whether a whole set can be placed in some order', () => {
+        // Free: three cells at the start of the top row and single cells that keep every other line open
+        const boardManager = createBoardManager();
+        const free = [[0, 1, 2], [3], [4], [5], [6], [7], [0, 2], [1]];
+        boardManager.board = boardManager.board.map((row, r) => row.map((cell, c) => (free[r].includes(c) ? 0 : 1)));
+        assert.equal(canPlaceAll(boardManager, [{ matrix: RAW_SHAPES.P3 }, null, { matrix: RAW_SHAPES.P4 }]), true);
+        assert.equal(canPlaceAll(boardManager, [{ matrix: RAW_SHAPES.P3 }, { matrix: RAW_SHAPES.P3 }]), false);
+        assert.equal(canPlaceAll(boardManager, []), true);
+
+        // Lines cleared by one piece make room for the next
+        const clearing = createBoardManager();
+        clearing.board = clearing.board.map((row, r) => row.map((cell, c) => ((r === 7 ? c < 4 : c === 4 + r % 4) ? 0 : 1)));
+        const bar = { matrix: [[1, 1, 1, 1]] };
+        assert.equal(canPlaceAll(clearing, [bar, bar]), true);
+        assert.equal(clearing.board[7][0], 0, 'search leaves the board alone');
+    });
+
+    it('gives up on sets too costly to check', () => {
+        // Single blocks on a 12x12 board leave no 3x3 room, but many ways to place the small pieces
+        const boardManager = new BoardManager(12);
+        boardManager.createEmptyBoard();
+        boardManager.board = boardManager.board.map((row, r) => row.map((cell, c) => (r % 3 === 2 && c % 3 === 2 ? 1 : 0)));
+        const pieces = [RAW_SHAPES.P4, RAW_SHAPES.P4, RAW_SHAPES.P3, RAW_SHAPES.P4, RAW_SHAPES.P10].map(matrix => ({ matrix }));
+        assert.equal(canPlaceAll(boardManager, pieces), null);
+        assert.equal(canPlaceAll(boardManager, pieces.slice(0, 4)), true);
+        assert.equal(canPlaceAll(boardManager, [{ matrix: RAW_SHAPES.P10 }]), false);
+
+        // A hard deal for that board (seed "b" once blocked the server for 20s) is counted as unknown
+        const rng = new SeededRandom('b');
+        const generator = new PieceGenerator(SHAPE_LIBRARY, boardManager, () => rng.next(), { difficulty: 'hard' });
+        generator.generatePieces(5, boardManager.board);
+        assert.equal(generator.stats.unknownSets, 1);
+        assert.equal(generator.stats.unplaceableSets, 0);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for the safe file write helpers (lib/safe-file.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { WriteQueue, writeFileAtomic, writeFileAtomicSync, removeStaleTempFile, corruptFileError } = require('../lib/safe-file');
+const { withTempDir } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WriteQueue', () => {
+    it('runs writes one at a time in queue order', async () => {
+        const queue = new WriteQueue();
+        const events = [];
+        const write = (name, ms) => queue.run(async () => {
+            events.push(`start ${name}`);
+            await delay(ms);
+            events.push(`end ${name}`);
+            return name;
+        });
+        assert.deepEqual(await Promise.all([write('a', 20), write('b', 0), write('c', 5)]), ['a', 'b', 'c']);
+        assert.deepEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+    });
+
+    it('keeps going after a failed write', async () => {
+        const queue = new WriteQueue();
+        const failed = queue.run(async () => { throw new Error('disk full'); });
+        const next = queue.run(async () => 'written');
+        await assert.rejects(failed, /disk full/);
+        assert.equal(await next, 'written');
+        await queue.flush();
+    });
+});
+
+describe('writeFileAtomic', () => {
+    it('replaces the file and keeps the previous one as backup', () => withTempDir(async dir => {
+        const file = path.join(dir, 'data.json');
+        await writeFileAtomic(file, 'first', { backup: true });
+        assert.equal(fs.existsSync(`${file}.bak`), false);
+        await writeFileAtomic(file, 'second', { backup: true });
+        await writeFileAtomic(file, 'third');
+
+        assert.equal(fs.readFileSync(file, 'utf8'), 'third');
+        assert.equal(fs.readFileSync(`${file}.bak`, 'utf8'), 'first');
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['data.json', 'data.json.bak']);
+    }));
+
+    it('has a synchronous version', () => withTempDir(async dir => {
+        const file = path.join(dir, 'data.json');
+        fs.writeFileSync(file, 'old');
+        writeFileAtomicSync(file, 'new', { backup: true });
+        assert.equal(fs.readFileSync(file, 'utf8'), 'new');
+        assert.equal(fs.readFileSync(`${file}.bak`, 'utf8'), 'old');
+
+        fs.writeFileSync(`${file}.tmp`, 'interrupted');
+        removeStaleTempFile(file);
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['data.json', 'data.json.bak']);
+    }));
+});
+
+describe('corruptFileError', () => {
+    it('names the file and its backup', () => {
+        const error = corruptFileError('/data/scores.jsonl', 'line 3 is not a score entry');
+        assert.equal(error.code, 'ECORRUPT');
+        assert.equal(error.file, '/data/scores.jsonl');
+        assert.match(error.message, /scores\.jsonl is corrupt \(line 3 is not a score entry\).*scores\.jsonl\.bak/);
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for the append-only score store (lib/score-store.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { getPeriodStart, importLegacyRanks, ScoreStore } = require('../lib/score-store');
+const { withTempDir } = require('./helpers');
+
+const entry = (name, score, date, fields = {}) => ({ name, score, date, mode: 'classic', variant: '8x8-3', shapePack: 'classic', ...fields });
+
+describe('getPeriodStart', () => {
+    it('starts weeks on Monday and months on the 1st (UTC)', () => {
+        const wednesday = new Date('2026-10-14T15:30:00Z');
+        assert.equal(getPeriodStart('all', wednesday), null);
+        assert.equal(getPeriodStart('week', wednesday).toISOString(), '2026-10-12T00:00:00.000Z');
+        assert.equal(getPeriodStart('month', wednesday).toISOString(), '2026-10-01T00:00:00.000Z');
+
+        const sunday = new Date('2026-11-01T23:59:00Z');
+        assert.equal(getPeriodStart('week', sunday).toISOString(), '2026-10-26T00:00:00.000Z');
+        assert.throws(() => getPeriodStart('year', sunday), /Unknown period/);
+    });
+});
+
+describe('importLegacyRanks', () => {
+    it('turns the old top 10 files into entries of their boards', () => {
+        const entries = importLegacyRanks({
+            topRank: [{ name: 'TOP', score: 50, date: '2025-03-01T00:00:00.000Z' }],
+            variantRanks: {
+                '10x10-4': [{ name: 'BIG', score: 70, date: '2025-01-01T00:00:00.000Z' }],
+                '8x8-3:pentomino': [{ name: 'PEN', score: 30, date: '2025-02-01T00:00:00.000Z' }]
+            },
+            dailyRanks: { '2025-04-01': [{ name: 'DAY', score: 20, date: '2025-04-01T10:00:00.000Z' }, null] }
+        });
+        assert.deepEqual(entries.map(e => [e.name, e.mode, e.variant, e.shapePack, e.dailyDate]), [
+            ['BIG', 'classic', '10x10-4', 'classic', undefined],
+            ['PEN', 'classic', '8x8-3', 'pentomino', undefined],
+            ['TOP', 'classic', '8x8-3', 'classic', undefined],
+            ['DAY', 'daily', '8x8-3', 'classic', '2025-04-01']
+        ]);
+    });
+
+    it('reads the single-entry top-rank.json of old versions', () => {
+        const entries = importLegacyRanks({ topRank: { name: 'ONE', score: 5, date: '2024-01-01T00:00:00.000Z' } });
+        assert.deepEqual(entries.map(e => e.name), ['ONE']);
+    });
+});
+
+describe('ScoreStore', () => {
+    it('appends scores and reads them back', () => withTempDir(async dir => {
+        const file = path.join(dir, 'scores.jsonl');
+        const store = new ScoreStore(file);
+        assert.equal(store.load(), 0);
+        assert.equal(fs.existsSync(file), false);
+
+        await Promise.all([
+            store.add(entry('A', 10, '2026-10-01T00:00:00.000Z')),
+            store.add(entry('B', 20, '2026-10-02T00:00:00.000Z')),
+            store.add(entry('C', 10, '2026-09-30T00:00:00.000Z'))
+        ]);
+        assert.deepEqual(fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).name), ['A', 'B', 'C']);
+
+        const reloaded = new ScoreStore(file);
+        assert.equal(reloaded.load(), 3);
+        // Ties go to the earlier score
+        assert.deepEqual(reloaded.query({}).map(e => e.name), ['B', 'C', 'A']);
+    }));
+
+    it('writes parallel appends one at a time, in order', () => withTempDir(async dir => {
+        const file = path.join(dir, 'scores.jsonl');
+        const store = new ScoreStore(file);
+        store.load();
+        const names = Array.from({ length: 50 }, (_, i) => `P${i}`);
+        await Promise.all(names.map((name, i) => store.add(entry(name, i, '2026-10-01T00:00:00.000Z'))));
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        assert.equal(lines.pop(), '');
+        assert.deepEqual(lines.map(line => JSON.parse(line).name), names);
+        assert.deepEqual(store.scores.map(e => e.name), names);
+    }));
+
+    it('drops a last line cut off by a crash and keeps the file as found', () => withTempDir(async dir => {
+        const file = path.join(dir, 'scores.jsonl');
+        const complete = `${JSON.stringify(entry('A', 1, '2026-10-01T00:00:00.000Z'))}\n`;
+        fs.writeFileSync(file, `${complete}\n{"name":"cut off`);
+        fs.writeFileSync(`${file}.tmp`, 'leftover');
+
+        const store = new ScoreStore(file);
+        assert.equal(store.load(), 1);
+        assert.equal(fs.readFileSync(file, 'utf8'), complete);
+        assert.equal(fs.readFileSync(`${file}.bak`, 'utf8'), `${complete}\n{"name":"cut off`);
+        assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+        // A complete last entry only missing its newline is kept
+        fs.writeFileSync(file, `${complete}${JSON.stringify(entry('B', 2, '2026-10-02T00:00:00.000Z'))}`);
+        assert.equal(new ScoreStore(file).load(), 2);
+        assert.ok(fs.readFileSync(file, 'utf8').endsWith('}\n'));
+    }));
+
+    it('undoes the part of a failed append that was written', () => withTempDir(async dir => {
+        const file = path.join(dir, 'scores.jsonl');
+        const store = new ScoreStore(file);
+        store.load();
+        await store.add(entry('A', 1, '2026-10-01T00:00:00.000Z'));
+        const before = fs.readFileSync(file, 'utf8');
+
+        const { appendFile, truncate } = fs.promises;
+        // Disk full halfway through the line
+        fs.promises.appendFile = async (target, data) => {
+            await appendFile(target, data.slice(0, 10));
+            throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+        };
+        try {
+            await assert.rejects(store.add(entry('B', 2, '2026-10-02T00:00:00.000Z')), { code: 'ENOSPC' });
+            assert.equal(fs.readFileSync(file, 'utf8'), before);
+            assert.deepEqual(store.scores.map(e => e.name), ['A']);
+
+            // Without the truncate, the next entry would be appended after the cut: stop instead
+            fs.promises.truncate = async () => {
+                throw Object.assign(new Error('i/o error'), { code: 'EIO' });
+            };
+            await assert.rejects(store.add(entry('C', 3, '2026-10-03T00:00:00.000Z')), { code: 'ENOSPC' });
+        } finally {
+            fs.promises.appendFile = appendFile;
+            fs.promises.truncate = truncate;
+        }
+        await assert.rejects(store.add(entry('D', 4, '2026-10-04T00:00:00.000Z')), { code: 'ECORRUPT' });
+        assert.throws(() => store.query({}), { code: 'ECORRUPT' });
+
+        // The next start drops the cut off line
+        const reloaded = new ScoreStore(file);
+        assert.equal(reloaded.load(), 1);
+        assert.equal(fs.readFileSync(file, 'utf8'), before);
+    }));
+
+    it('refuses a log with an unreadable line instead of starting empty', () => withTempDir(async dir => {
+        const file = path.join(dir, 'scores.jsonl');
+        const data = `{"name":"broken\n${JSON.stringify(entry('A', 1, '2026-10-01T00:00:00.000Z'))}\n`;
+        fs.writeFileSync(file, data);
+
+        const store = new ScoreStore(file);
+        assert.throws(() => store.load(), error => error.code === 'ECORRUPT' && /line 1/.test(error.message));
+        assert.throws(() => store.query({}), /corrupt/);
+        await assert.rejects(store.add(entry('B', 2, '2026-10-02T00:00:00.000Z')), /corrupt/);
+        assert.equal(fs.readFileSync(file, 'utf8'), data);
+
+        fs.writeFileSync(file, '{"name":"no score"}\n');
+        assert.throws(() => new ScoreStore(file).load(), { code: 'ECORRUPT' });
+    }));
+
+    it('imports legacy ranks only when there is no log yet', () => withTempDir(async dir => {
+        const file = path.join(dir, 'scores.jsonl');
+        let imported = 0;
+        const importLegacy = () => {
+            imported++;
+            return [entry('OLD', 5, '2024-01-01T00:00:00.000Z')];
+        };
+        assert.equal(new ScoreStore(file).load(importLegacy), 1);
+        assert.equal(new ScoreStore(file).load(importLegacy), 1);
+        assert.equal(imported, 1);
+    }));
+
+    it('computes boards by filter, period and limit', () => withTempDir(async dir => {
+        const store = new ScoreStore(path.join(dir, 'scores.jsonl'));
+        store.load();
+        await store.add(entry('OLD', 100, '2026-01-05T00:00:00.000Z'));
+        await store.add(entry('MONTH', 50, '2026-10-02T00:00:00.000Z'));
+        await store.add(entry('WEEK', 10, '2026-10-13T00:00:00.000Z'));
+        await store.add(entry('BIG', 80, '2026-10-13T00:00:00.000Z', { variant: '10x10-4' }));
+        await store.add(entry('DAY', 90, '2026-10-14T00:00:00.000Z', { mode: 'daily', dailyDate: '2026-10-14' }));
+
+        const now = new Date('2026-10-14T12:00:00Z');
+        const names = (filter, options) => store.query(filter, { now, ...options }).map(e => e.name);
+        const board = { mode: 'classic', variant: '8x8-3', shapePack: 'classic' };
+        assert.deepEqual(names(board), ['OLD', 'MONTH', 'WEEK']);
+        assert.deepEqual(names(board, { period: 'month' }), ['MONTH', 'WEEK']);
+        assert.deepEqual(names(board, { period: 'week' }), ['WEEK']);
+        assert.deepEqual(names(board, { limit: 1 }), ['OLD']);
+        assert.deepEqual(names({ ...board, mode: undefined }, { period: 'week' }), ['DAY', 'WEEK']);
+        assert.deepEqual(names({ mode: 'daily', dailyDate: '2026-10-14' }), ['DAY']);
+    }));
+});
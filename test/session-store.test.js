@@ -0,0 +1,93 @@
+/**
+ * Tests for the game session stores (lib/session-store.js)
+ * The server's own snapshots (serializeSession/hydrateSession) are tested in api.test.js.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { MemorySessionStore, FileSessionStore, createSessionStore } = require('../lib/session-store');
+const { withTempDir } = require('./helpers');
+
+// Live state keeps a non-JSON part, like the server's BoardManager and SeededRandom
+const serialize = ({ live, ...data }) => data;
+const hydrate = data => ({ ...data, live: true });
+const createStore = dir => createSessionStore('file', { dataDir: dir, serialize, hydrate });
+
+describe('MemorySessionStore', () => {
+    it('keeps sessions until they are deleted', async () => {
+        const store = createSessionStore('memory');
+        assert.ok(store instanceof MemorySessionStore);
+        store.set('s1', { score: 1 });
+        assert.equal(store.has('s1'), true);
+        assert.deepEqual([...store], [['s1', { score: 1 }]]);
+        assert.equal(store.delete('s1'), true);
+        assert.equal(store.delete('s1'), false);
+        assert.equal(store.size, 0);
+        await store.flush();
+    });
+
+    it('rejects unknown store types', () => {
+        assert.throws(() => createSessionStore('redis'), /Unknown session store/);
+    });
+});
+
+describe('FileSessionStore', () => {
+    it('saves snapshots and loads them back on the next start', () => withTempDir(async dir => {
+        const store = createStore(dir);
+        assert.ok(store instanceof FileSessionStore);
+        assert.equal(store.size, 0);
+        const gameState = { score: 1, live: true };
+        store.set('s1', gameState);
+        // Saved when the write runs: changes made before then are included
+        gameState.score = 2;
+        store.set('../s2', { score: 3, live: true });
+        await store.flush();
+
+        // Ids can't escape the data directory
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['..%2Fs2.json', 's1.json']);
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 's1.json'), 'utf8')), { score: 2 });
+
+        const restarted = createStore(dir);
+        assert.equal(restarted.size, 2);
+        assert.deepEqual(restarted.get('s1'), { score: 2, live: true });
+        assert.deepEqual(restarted.get('../s2'), { score: 3, live: true });
+    }));
+
+    it('removes leftovers of interrupted writes and skips unreadable snapshots', () => withTempDir(async dir => {
+        fs.writeFileSync(path.join(dir, 's1.json'), JSON.stringify({ score: 1 }));
+        fs.writeFileSync(path.join(dir, 's1.json.tmp'), '{"score": 2, "cut');
+        fs.writeFileSync(path.join(dir, 's2.json'), '{"score"');
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a session');
+
+        const { error } = console;
+        console.error = () => {};
+        let store;
+        try {
+            store = createStore(dir);
+        } finally {
+            console.error = error;
+        }
+        assert.deepEqual([...store], [['s1', { score: 1, live: true }]]);
+        assert.equal(fs.existsSync(path.join(dir, 's1.json.tmp')), false);
+        assert.equal(fs.existsSync(path.join(dir, 'notes.txt')), true);
+    }));
+
+    it('deletes snapshots, after the writes queued before', () => withTempDir(async dir => {
+        const store = createStore(dir);
+        store.set('s1', { score: 1 });
+        store.set('s2', { score: 2 });
+        assert.equal(store.delete('s1'), true);
+        assert.equal(store.delete('missing'), false);
+        assert.equal(store.get('s1'), undefined);
+        await store.flush();
+        assert.deepEqual(fs.readdirSync(dir), ['s2.json']);
+
+        // Deleting again (or a session never saved) is not an error
+        assert.equal(store.delete('s1'), false);
+        await store.flush();
+        assert.deepEqual([...createStore(dir)].map(([id]) => id), ['s2']);
+    }));
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for shape pack loading and validation (lib/shape-packs.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SHAPE_LIBRARY, COLORS, BoardManager } = require('../js/rules');
+const { validateMatrix, parseShapePack, loadShapePacks, createPieceGenerator, describeShapePack } = require('../lib/shape-packs');
+
+describe('validateMatrix', () => {
+    it('accepts rectangular 0/1 matrices', () => {
+        assert.equal(validateMatrix([[1]]), null);
+        assert.equal(validateMatrix([[0, 1, 0], [1, 1, 1]]), null);
+    });
+
+    it('reports what is wrong with a matrix', () => {
+        assert.match(validateMatrix([]), /non-empty/);
+        assert.match(validateMatrix([[1, 1], [1]]), /rectangular/);
+        assert.match(validateMatrix([[1, 2]]), /0 or 1/);
+        assert.match(validateMatrix([[1, 1], [0, 0]]), /empty row/);
+        assert.match(validateMatrix([[1, 0], [1, 0]]), /empty column/);
+        assert.match(validateMatrix([Array(13).fill(1)]), /larger than the largest board/);
+    });
+});
+
+describe('parseShapePack', () => {
+    it('fills in defaults and the largest piece size', () => {
+        const pack = parseShapePack('lines', {
+            shapes: [{ matrix: [[1, 1, 1, 1, 1]], weight: 2, color: COLORS[0] }, { matrix: [[1], [1]] }]
+        });
+        assert.equal(pack.name, 'lines');
+        assert.equal(pack.description, '');
+        assert.equal(pack.maxSize, 5);
+        assert.deepEqual(pack.shapes[1], { matrix: [[1], [1]], weight: null, color: null });
+    });
+
+    it('rejects bad ids, shapes, weights and colors', () => {
+        const shape = { matrix: [[1]] };
+        assert.throws(() => parseShapePack('Bad Id', { shapes: [shape] }), /Invalid shape pack id/);
+        assert.throws(() => parseShapePack('empty', { shapes: [] }), /1-64 shapes/);
+        assert.throws(() => parseShapePack('none', {}), /shapes array/);
+        assert.throws(() => parseShapePack('holes', { shapes: [{ matrix: [[1, 0, 1]] }] }), /Shape 0 .*empty column/);
+        assert.throws(() => parseShapePack('heavy', { shapes: [{ ...shape, weight: 0 }] }), /weight/);
+        assert.throws(() => parseShapePack('paint', { shapes: [{ ...shape, color: 'red' }] }), /color/);
+    });
+});
+
+describe('loadShapePacks', () => {
+    it('loads valid packs next to the classic pack and skips the rest', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brik-brik-shapes-'));
+        fs.writeFileSync(path.join(dir, 'dominoes.json'), JSON.stringify({ name: 'Dominoes', shapes: [{ matrix: [[1, 1]] }] }));
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+        fs.writeFileSync(path.join(dir, 'classic.json'), JSON.stringify({ shapes: [{ matrix: [[1]] }] }));
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+        const originalError = console.error;
+        const logged = [];
+        console.error = message => logged.push(message);
+        let packs;
+        try {
+            packs = loadShapePacks(dir);
+        } finally {
+            console.error = originalError;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        assert.deepEqual([...packs.keys()], ['classic', 'dominoes']);
+        assert.equal(packs.get('classic').shapes.length, SHAPE_LIBRARY.length);
+        assert.equal(packs.get('dominoes').name, 'Dominoes');
+        assert.equal(logged.length, 2);
+    });
+
+    it('returns only the classic pack when the directory is missing', () => {
+        const packs = loadShapePacks(path.join(os.tmpdir(), 'brik-brik-no-such-dir'));
+        assert.deepEqual([...packs.keys()], ['classic']);
+    });
+
+    it('accepts the packs shipped in shapes/', () => {
+        const packs = loadShapePacks(path.join(__dirname, '..', 'shapes'));
+        assert.ok(packs.has('pentomino'));
+        assert.ok(packs.has('no-3x3'));
+        assert.ok(packs.get('pentomino').shapes.every(shape => shape.matrix.flat().filter(Boolean).length === 5));
+    });
+});
+
+describe('createPieceGenerator', () => {
+    it('deals from the pack with its weights and colors', () => {
+        const pack = parseShapePack('bars', { shapes: [{ matrix: [[1, 1]], weight: 3, color: COLORS[1] }] });
+        const boardManager = new BoardManager(8);
+        boardManager.createEmptyBoard();
+        const generator = createPieceGenerator(pack, boardManager, () => 0.5);
+        assert.deepEqual(generator.weights, [3]);
+        generator.generatePieces(3, boardManager.board).forEach(piece => {
+            assert.equal(piece.color, COLORS[1]);
+            assert.equal(piece.matrix.flat().length, 2);
+        });
+        assert.equal(describeShapePack(pack).shapeCount, 1);
+    });
+});
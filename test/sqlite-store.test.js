@@ -0,0 +1,166 @@
+/**
+ * Tests for the SQLite storage backend (lib/sqlite-store.js)
+ * Skipped where the optional better-sqlite3 package isn't installed.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { MIGRATIONS, createSqliteStores } = require('../lib/sqlite-store');
+const { withTempDir } = require('./helpers');
+
+let hasSqlite = true;
+try {
+    require.resolve('better-sqlite3');
+} catch (e) {
+    hasSqlite = false;
+}
+const skip = !hasSqlite && 'better-sqlite3 is not installed';
+
+const entry = (name, score, date, fields = {}) => ({ name, score, date, mode: 'classic', variant: '8x8-3', shapePack: 'classic', ...fields });
+const game = (sessionId, score, fields = {}) => ({ sessionId, gameId: `g-${sessionId}`, date: '2026-10-01T00:00:00.000Z', mode: 'classic', variant: '8x8-3', shapePack: 'classic', difficulty: 'easy', score, linesCleared: 0, bestCombo: 0, ...fields });
+
+describe('createSqliteStores', { skip }, () => {
+    it('creates the schema and keeps its version', () => withTempDir(async dir => {
+        const file = path.join(dir, 'brik-brik.db');
+        let imports = 0;
+        const importExisting = () => {
+            imports++;
+            return { scores: [entry('OLD', 7, '2025-01-01T00:00:00.000Z')] };
+        };
+
+        const first = createSqliteStores(file, { importExisting });
+        assert.equal(first.db.pragma('user_version', { simple: true }), MIGRATIONS.length);
+        assert.deepEqual(first.imported, { scores: 1, players: 0, replays: 0 });
+        first.db.close();
+
+        // Reopening migrates nothing and imports nothing
+        const second = createSqliteStores(file, { importExisting });
+        assert.equal(second.imported, null);
+        assert.equal(second.scoreStore.size, 1);
+        assert.equal(imports, 1);
+        second.db.close();
+    }));
+
+    it('leaves no database behind when the import fails', () => withTempDir(async dir => {
+        const file = path.join(dir, 'brik-brik.db');
+        assert.throws(() => createSqliteStores(file, { importExisting: () => { throw new Error('players.json is corrupt'); } }), /corrupt/);
+
+        const { db, imported, scoreStore } = createSqliteStores(file, { importExisting: () => ({ scores: [entry('A', 1, '2026-01-01T00:00:00.000Z')] }) });
+        assert.deepEqual(imported, { scores: 1, players: 0, replays: 0 });
+        assert.equal(scoreStore.size, 1);
+        db.close();
+    }));
+
+    it('applies migrations added after the database was created', () => withTempDir(async dir => {
+        const file = path.join(dir, 'brik-brik.db');
+        const old = createSqliteStores(file);
+        await old.scoreStore.add(entry('OLD', 7, '2025-01-01T00:00:00.000Z'));
+        old.db.close();
+
+        // A later server with one more migration
+        MIGRATIONS.push('CREATE INDEX scores_name ON scores (name);');
+        try {
+            const { db, scoreStore } = createSqliteStores(file, { importExisting: () => { throw new Error('not a new database'); } });
+            assert.equal(db.pragma('user_version', { simple: true }), MIGRATIONS.length);
+            assert.ok(db.prepare("SELECT name FROM sqlite_master WHERE name = 'scores_name'").get());
+            assert.deepEqual(scoreStore.query({}), [entry('OLD', 7, '2025-01-01T00:00:00.000Z')]);
+            db.close();
+        } finally {
+            MIGRATIONS.pop();
+        }
+    }));
+
+    it('refuses a database from a newer server', () => withTempDir(async dir => {
+        const file = path.join(dir, 'brik-brik.db');
+        const { db } = createSqliteStores(file);
+        db.pragma(`user_version = ${MIGRATIONS.length + 1}`);
+        db.close();
+        assert.throws(() => createSqliteStores(file), /newer than this server/);
+    }));
+
+    it('imports scores, players and replays', () => {
+        const players = new Map([['player-0001', { name: 'Ada', createdAt: '2025-05-01T00:00:00.000Z', games: [game('s1', 12, { linesCleared: 3, bestCombo: 2 })] }]]);
+        const { db, scoreStore, playerStore, replayStore } = createSqliteStores(':memory:', {
+            importExisting: () => ({
+                scores: [entry('TOP', 50, '2025-03-01T00:00:00.000Z')],
+                players: players,
+                replays: [{ replayId: 'g1', replay: { gameId: 'g1', moves: [] } }]
+            })
+        });
+        assert.deepEqual(scoreStore.query({}), [entry('TOP', 50, '2025-03-01T00:00:00.000Z')]);
+        const profile = playerStore.getProfile('player-0001');
+        assert.equal(profile.name, 'Ada');
+        assert.equal(profile.createdAt, '2025-05-01T00:00:00.000Z');
+        assert.deepEqual(profile.stats, { gamesPlayed: 1, personalBest: 12, averageScore: 12, totalLinesCleared: 3, bestCombo: 2 });
+        return replayStore.load('g1').then(replay => {
+            assert.deepEqual(replay, { gameId: 'g1', moves: [] });
+            db.close();
+        });
+    });
+});
+
+describe('SqliteScoreStore', { skip }, () => {
+    it('computes boards by filter, period and limit like ScoreStore', async () => {
+        const { db, scoreStore } = createSqliteStores(':memory:');
+        await scoreStore.add(entry('OLD', 100, '2026-01-05T00:00:00.000Z', { difficulty: 'hard', replayId: 'r1', usedUndo: true, usedHint: false, seeded: true }));
+        await scoreStore.add(entry('MONTH', 50, '2026-10-02T00:00:00.000Z'));
+        await scoreStore.add(entry('WEEK', 10, '2026-10-13T00:00:00.000Z'));
+        await scoreStore.add(entry('TIE', 10, '2026-10-13T00:00:00.000Z'));
+        await scoreStore.add(entry('BIG', 80, '2026-10-13T00:00:00.000Z', { variant: '10x10-4' }));
+        await scoreStore.add(entry('DAY', 90, '2026-10-14T00:00:00.000Z', { mode: 'daily', dailyDate: '2026-10-14' }));
+
+        const now = new Date('2026-10-14T12:00:00Z');
+        const names = (filter, options) => scoreStore.query(filter, { now, ...options }).map(e => e.name);
+        const board = { mode: 'classic', variant: '8x8-3', shapePack: 'classic' };
+        assert.deepEqual(names(board), ['OLD', 'MONTH', 'WEEK', 'TIE']);
+        assert.deepEqual(names(board, { period: 'month' }), ['MONTH', 'WEEK', 'TIE']);
+        assert.deepEqual(names(board, { period: 'week' }), ['WEEK', 'TIE']);
+        assert.deepEqual(names(board, { limit: 1 }), ['OLD']);
+        assert.deepEqual(names({ ...board, mode: undefined }, { period: 'week' }), ['DAY', 'WEEK', 'TIE']);
+        assert.deepEqual(names({ mode: 'daily', dailyDate: '2026-10-14' }), ['DAY']);
+        assert.throws(() => scoreStore.query({ name: 'OLD' }), /Cannot filter scores by name/);
+
+        // Entries read back as they were stored
+        assert.deepEqual(scoreStore.query(board, { limit: 1 })[0],
+            entry('OLD', 100, '2026-01-05T00:00:00.000Z', { difficulty: 'hard', replayId: 'r1', usedUndo: true, usedHint: false, seeded: true }));
+        assert.deepEqual(scoreStore.query({ mode: 'daily' })[0], entry('DAY', 90, '2026-10-14T00:00:00.000Z', { mode: 'daily', dailyDate: '2026-10-14' }));
+        db.close();
+    });
+});
+
+describe('SqlitePlayerStore', { skip }, () => {
+    it('records games and computes stats like PlayerStore', async () => {
+        const { db, playerStore } = createSqliteStores(':memory:');
+        assert.equal(playerStore.getProfile('player-0001'), null);
+
+        await playerStore.recordGame('player-0001', '  Ada  ', game('s1', 10, { linesCleared: 2, bestCombo: 1 }));
+        await playerStore.recordGame('player-0001', '', game('s2', 25, { date: '2026-10-02T00:00:00.000Z', linesCleared: 5, bestCombo: 3 }));
+        // Recorded again after an undo: replaces the first result
+        const profile = await playerStore.recordGame('player-0001', null, game('s1', 4, { date: '2026-10-03T00:00:00.000Z', mode: 'daily', dailyDate: '2026-10-03' }));
+
+        assert.equal(profile.name, 'Ada');
+        assert.equal(profile.createdAt, '2026-10-01T00:00:00.000Z');
+        assert.deepEqual(profile.stats, { gamesPlayed: 2, personalBest: 25, averageScore: 15, totalLinesCleared: 5, bestCombo: 3 });
+        assert.deepEqual(profile.recentGames.map(g => g.gameId), ['g-s1', 'g-s2']);
+        assert.ok(profile.recentGames.every(g => !('sessionId' in g)));
+        assert.equal(profile.recentGames[0].dailyDate, '2026-10-03');
+        assert.equal(playerStore.size, 1);
+        db.close();
+    });
+
+    it('lists only the 20 most recent games', async () => {
+        const { db, playerStore } = createSqliteStores(':memory:');
+        for (let i = 0; i < 25; i++) {
+            await playerStore.recordGame('player-0001', null, game(`s${i}`, i, { date: new Date(Date.UTC(2026, 0, i + 1)).toISOString() }));
+        }
+        const profile = playerStore.getProfile('player-0001');
+        assert.equal(profile.name, null);
+        assert.equal(profile.stats.gamesPlayed, 25);
+        assert.equal(profile.recentGames.length, 20);
+        assert.equal(profile.recentGames[0].gameId, 'g-s24');
+        db.close();
+    });
+});
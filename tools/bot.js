@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+/**
+ * BOT BENCHMARK
+ * Plays complete games against the shared rules engine (no HTTP, no browser) and reports
+ * score, game length and line-clear statistics - e.g. to measure how PieceGenerator
+ * changes affect difficulty.
+ *
+ * Usage: node tools/bot.js [options]
+ *   --games <n>          Games to play (default 100)
+ *   --strategy <name>    random, greedy or lookahead (default greedy, see tools/strategies.js)
+ *   --seed <prefix>      Game i is dealt from seed "<prefix>-<i>" (default "bot"), the same
+ *                        pieces the server deals for that seed
+ *   --board-size <n>     Board size of the variant (default 8)
+ *   --pieces <n>         Pieces per round (default 3)
+ *   --shape-pack <id>    Shape pack from shapes/ (default classic)
+ *   --difficulty <name>  easy, normal or hard (default easy)
+ *   --max-moves <n>      Stop a game after this many placements (default 10000)
+ *   --json               Print the summary as JSON
+ */
+
+const path = require('path');
+
+const {
+    DEFAULT_VARIANT,
+    DEFAULT_SHAPE_PACK,
+    DEFAULT_DIFFICULTY,
+    DIFFICULTIES,
+    isValidDifficulty,
+    isValidVariant,
+    getVariantId,
+    shuffle,
+    SeededRandom,
+    BoardManager,
+    hasValidMove,
+    applyPlacement,
+    getColorId
+} = require('../js/rules');
+const { loadShapePacks, createPieceGenerator } = require('../lib/shape-packs');
+const { STRATEGIES } = require('./strategies');
+
+const DEFAULT_OPTIONS = Object.freeze({
+    games: 100,
+    strategy: 'greedy',
+    seed: 'bot',
+    boardSize: DEFAULT_VARIANT.boardSize,
+    piecesPerRound: DEFAULT_VARIANT.piecesPerRound,
+    shapePack: DEFAULT_SHAPE_PACK,
+    difficulty: DEFAULT_DIFFICULTY,
+    maxMoves: 10000,
+    json: false
+});
+
+const SHAPES_DIR = process.env.SHAPES_DIR || path.join(__dirname, '..', 'shapes');
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - Options (see DEFAULT_OPTIONS)
+ * @throws {Error} - On unknown or invalid options
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+    const integerOptions = { '--games': 'games', '--board-size': 'boardSize', '--pieces': 'piecesPerRound', '--max-moves': 'maxMoves' };
+    const stringOptions = { '--strategy': 'strategy', '--seed': 'seed', '--shape-pack': 'shapePack', '--difficulty': 'difficulty' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg in integerOptions || arg in stringOptions) {
+            const value = argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            if (arg in integerOptions) {
+                const number = Number(value);
+                if (!Number.isInteger(number) || number < 1) {
+                    throw new Error(`${arg} must be a positive integer`);
+                }
+                options[integerOptions[arg]] = number;
+            } else {
+                options[stringOptions[arg]] = value;
+            }
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    if (!STRATEGIES[options.strategy]) {
+        throw new Error(`Unknown strategy ${options.strategy} - must be one of: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+    if (!isValidDifficulty(options.difficulty)) {
+        throw new Error(`Invalid difficulty ${options.difficulty} - must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+    if (!isValidVariant({ boardSize: options.boardSize, piecesPerRound: options.piecesPerRound })) {
+        throw new Error(`Invalid variant ${options.boardSize}x${options.boardSize} with ${options.piecesPerRound} pieces`);
+    }
+    return options;
+}
+
+/**
+ * Play one game to the end
+ * Deals exactly like the server: pieces from the seeded generator, shuffled with the same random source.
+ * @param {Object} options
+ * @param {string} options.seed - Game seed
+ * @param {string} options.strategy - Strategy name (see STRATEGIES)
+ * @param {Object} options.variant - {boardSize, piecesPerRound}
+ * @param {Object} options.pack - Shape pack (see lib/shape-packs.js)
+ * @param {string} options.difficulty - One of DIFFICULTIES
+ * @param {number} options.maxMoves - Stop after this many placements
+ * @returns {Object} - {seed, score, moves, rounds, lineClears, hitMoveLimit, generationStats}; lineClears[n] counts
+ *   placements clearing n lines, generationStats is the generator's PieceGenerator.stats
+ */
+function playGame({ seed, strategy, variant, pack, difficulty, maxMoves }) {
+    const rng = new SeededRandom(seed);
+    const random = () => rng.next();
+    // The strategy gets its own random source so it can't change the pieces dealt
+    const botRng = new SeededRandom(`${seed}-bot`);
+    const botRandom = () => botRng.next();
+    const pickMove = STRATEGIES[strategy];
+
+    const boardManager = new BoardManager(variant.boardSize);
+    boardManager.createEmptyBoard();
+    const pieceGenerator = createPieceGenerator(pack, boardManager, random, difficulty);
+    const deal = () => shuffle(pieceGenerator.generatePieces(variant.piecesPerRound, boardManager.board), random);
+
+    let pieces = deal();
+    let score = 0;
+    let comboCount = 0;
+    let moves = 0;
+    let rounds = 1;
+    const lineClears = [];
+
+    while (moves < maxMoves) {
+        if (pieces.every(piece => piece === null)) {
+            pieces = deal();
+            rounds++;
+            if (!hasValidMove(boardManager, pieces)) break;
+        }
+
+        const move = pickMove({ boardManager, pieces, comboCount, random: botRandom });
+        if (!move) break;
+
+        const piece = pieces[move.pieceIndex];
+        const placement = piece && applyPlacement(boardManager, piece.matrix, move.r, move.c, comboCount, getColorId(piece.color));
+        if (!placement) {
+            throw new Error(`Strategy ${strategy} made an illegal move: ${JSON.stringify(move)}`);
+        }
+        score += placement.scoreDelta;
+        comboCount = placement.comboCount;
+        moves++;
+        pieces[move.pieceIndex] = null;
+
+        const lineCount = placement.lineData.rows.length + placement.lineData.cols.length;
+        lineClears[lineCount] = (lineClears[lineCount] || 0) + 1;
+
+        const activePieces = pieces.filter(p => p !== null);
+        if (activePieces.length > 0 && !hasValidMove(boardManager, activePieces)) break;
+    }
+
+    return {
+        seed: seed,
+        score: score,
+        moves: moves,
+        rounds: rounds,
+        lineClears: Array.from(lineClears, count => count || 0),
+        hitMoveLimit: moves >= maxMoves,
+        generationStats: pieceGenerator.stats
+    };
+}
+
+/**
+ * Summarize finished games
+ * @param {Array} results - playGame results
+ * @returns {Object} - {games, score: {mean, median, min, max}, meanMoves, meanRounds, lineClears, hitMoveLimit}
+ */
+function summarize(results) {
+    const scores = results.map(result => result.score).sort((a, b) => a - b);
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const middle = Math.floor(scores.length / 2);
+    const lineClears = [];
+    results.forEach(result => result.lineClears.forEach((count, lines) => {
+        lineClears[lines] = (lineClears[lines] || 0) + count;
+    }));
+
+    return {
+        games: results.length,
+        score: {
+            mean: mean(scores),
+            median: scores.length % 2 === 1 ? scores[middle] : (scores[middle - 1] + scores[middle]) / 2,
+            min: scores[0],
+            max: scores[scores.length - 1]
+        },
+        meanMoves: mean(results.map(result => result.moves)),
+        meanRounds: mean(results.map(result => result.rounds)),
+        lineClears: Array.from(lineClears, count => count || 0),
+        hitMoveLimit: results.filter(result => result.hitMoveLimit).length
+    };
+}
+
+/**
+ * Play a batch of games
+ * @param {Object} options - Parsed options (see parseArgs)
+ * @returns {Array} - playGame results, game i dealt from seed "<seed>-<i>"
+ * @throws {Error} - If the shape pack is unknown or too large for the board
+ */
+function playGames(options) {
+    const pack = loadShapePacks(SHAPES_DIR).get(options.shapePack);
+    if (!pack) {
+        throw new Error(`Unknown shape pack ${options.shapePack}`);
+    }
+    const variant = { boardSize: options.boardSize, piecesPerRound: options.piecesPerRound };
+    if (pack.maxSize > variant.boardSize) {
+        throw new Error(`Shape pack ${pack.id} does not fit a ${variant.boardSize}x${variant.boardSize} board`);
+    }
+
+    const results = [];
+    for (let i = 0; i < options.games; i++) {
+        results.push(playGame({
+            seed: `${options.seed}-${i}`,
+            strategy: options.strategy,
+            variant: variant,
+            pack: pack,
+            difficulty: options.difficulty,
+            maxMoves: options.maxMoves
+        }));
+    }
+    return results;
+}
+
+/**
+ * Play a batch of games and summarize them
+ * @param {Object} options - Parsed options (see parseArgs)
+ * @returns {Object} - summarize() result plus the options used
+ */
+function runBenchmark(options) {
+    const results = playGames(options);
+    return {
+        strategy: options.strategy,
+        variant: getVariantId({ boardSize: options.boardSize, piecesPerRound: options.piecesPerRound }),
+        shapePack: options.shapePack,
+        difficulty: options.difficulty,
+        seed: options.seed,
+        ...summarize(results)
+    };
+}
+
+/**
+ * Format a benchmark summary for the terminal
+ * @param {Object} summary - runBenchmark result
+ * @returns {string}
+ */
+function formatReport(summary) {
+    const round = value => Math.round(value * 10) / 10;
+    const placements = summary.lineClears.reduce((sum, count) => sum + count, 0);
+    const lines = [
+        `${summary.games} games · ${summary.strategy} · ${summary.variant} · ${summary.shapePack} · ${summary.difficulty} (seeds ${summary.seed}-0..${summary.seed}-${summary.games - 1})`,
+        `Score:  mean ${round(summary.score.mean)}  median ${summary.score.median}  min ${summary.score.min}  max ${summary.score.max}`,
+        `Length: ${round(summary.meanMoves)} placements, ${round(summary.meanRounds)} rounds per game`,
+        'Line clears per placement:'
+    ];
+    summary.lineClears.forEach((count, lineCount) => {
+        const share = placements > 0 ? count / placements : 0;
+        const bar = '#'.repeat(Math.round(share * 40));
+        lines.push(`  ${String(lineCount).padStart(2)} ${lineCount === 1 ? 'line ' : 'lines'} ${String(count).padStart(8)}  ${(share * 100).toFixed(1).padStart(5)}%  ${bar}`);
+    });
+    if (summary.hitMoveLimit > 0) {
+        lines.push(`${summary.hitMoveLimit} game(s) stopped at the move limit`);
+    }
+    return lines.join('\n');
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const summary = runBenchmark(options);
+        console.log(options.json ? JSON.stringify(summary, null, 2) : formatReport(summary));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    parseArgs,
+    playGame,
+    playGames,
+    summarize,
+    runBenchmark,
+    formatReport
+};
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * PIECE GENERATION FAIRNESS REPORT
+ * Aggregates PieceGenerator.stats over many games: attempts per piece, fallbacks to pieces
+ * that don't fit, dealt sets that can't all be placed, and how often each shape is drawn
+ * compared to its weight.
+ *
+ * Usage: node tools/fairness.js [options]
+ *   Simulated games: the options of tools/bot.js (--games, --strategy, --seed, --board-size,
+ *   --pieces, --shape-pack, --difficulty, --max-moves, --json)
+ *   --replays <dir>      Report on saved replays of real games instead (e.g. <DATA_DIR>/replays),
+ *                        grouped by shape pack and difficulty
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_SHAPE_PACK, DEFAULT_DIFFICULTY } = require('../js/rules');
+const { loadShapePacks } = require('../lib/shape-packs');
+const { buildGenerationReport, buildGenerationReports } = require('../lib/generation-stats');
+const { parseArgs, playGames } = require('./bot');
+
+const SHAPES_DIR = process.env.SHAPES_DIR || path.join(__dirname, '..', 'shapes');
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - tools/bot.js options plus replays (directory or null)
+ * @throws {Error} - On unknown or invalid options
+ */
+function parseFairnessArgs(argv) {
+    const index = argv.indexOf('--replays');
+    if (index === -1) {
+        return { ...parseArgs(argv), replays: null };
+    }
+    const replays = argv[index + 1];
+    if (replays === undefined) {
+        throw new Error('Missing value for --replays');
+    }
+    return { ...parseArgs([...argv.slice(0, index), ...argv.slice(index + 2)]), replays: replays };
+}
+
+/**
+ * Report on simulated games
+ * @param {Object} options - Parsed options (see parseFairnessArgs)
+ * @returns {Array} - One buildGenerationReport result
+ */
+function reportSimulatedGames(options) {
+    const pack = loadShapePacks(SHAPES_DIR).get(options.shapePack);
+    const results = playGames(options);
+    return [buildGenerationReport(pack, options.difficulty, results.map(result => result.generationStats))];
+}
+
+/**
+ * Report on saved replays
+ * Replays saved before generation stats existed, or dealt from a pack that is no longer installed, are skipped.
+ * @param {string} dir - Replay directory
+ * @returns {Object} - {reports, skipped}
+ */
+function reportReplays(dir) {
+    const packs = loadShapePacks(SHAPES_DIR);
+    const games = [];
+    let skipped = 0;
+
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+        let replay;
+        try {
+            replay = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (e) {
+            skipped++;
+            continue;
+        }
+        const pack = packs.get(replay.shapePack || DEFAULT_SHAPE_PACK);
+        if (!pack || !replay.generationStats) {
+            skipped++;
+            continue;
+        }
+        games.push({ shapePack: pack, difficulty: replay.difficulty || DEFAULT_DIFFICULTY, stats: replay.generationStats });
+    }
+    return { reports: buildGenerationReports(games), skipped: skipped };
+}
+
+/**
+ * Format a generation report for the terminal
+ * @param {Object} report - buildGenerationReport result
+ * @returns {string}
+ */
+function formatGenerationReport(report) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const { counts, rates } = report;
+    const lines = [
+        `${report.shapePack} · ${report.difficulty} · ${report.games} game(s)`,
+        `Deals:  ${counts.deals}, ${counts.unplaceableSets} not fully placeable (${percent(rates.unplaceableSets)}), ${counts.unknownSets} too costly to check (${percent(rates.unknownSets)})`,
+        `Pieces: ${counts.pieces}, ${rates.attemptsPerPiece.toFixed(2)} shape draws per piece, ${percent(rates.lineClearPieces)} picked to clear a line`,
+        `Fallbacks: ${counts.fallbacks} random (${percent(rates.fallbacks)}), ${counts.ultimateFallbacks} single block (${percent(rates.ultimateFallbacks)})`,
+        '  shape  size   weight  expected    drawn    dealt  rotations dealt'
+    ];
+    report.shapes.forEach(shape => {
+        const size = `${shape.matrix.length}x${shape.matrix[0].length}`;
+        lines.push([
+            `  ${`#${shape.index}`.padStart(5)}`,
+            size.padStart(5),
+            String(shape.weight).padStart(8),
+            percent(shape.expectedShare).padStart(9),
+            percent(shape.drawShare).padStart(8),
+            percent(shape.dealShare).padStart(8),
+            ` ${shape.rotations.join('/')}`
+        ].join(' '));
+    });
+    lines.push(`Largest gap between drawn and expected share: ${(report.maxDrawDeviation * 100).toFixed(2)} points`);
+    return lines.join('\n');
+}
+
+if (require.main === module) {
+    try {
+        const options = parseFairnessArgs(process.argv.slice(2));
+        const { reports, skipped } = options.replays
+            ? reportReplays(options.replays)
+            : { reports: reportSimulatedGames(options), skipped: 0 };
+        if (options.json) {
+            console.log(JSON.stringify({ reports, skipped }, null, 2));
+        } else {
+            console.log(reports.length > 0 ? reports.map(formatGenerationReport).join('\n\n') : 'No games to report on');
+            if (skipped > 0) {
+                console.log(`${skipped} replay(s) skipped (unreadable, saved before generation stats or from an uninstalled shape pack)`);
+            }
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    parseFairnessArgs,
+    reportSimulatedGames,
+    reportReplays,
+    formatGenerationReport
+};
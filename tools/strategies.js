@@ -0,0 +1,81 @@
+/**
+ * BOT STRATEGIES
+ * Move pickers for tools/bot.js. Each strategy gets the current game and returns the
+ * placement to make, or null if no piece fits:
+ *   strategy({ boardManager, pieces, comboCount, random }) -> {pieceIndex, r, c} | null
+ * - boardManager: board of the game (must not be modified)
+ * - pieces: pieces of the round (null for placed ones)
+ * - comboCount: current combo count
+ * - random: the bot's own random source (separate from the game's, so deals stay reproducible)
+ */
+
+const {
+    BASE_POINTS_PER_BLOCK,
+    COMBO_BONUS_PER_LEVEL,
+    calculateLineClearScore,
+    findBestPlacement
+} = require('../js/rules');
+
+/**
+ * Every legal placement of the remaining pieces
+ * @param {BoardManager} boardManager - Board to place on
+ * @param {Array} pieces - Pieces of the round (null for placed ones)
+ * @returns {Array} - [{pieceIndex, r, c}]
+ */
+function getLegalMoves(boardManager, pieces) {
+    const moves = [];
+    pieces.forEach((piece, pieceIndex) => {
+        if (!piece) return;
+        const matrix = piece.matrix;
+        for (let r = 0; r <= boardManager.boardSize - matrix.length; r++) {
+            for (let c = 0; c <= boardManager.boardSize - matrix[0].length; c++) {
+                if (boardManager.canPlaceOnBoard(boardManager.board, matrix, r, c)) {
+                    moves.push({ pieceIndex, r, c });
+                }
+            }
+        }
+    });
+    return moves;
+}
+
+/**
+ * Any legal placement, picked uniformly
+ */
+function random({ boardManager, pieces, random }) {
+    const moves = getLegalMoves(boardManager, pieces);
+    return moves.length > 0 ? moves[Math.floor(random() * moves.length)] : null;
+}
+
+/**
+ * The placement scoring the most points right now (first one found on ties)
+ */
+function greedy({ boardManager, pieces, comboCount }) {
+    let best = null;
+    let bestScore = -1;
+    for (const move of getLegalMoves(boardManager, pieces)) {
+        const matrix = pieces[move.pieceIndex].matrix;
+        const blocks = matrix.flat().filter(cell => cell === 1).length;
+        const lineCount = boardManager.countCompletedLines(boardManager.board, matrix, move.r, move.c);
+        const comboBonus = lineCount > 0 && comboCount > 0 ? COMBO_BONUS_PER_LEVEL * comboCount : 0;
+        const score = blocks * BASE_POINTS_PER_BLOCK + calculateLineClearScore(lineCount) + comboBonus;
+        if (score > bestScore) {
+            best = move;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * The first placement of the best plan for the whole round (same search as the hint endpoint)
+ */
+function lookahead({ boardManager, pieces, comboCount }) {
+    return findBestPlacement(boardManager, pieces, comboCount);
+}
+
+const STRATEGIES = { random, greedy, lookahead };
+
+module.exports = {
+    STRATEGIES,
+    getLegalMoves
+};